@@ -6,7 +6,11 @@ import chalk from "chalk";
 import shell from "shelljs";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
+import { createTwoFilesPatch } from "diff";
+import * as recast from "recast";
+import babelTsParser from "recast/parsers/babel-ts.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,844 +21,7878 @@ function capitalizeFirstLetter(string) {
   return string.charAt(0).toUpperCase() + string.slice(1);
 }
 
+// Answers supplied up front through --answers <file.json>
+let presetAnswers = {};
+// Set by --yes, or when there is no terminal to prompt on
+let acceptDefaults = false;
+let nonInteractive = false;
+
+// Resolve a question's default the same way inquirer would
+function defaultAnswer(question) {
+  if (question.default !== undefined) return question.default;
+  if (question.type === "confirm") return true;
+  if (question.type === "list" && question.choices?.length) {
+    const [first] = question.choices;
+    return typeof first === "object" ? first.value : first;
+  }
+  return undefined;
+}
+
+// Ask inquirer questions, taking answers from CLI flags, the answers file or
+// --yes defaults first. Fails instead of hanging when an answer is missing and
+// there is no way to prompt for it.
+async function ask(questions, provided = {}) {
+  const answers = {};
+
+  for (const { flag, when, ...question } of questions) {
+    const shouldAsk = typeof when === "function" ? await when(answers) : when;
+    if (shouldAsk === false) continue;
+
+    let value = provided[question.name];
+    if (value === undefined) value = presetAnswers[question.name];
+    if (value === undefined && acceptDefaults) value = defaultAnswer(question);
+
+    if (value !== undefined) {
+      const valid = question.validate
+        ? await question.validate(String(value), answers)
+        : true;
+      if (valid !== true) {
+        throw new Error(`Invalid value for "${question.name}": ${valid}`);
+      }
+      answers[question.name] = value;
+      continue;
+    }
+
+    if (nonInteractive) {
+      throw new Error(
+        `Missing answer for "${question.name}" (${question.message}). Pass ${
+          flag ? `${flag} or set ` : ""
+        }"${question.name}" in the --answers file.`
+      );
+    }
+
+    Object.assign(answers, await inquirer.prompt([question], answers));
+  }
+
+  return answers;
+}
+
+// Every file, folder and install change goes through this plan so that
+// --dry-run can preview it and --plan-json can export it
+const changePlan = {
+  dryRun: false,
+  changes: [],
+  commands: [],
+  // Packages that were not in package.json before this run installed them
+  dependencies: [],
+  // Contents written (or folders created) during a dry run, keyed by path
+  files: new Map(),
+  dirs: new Set(),
+};
+
+// Display a project path relative to the working directory
+function displayPath(target) {
+  return path.relative(process.cwd(), path.resolve(target)) || ".";
+}
+
+// Check for a path, including ones created or removed earlier in a dry run
+function pathExists(target) {
+  const fullPath = path.resolve(target);
+  if (changePlan.files.has(fullPath)) {
+    return changePlan.files.get(fullPath) !== null;
+  }
+  return changePlan.dirs.has(fullPath) || fs.existsSync(fullPath);
+}
+
+// Read a project file, including content written earlier in a dry run
+function readProjectFile(target) {
+  const fullPath = path.resolve(target);
+  if (changePlan.files.has(fullPath)) return changePlan.files.get(fullPath);
+  return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, "utf-8") : null;
+}
+
+// Create a folder (and its parents) unless it already exists. Missing parents
+// go through ensureDir too, so each one is journaled and undo removes it.
+function ensureDir(dir) {
+  const fullPath = path.resolve(dir);
+  if (pathExists(fullPath)) return false;
+  ensureDir(path.dirname(fullPath));
+
+  changePlan.changes.push({ action: "create", type: "dir", path: fullPath });
+  if (changePlan.dryRun) {
+    changePlan.dirs.add(fullPath);
+  } else {
+    shell.mkdir("-p", fullPath);
+    console.log(chalk.green(`Created: ${displayPath(fullPath)}`));
+  }
+  return true;
+}
+
+// Write a file, recording whether it was created or overwritten
+function writeFile(file, content) {
+  const fullPath = path.resolve(file);
+  const previous = readProjectFile(fullPath);
+  if (previous === content) return;
+
+  ensureDir(path.dirname(fullPath));
+
+  // Fold repeated writes to the same file into one change
+  const earlier = changePlan.changes.find(
+    (change) =>
+      change.path === fullPath &&
+      ["create", "overwrite"].includes(change.action)
+  );
+  if (earlier) {
+    earlier.content = content;
+  } else {
+    changePlan.changes.push({
+      action: previous === null ? "create" : "overwrite",
+      type: "file",
+      path: fullPath,
+      previous,
+      content,
+    });
+  }
+
+  if (changePlan.dryRun) {
+    changePlan.files.set(fullPath, content);
+  } else {
+    fs.writeFileSync(fullPath, content);
+    console.log(
+      chalk.green(
+        `${previous === null ? "Created" : "Updated"}: ${displayPath(fullPath)}`
+      )
+    );
+  }
+}
+
+// Delete a file, keeping its contents in the plan
+function removeFile(file) {
+  const fullPath = path.resolve(file);
+  const previous = readProjectFile(fullPath);
+  if (previous === null) return;
+
+  changePlan.changes.push({
+    action: "delete",
+    type: "file",
+    path: fullPath,
+    previous,
+  });
+  if (changePlan.dryRun) {
+    changePlan.files.set(fullPath, null);
+  } else {
+    fs.rmSync(fullPath);
+    console.log(chalk.red(`Deleted: ${displayPath(fullPath)}`));
+  }
+}
+
+// Delete a folder if nothing is left in it
+function removeEmptyDir(dir) {
+  const fullPath = path.resolve(dir);
+  if (!fs.existsSync(fullPath)) return;
+  const remaining = fs
+    .readdirSync(fullPath)
+    .filter((entry) => pathExists(path.join(fullPath, entry)));
+  if (remaining.length) return;
+
+  changePlan.changes.push({ action: "delete", type: "dir", path: fullPath });
+  if (changePlan.dryRun) {
+    changePlan.dirs.delete(fullPath);
+  } else {
+    fs.rmdirSync(fullPath);
+    console.log(chalk.red(`Deleted: ${displayPath(fullPath)}`));
+  }
+}
+
+// Append to a file, creating it when missing
+function appendFile(file, content) {
+  writeFile(file, (readProjectFile(file) ?? "") + content);
+}
+
+// Record a path that was left untouched
+function skipPath(target, reason = "already exists") {
+  const fullPath = path.resolve(target);
+  changePlan.changes.push({ action: "skip", path: fullPath, reason });
+  if (!changePlan.dryRun) {
+    console.log(chalk.yellow(`Skipped: ${displayPath(fullPath)} (${reason})`));
+  }
+}
+
+// Run a shell command that changes the project, optionally from another
+// folder; skipped in a dry run
+function runCommand(command, { cwd } = {}) {
+  changePlan.commands.push(
+    cwd ? `cd ${displayPath(cwd)} && ${command}` : command
+  );
+  if (changePlan.dryRun) return { code: 0 };
+  return shell.exec(command, cwd ? { cwd } : {});
+}
+
+// Read the dependencies already declared in package.json
+function declaredDependencies() {
+  const packageJson = JSON.parse(readProjectFile("package.json") ?? "{}");
+  return {
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+  };
+}
+
+// Commands for each supported package manager. Yarn berry (2+) takes the
+// same ones as yarn classic, and both write yarn.lock.
+const PACKAGE_MANAGERS = {
+  npm: { add: "npm install", dev: "--save-dev", remove: "npm uninstall" },
+  yarn: { add: "yarn add", dev: "--dev", remove: "yarn remove" },
+  pnpm: { add: "pnpm add", dev: "--save-dev", remove: "pnpm remove" },
+  bun: { add: "bun add", dev: "--dev", remove: "bun remove" },
+};
+
+const LOCKFILES = {
+  "pnpm-lock.yaml": "pnpm",
+  "pnpm-workspace.yaml": "pnpm",
+  "yarn.lock": "yarn",
+  "bun.lockb": "bun",
+  "bun.lock": "bun",
+  "package-lock.json": "npm",
+  "npm-shrinkwrap.json": "npm",
+};
+
+// Find the package manager from the `packageManager` field of package.json or
+// a lockfile, looking in parent folders too since workspace packages share
+// the lockfile at the workspace root
+function findPackageManager() {
+  let dir = process.cwd();
+  for (;;) {
+    const packageJson = JSON.parse(
+      readProjectFile(path.join(dir, "package.json")) ?? "{}"
+    );
+    const field = String(packageJson.packageManager ?? "").match(
+      /^(npm|yarn|pnpm|bun)@/
+    );
+    if (field) return field[1];
+
+    const lockfile = Object.keys(LOCKFILES).find((file) =>
+      fs.existsSync(path.join(dir, file))
+    );
+    if (lockfile) return LOCKFILES[lockfile];
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return "npm";
+    dir = parent;
+  }
+}
+
+// Commands that install into one package of a workspace, run from the
+// workspace root
+const WORKSPACE_COMMANDS = {
+  npm: ({ name }) => ({
+    add: `npm install --workspace ${name}`,
+    remove: `npm uninstall --workspace ${name}`,
+  }),
+  yarn: ({ name }) => ({
+    add: `yarn workspace ${name} add`,
+    remove: `yarn workspace ${name} remove`,
+  }),
+  pnpm: ({ name }) => ({
+    add: `pnpm --filter ${name} add`,
+    remove: `pnpm --filter ${name} remove`,
+  }),
+  bun: ({ dir }) => ({
+    add: `bun add --cwd ${dir}`,
+    remove: `bun remove --cwd ${dir}`,
+  }),
+};
+
+function readPackageJson(dir) {
+  return JSON.parse(readProjectFile(path.join(dir, "package.json")) ?? "{}");
+}
+
+// Whether a folder is the root of a workspace (monorepo): it has
+// pnpm-workspace.yaml, `workspaces` in package.json, turbo.json or nx.json.
+// Package-level turbo.json files extend the root one and don't count.
+function isWorkspaceRoot(dir) {
+  const turbo = readProjectFile(path.join(dir, "turbo.json"));
+  return (
+    fs.existsSync(path.join(dir, "pnpm-workspace.yaml")) ||
+    Boolean(readPackageJson(dir).workspaces) ||
+    (turbo !== null && !/"extends"\s*:/.test(turbo)) ||
+    fs.existsSync(path.join(dir, "nx.json"))
+  );
+}
+
+// The workspace root at or above the working directory, if any
+function findWorkspaceRoot() {
+  let dir = process.cwd();
+  for (;;) {
+    if (isWorkspaceRoot(dir)) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Package globs from pnpm-workspace.yaml or package.json `workspaces`. Turbo
+// and Nx repos without either keep their packages in apps/ and packages/ (or
+// the folders nx.json sets).
+function workspacePatterns(root) {
+  const pnpmWorkspace = readProjectFile(path.join(root, "pnpm-workspace.yaml"));
+  if (pnpmWorkspace !== null) {
+    const section =
+      pnpmWorkspace.match(/^packages\s*:\s*\n((?:[ \t]+.*\n?|\s*\n)*)/m)?.[1] ??
+      "";
+    return [...section.matchAll(/^\s*-\s*["']?([^"'#\n]+?)["']?\s*$/gm)].map(
+      ([, pattern]) => pattern
+    );
+  }
+
+  const { workspaces } = readPackageJson(root);
+  if (workspaces) {
+    return Array.isArray(workspaces) ? workspaces : workspaces.packages ?? [];
+  }
+
+  const layout =
+    JSON.parse(readProjectFile(path.join(root, "nx.json")) ?? "{}")
+      .workspaceLayout ?? {};
+  return [`${layout.appsDir ?? "apps"}/*`, `${layout.libsDir ?? "packages"}/*`];
+}
+
+// Folders under `root` matching a glob such as "apps/*" or "packages/**"
+function expandWorkspacePattern(root, pattern) {
+  const [segment, ...rest] = pattern.replace(/^\.\//, "").split("/");
+  if (!segment) return [root];
+  const subdirs = () =>
+    fs.existsSync(root)
+      ? fs
+          .readdirSync(root, { withFileTypes: true })
+          .filter(
+            (entry) =>
+              entry.isDirectory() &&
+              entry.name !== "node_modules" &&
+              !entry.name.startsWith(".")
+          )
+          .map((entry) => path.join(root, entry.name))
+      : [];
+
+  if (segment === "**") {
+    return [
+      ...expandWorkspacePattern(root, rest.join("/")),
+      ...subdirs().flatMap((dir) => expandWorkspacePattern(dir, pattern)),
+    ];
+  }
+  const matcher = new RegExp(
+    `^${segment.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`
+  );
+  return subdirs()
+    .filter((dir) => matcher.test(path.basename(dir)))
+    .flatMap((dir) => expandWorkspacePattern(dir, rest.join("/")));
+}
+
+// Packages of a workspace with their names and folders. Nx projects without
+// a package.json are named by their project.json or folder.
+function workspacePackages(root) {
+  const patterns = workspacePatterns(root);
+  const excluded = new Set(
+    patterns
+      .filter((pattern) => pattern.startsWith("!"))
+      .flatMap((pattern) => expandWorkspacePattern(root, pattern.slice(1)))
+  );
+  const dirs = new Set(
+    patterns
+      .filter((pattern) => !pattern.startsWith("!"))
+      .flatMap((pattern) => expandWorkspacePattern(root, pattern))
+  );
+  return [...dirs]
+    .filter(
+      (dir) =>
+        !excluded.has(dir) &&
+        ["package.json", "project.json"].some((file) =>
+          fs.existsSync(path.join(dir, file))
+        )
+    )
+    .map((dir) => ({
+      name:
+        readPackageJson(dir).name ??
+        JSON.parse(readProjectFile(path.join(dir, "project.json")) ?? "{}")
+          .name ??
+        path.basename(dir),
+      dir,
+    }));
+}
+
+// A Next.js app depends on next or has a next.config file
+function isNextApp(dir) {
+  const { dependencies, devDependencies } = readPackageJson(dir);
+  return (
+    Boolean({ ...dependencies, ...devDependencies }.next) ||
+    ["js", "mjs", "ts", "cjs"].some((extension) =>
+      fs.existsSync(path.join(dir, `next.config.${extension}`))
+    )
+  );
+}
+
+// The workspace package the working directory is, so installs can target it
+function currentWorkspacePackage() {
+  const root = findWorkspaceRoot();
+  if (!root || root === process.cwd()) return null;
+  const workspacePackage = workspacePackages(root).find(
+    ({ dir }) => dir === process.cwd()
+  );
+  if (!workspacePackage) return null;
+  return {
+    ...workspacePackage,
+    root,
+    dir: path.relative(root, workspacePackage.dir).split(path.sep).join("/"),
+  };
+}
+
+// From a workspace root, move into one of its Next.js apps: the one --app
+// names, the only one, or the one picked at a prompt
+async function selectWorkspaceApp(appName) {
+  const root = findWorkspaceRoot();
+  if (!root) {
+    if (appName) {
+      throw new Error(
+        "--app needs a workspace (pnpm-workspace.yaml, package.json workspaces, turbo.json or nx.json)."
+      );
+    }
+    return;
+  }
+  if (!appName && (process.cwd() !== root || isNextApp(root))) return;
+
+  const apps = workspacePackages(root).filter(({ dir }) => isNextApp(dir));
+  const label = (app) =>
+    `${app.name} (${path.relative(root, app.dir).split(path.sep).join("/")})`;
+  let app = null;
+
+  if (appName) {
+    app = apps.find(
+      ({ name, dir }) =>
+        name === appName ||
+        path.relative(root, dir).split(path.sep).join("/") ===
+          appName.replace(/^\.\/|\/$/g, "") ||
+        path.basename(dir) === appName
+    );
+    if (!app) {
+      throw new Error(
+        `No Next.js app "${appName}" in the workspace. Use one of: ${
+          apps.map(label).join(", ") || "(none found)"
+        }.`
+      );
+    }
+  } else if (apps.length === 1) {
+    [app] = apps;
+  } else if (apps.length > 1) {
+    // Picking the first app could change the wrong one, so --yes doesn't
+    // answer this
+    if (acceptDefaults && presetAnswers.app === undefined) {
+      throw new Error(
+        `The workspace has several Next.js apps: ${apps
+          .map(label)
+          .join(", ")}. Pick one with --app <name>.`
+      );
+    }
+    const { app: picked } = await ask([
+      {
+        type: "list",
+        name: "app",
+        message: "Which Next.js app should this command run in?",
+        choices: apps.map((candidate) => ({
+          name: label(candidate),
+          value: candidate.name,
+        })),
+        flag: "--app <name>",
+      },
+    ]);
+    app = apps.find(({ name }) => name === picked);
+  }
+  if (!app) return;
+
+  process.chdir(app.dir);
+  console.log(chalk.blue(`Using ${label(app)}`));
+}
+
+// The package manager to run: the one set in the config file, else detected.
+// In a workspace package, installs run from the workspace root and target the
+// package, e.g. `pnpm --filter web add`.
+function packageManager() {
+  const name = projectSetting("packageManager");
+  const workspacePackage = currentWorkspacePackage();
+  if (!workspacePackage) return { name, ...PACKAGE_MANAGERS[name] };
+  return {
+    name,
+    ...PACKAGE_MANAGERS[name],
+    ...WORKSPACE_COMMANDS[name](workspacePackage),
+    cwd: workspacePackage.root,
+  };
+}
+
+// Split "name@range" (including scoped names like "@scope/pkg@^1")
+function parseDependency(spec) {
+  const at = spec.lastIndexOf("@");
+  return at > 0
+    ? { name: spec.slice(0, at), range: spec.slice(at + 1) }
+    : { name: spec, range: "" };
+}
+
+// Version of a package already in the project: the copy in node_modules
+// (up to the workspace root, where workspaces hoist packages), else the
+// range declared in package.json (yarn berry PnP has no node_modules)
+function installedVersion(name) {
+  const root = findWorkspaceRoot() ?? process.cwd();
+  for (let dir = process.cwd(); ; dir = path.dirname(dir)) {
+    const installed = readProjectFile(
+      path.join(dir, "node_modules", name, "package.json")
+    );
+    if (installed !== null) return JSON.parse(installed).version;
+    if (dir === root || !dir.startsWith(root)) break;
+  }
+  return declaredDependencies()[name] ?? null;
+}
+
+// Major version in a version or range like "^3.4.1"
+function majorVersion(version) {
+  return version.match(/\d+/)?.[0] ?? null;
+}
+
+// Set by --no-install: dependencies are written to package.json and installed
+// later with one command
+let deferInstall = false;
+const deferredDependencies = [];
+
+// Caret range for a dependency given without one, from the version in
+// node_modules. Null when it is not installed; the registry is not asked, as
+// --no-install and --dry-run must work offline.
+function resolveRange(name) {
+  const installed = installedVersion(name);
+  return /^\d/.test(installed ?? "") ? `^${installed}` : null;
+}
+
+// Add dependencies to package.json without installing them. Returns the
+// names left out because no version could be resolved for them.
+function addToPackageJson(dependencies, { dev }) {
+  const packageJsonPath = path.join(process.cwd(), "package.json");
+  const source = readProjectFile(packageJsonPath) ?? "{}";
+  const packageJson = JSON.parse(source);
+  const field = dev ? "devDependencies" : "dependencies";
+  const entries = { ...packageJson[field] };
+  const unresolved = [];
+  dependencies.forEach(({ name, range }) => {
+    const resolved = range || resolveRange(name);
+    if (resolved) entries[name] = resolved;
+    else unresolved.push(name);
+  });
+  packageJson[field] = Object.fromEntries(
+    Object.entries(entries).sort(([a], [b]) => a.localeCompare(b))
+  );
+  const indent = source.match(/^[ \t]+(?=")/m)?.[0] ?? "  ";
+  writeFile(packageJsonPath, `${JSON.stringify(packageJson, null, indent)}\n`);
+  return unresolved;
+}
+
+// Add scripts to package.json, keeping any the project already defines
+function addPackageScripts(scripts) {
+  const packageJsonPath = path.join(process.cwd(), "package.json");
+  const source = readProjectFile(packageJsonPath) ?? "{}";
+  const packageJson = JSON.parse(source);
+  const existing = packageJson.scripts ?? {};
+  const added = Object.entries(scripts).filter(([name, command]) => {
+    if (existing[name] === undefined) return true;
+    if (existing[name] !== command) {
+      console.log(
+        chalk.yellow(
+          `Skipped: the "${name}" script (package.json already runs "${existing[name]}")`
+        )
+      );
+    }
+    return false;
+  });
+  if (!added.length) return;
+
+  packageJson.scripts = { ...existing, ...Object.fromEntries(added) };
+  const indent = source.match(/^[ \t]+(?=")/m)?.[0] ?? "  ";
+  writeFile(packageJsonPath, `${JSON.stringify(packageJson, null, indent)}\n`);
+}
+
+// Install packages with the project's package manager, skipping the ones
+// package.json already declares in a matching major version. Specs can pin a
+// range, e.g. "tailwindcss@^3".
+function installDependencies(dependencies, { dev = false } = {}) {
+  const declared = declaredDependencies();
+  const manager = packageManager();
+  // In node_modules without being declared, e.g. hoisted from another package
+  const hoisted = [];
+  const missing = dependencies
+    .map(parseDependency)
+    .filter(({ name, range }) => {
+      const version = installedVersion(name);
+      if (
+        !version ||
+        (range && majorVersion(range) !== majorVersion(version))
+      ) {
+        return true;
+      }
+      if (!declared[name]) {
+        hoisted.push({ name, range: `^${version}` });
+        return false;
+      }
+      console.log(
+        chalk.yellow(`Skipped: ${name} (${version} already installed)`)
+      );
+      return false;
+    });
+
+  if (hoisted.length) {
+    addToPackageJson(hoisted, { dev });
+    console.log(
+      chalk.green(
+        `Declared in package.json at the version already in node_modules: ${hoisted
+          .map(({ name, range }) => `${name}@${range}`)
+          .join(", ")}`
+      )
+    );
+  }
+  if (!missing.length) return true;
+
+  if (deferInstall) {
+    const unresolved = addToPackageJson(missing, { dev });
+    deferredDependencies.push(
+      ...missing
+        .map(({ name }) => name)
+        .filter((name) => !unresolved.includes(name))
+    );
+    if (unresolved.length) {
+      console.log(
+        chalk.yellow(
+          `Not in node_modules, so left out of package.json: ${unresolved.join(
+            ", "
+          )}. Install it with: ${manager.add}${
+            dev ? ` ${manager.dev}` : ""
+          } ${unresolved.join(" ")}`
+        )
+      );
+    }
+    return true;
+  }
+
+  const specs = missing.map(({ name, range }) =>
+    range ? `${name}@${range}` : name
+  );
+  const succeeded =
+    runCommand(
+      `${manager.add}${dev ? ` ${manager.dev}` : ""} ${specs.join(" ")}`,
+      { cwd: manager.cwd }
+    ).code === 0;
+
+  if (succeeded) {
+    missing
+      .filter(({ name }) => !declared[name])
+      .forEach(({ name }) => changePlan.dependencies.push({ name, dev }));
+  }
+  return succeeded;
+}
+
+// Uninstall packages with the project's package manager
+function uninstallDependencies(dependencies) {
+  const manager = packageManager();
+  return (
+    runCommand(`${manager.remove} ${dependencies.join(" ")}`, {
+      cwd: manager.cwd,
+    }).code === 0
+  );
+}
+
+// Render the planned changes as a tree followed by diffs of modified files
+function printPlan() {
+  const markers = {
+    create: chalk.green("+ "),
+    overwrite: chalk.yellow("~ "),
+    delete: chalk.red("- "),
+    skip: chalk.gray("= "),
+  };
+  const tree = {};
+
+  // Keep the last recorded action for each path
+  const changes = new Map(
+    changePlan.changes.map((change) => [change.path, change])
+  );
+
+  changes.forEach((change) => {
+    let node = tree;
+    displayPath(change.path)
+      .split(path.sep)
+      .forEach((segment) => {
+        node.children = node.children || {};
+        node = node.children[segment] = node.children[segment] || {};
+      });
+    node.change = change;
+  });
+
+  const printNode = (node, depth) => {
+    Object.entries(node.children || {})
+      .sort(([a], [b]) => a.localeCompare(b))
+      .forEach(([name, child]) => {
+        const marker = child.change ? markers[child.change.action] : "  ";
+        const label = child.children ? `${name}/` : name;
+        const note =
+          child.change?.action === "skip"
+            ? chalk.gray(` (${child.change.reason})`)
+            : "";
+        console.log(`${"  ".repeat(depth)}${marker}${label}${note}`);
+        printNode(child, depth + 1);
+      });
+  };
+
+  console.log(chalk.blue("\nDry run: planned changes"));
+  if (changes.size === 0) {
+    console.log(chalk.gray("  (no file changes)"));
+  }
+  printNode(tree, 1);
+
+  changes.forEach((change) => {
+    if (change.action !== "overwrite") return;
+    const file = displayPath(change.path);
+    console.log(
+      `\n${createTwoFilesPatch(
+        `a/${file}`,
+        `b/${file}`,
+        change.previous,
+        change.content
+      )}`
+    );
+  });
+
+  if (changePlan.commands.length) {
+    console.log(chalk.blue("Skipped commands:"));
+    changePlan.commands.forEach((command) => console.log(`  $ ${command}`));
+  }
+}
+
+// Serialize the plan for --plan-json
+function planToJSON() {
+  return {
+    dryRun: changePlan.dryRun,
+    changes: changePlan.changes.map(
+      ({ action, type, path: target, ...change }) => ({
+        action,
+        type: type || null,
+        path: displayPath(target),
+        ...(action === "skip" ? { reason: change.reason } : {}),
+        ...(action === "overwrite"
+          ? {
+              diff: createTwoFilesPatch(
+                `a/${displayPath(target)}`,
+                `b/${displayPath(target)}`,
+                change.previous,
+                change.content
+              ),
+            }
+          : {}),
+      })
+    ),
+    commands: changePlan.commands,
+  };
+}
+
+// Journal of every run that changed the project, used by `undo` and `history`
+const manifestPath = () =>
+  path.join(process.cwd(), ".nextjs-boilerplate/manifest.json");
+
+// Name and arguments of the command being run, recorded in the manifest
+let currentRun = null;
+
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+// Files whose contents never go into the manifest, e.g. .env.local with its
+// secrets. Runs record only a hash for them, so undo can delete such a file
+// when the run created it but can't bring back earlier values.
+const UNJOURNALED_FILES = [/^\.env(\..+)?$/];
+
+function isUnjournaled(file) {
+  return UNJOURNALED_FILES.some((pattern) => pattern.test(path.basename(file)));
+}
+
+// Arguments that carry secrets, by command: each function returns the values
+// to hide and what to record instead
+const REDACTED_ARGUMENTS = {
+  "env set": (command) => [[command.processedArgs[1], "***"]],
+  "add-env": (command) => {
+    const { vars } = command.opts();
+    if (!vars) return [];
+    // Values may contain commas, so the pairs are split the way add-env does
+    let redacted = "***";
+    try {
+      redacted = parseEnvVars(vars)
+        .map(({ key }) => `${key}=***`)
+        .join(",");
+    } catch {
+      // add-env reports the invalid pair; hide the whole list meanwhile
+    }
+    return [[vars, redacted]];
+  },
+};
+
+// The command line as recorded in the manifest, with secret values hidden
+function journaledArgs(commandName, command) {
+  const redactions = (REDACTED_ARGUMENTS[commandName]?.(command) ?? []).filter(
+    ([value]) => value
+  );
+  return process.argv.slice(2).map((arg) => {
+    const redaction = redactions.find(
+      ([value]) => arg === value || arg.endsWith(`=${value}`)
+    );
+    return redaction
+      ? `${arg.slice(0, arg.length - redaction[0].length)}${redaction[1]}`
+      : arg;
+  });
+}
+
+function readManifest() {
+  const file = manifestPath();
+  return fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf-8"))
+    : { version: 1, runs: [] };
+}
+
+// The manifest holds earlier file contents and belongs to one checkout, so a
+// new one is added to an existing .gitignore
+function writeManifest(manifest) {
+  const isNew = !fs.existsSync(manifestPath());
+  shell.mkdir("-p", path.dirname(manifestPath()));
+  fs.writeFileSync(manifestPath(), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  const gitignorePath = path.join(process.cwd(), ".gitignore");
+  if (isNew && fs.existsSync(gitignorePath) && !isGitignored(manifestPath())) {
+    const existing = fs.readFileSync(gitignorePath, "utf-8");
+    fs.writeFileSync(
+      gitignorePath,
+      `${existing}${
+        existing && !existing.endsWith("\n") ? "\n" : ""
+      }.nextjs-boilerplate/manifest.json\n`
+    );
+  }
+}
+
+// Append the changes made by this run to the manifest
+function recordRun() {
+  if (!currentRun || changePlan.dryRun) return;
+
+  const files = changePlan.changes
+    .filter(
+      (change) =>
+        change.type === "file" &&
+        ["create", "overwrite", "delete"].includes(change.action)
+    )
+    .map(({ action, path: target, previous, content }) => ({
+      path: displayPath(target),
+      action,
+      ...(action === "create"
+        ? {}
+        : isUnjournaled(target)
+        ? { unjournaled: true }
+        : { previous }),
+      ...(action === "delete" ? {} : { hash: hashContent(content) }),
+    }));
+  const dirs = changePlan.changes
+    .filter((change) => change.type === "dir" && change.action === "create")
+    .map((change) => displayPath(change.path));
+
+  if (!files.length && !dirs.length && !changePlan.dependencies.length) {
+    return;
+  }
+
+  const manifest = readManifest();
+  const id = manifest.runs.reduce((max, run) => Math.max(max, run.id), 0) + 1;
+  manifest.runs.push({
+    id,
+    ...currentRun,
+    date: new Date().toISOString(),
+    files,
+    dirs,
+    dependencies: changePlan.dependencies,
+  });
+  writeManifest(manifest);
+  currentRun = null;
+}
+
 const program = new Command();
 
-// Define CLI version and description
+// Where the CLI was started, before --cwd or --app moved into the project
+const startDir = process.cwd();
+
+// Define CLI version and description
+program
+  .version("1.0.7")
+  .description(
+    "Enhance an existing Next.js project with a detailed boilerplate"
+  )
+  .option("-y, --yes", "Accept detected defaults without prompting", false)
+  .option(
+    "--answers <file>",
+    "JSON file with answers for prompts, optionally keyed by command name"
+  )
+  .option(
+    "--dry-run",
+    "Print the planned file changes without writing anything",
+    false
+  )
+  .option("--plan-json <file>", "Write the planned changes as JSON to a file")
+  .option(
+    "--no-install",
+    "Add dependencies to package.json and print one install command instead of installing"
+  )
+  .option(
+    "--cwd <path>",
+    "Run in this project folder instead of the current one"
+  )
+  .option(
+    "--router <type>",
+    "Router to generate for (app or pages), overriding the config file and detection"
+  )
+  .option(
+    "--app <name>",
+    "Workspace app to run in, by package name or folder (e.g. web or apps/web)"
+  );
+
+// Load non-interactive settings before any command runs
+program.hook("preAction", async (thisCommand, actionCommand) => {
+  const { yes, answers, dryRun, install, cwd, app, router } = program.opts();
+  acceptDefaults = yes;
+  deferInstall = !install;
+  changePlan.dryRun = dryRun;
+
+  // Subcommands are named with their parent, e.g. "config set"
+  const commandName =
+    actionCommand.parent === program
+      ? actionCommand.name()
+      : `${actionCommand.parent.name()} ${actionCommand.name()}`;
+
+  // Rolling back and listing runs are not runs of their own
+  if (!["undo", "history"].includes(commandName)) {
+    currentRun = {
+      command: commandName,
+      args: journaledArgs(commandName, actionCommand),
+    };
+  }
+  nonInteractive = yes || !process.stdin.isTTY;
+
+  if (answers) {
+    const answersPath = path.resolve(answers);
+    if (!fs.existsSync(answersPath)) {
+      throw new Error(`Answers file not found: ${answersPath}`);
+    }
+    const fileAnswers = JSON.parse(fs.readFileSync(answersPath, "utf-8"));
+    presetAnswers = {
+      ...fileAnswers,
+      ...(fileAnswers[commandName] || {}),
+    };
+  }
+
+  // Move into the project last, so file options given on the command line
+  // stay relative to where the CLI was started
+  if (cwd) {
+    const target = path.resolve(cwd);
+    if (!fs.existsSync(target) || !fs.statSync(target).isDirectory()) {
+      throw new Error(`--cwd folder not found: ${target}`);
+    }
+    process.chdir(target);
+  }
+  await selectWorkspaceApp(app);
+
+  // Generators need to know which router to write for
+  if (commandName === "add" || commandName.startsWith("add-")) {
+    await resolveRouter(router);
+  } else if (router) {
+    routerOverride = normalizeConfigValue("routerType", router);
+  }
+});
+
+// Report the plan once the command has finished
+program.hook("postAction", () => {
+  const { planJson } = program.opts();
+  recordRun();
+  if (changePlan.dryRun) printPlan();
+  if (deferredDependencies.length) {
+    console.log(
+      chalk.yellow(
+        `\n${
+          changePlan.dryRun ? "Would add" : "Added"
+        } to package.json without installing: ${deferredDependencies.join(
+          ", "
+        )}.\nInstall them with: ${packageManager().name} install`
+      )
+    );
+  }
+  if (planJson) {
+    fs.writeFileSync(
+      path.resolve(startDir, planJson),
+      `${JSON.stringify(planToJSON(), null, 2)}\n`
+    );
+    console.log(chalk.blue(`Plan written to ${planJson}`));
+  }
+});
+
+// Detect the current project setup. As in Next.js, app and pages directories
+// at the project root win over the ones in src/. Without either this exits,
+// unless `optional` is set, which gives a null routerType instead.
+function detectProjectSetup({ optional = false } = {}) {
+  const exists = (dir) => pathExists(path.join(process.cwd(), dir));
+  const hasSrc = !exists("app") && !exists("pages") && exists("src");
+  const baseFolder = hasSrc ? "src" : "";
+  const hasApp = exists(path.join(baseFolder, "app"));
+  const hasPages = exists(path.join(baseFolder, "pages"));
+
+  let routerType = null;
+  if (hasApp) {
+    routerType = "App Router";
+  } else if (hasPages) {
+    routerType = "Pages Router";
+  } else if (!optional) {
+    console.log(
+      chalk.red(
+        "Error: Neither App Router nor Pages Router found. Ensure your Next.js project has an `app` or `pages` directory."
+      )
+    );
+    process.exit(1);
+  }
+
+  return { routerType, hasSrc, baseFolder, hasApp, hasPages };
+}
+
+const CONFIG_FILE = "nextjs-boilerplate.config.json";
+
+// Settings stored in the config file and the values each accepts (null
+// accepts any string)
+const CONFIG_OPTIONS = {
+  routerType: ["App Router", "Pages Router"],
+  baseFolder: ["src", ""],
+  importAlias: null,
+  packageManager: ["npm", "yarn", "pnpm", "bun"],
+  styling: ["tailwind", "css-modules", "scss", "none"],
+  stateLibrary: ["redux", "none"],
+  testRunner: ["jest", "vitest", "none"],
+  templateDir: null,
+};
+
+// Read nextjs-boilerplate.config.json, or {} when the project has none
+function readConfig() {
+  const source = readProjectFile(path.join(process.cwd(), CONFIG_FILE));
+  if (source === null) return {};
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    throw new Error(`${CONFIG_FILE} is not valid JSON: ${error.message}`);
+  }
+}
+
+function writeConfig(config) {
+  writeFile(
+    path.join(process.cwd(), CONFIG_FILE),
+    `${JSON.stringify(config, null, 2)}\n`
+  );
+}
+
+function assertConfigKey(key) {
+  if (!(key in CONFIG_OPTIONS)) {
+    throw new Error(
+      `Unknown setting "${key}". Use one of: ${Object.keys(CONFIG_OPTIONS).join(
+        ", "
+      )}.`
+    );
+  }
+}
+
+// Accept shorthands like "app" or "." and reject values a setting can't take
+function normalizeConfigValue(key, value) {
+  assertConfigKey(key);
+  const shorthands = {
+    routerType: { app: "App Router", pages: "Pages Router" },
+    baseFolder: { ".": "", none: "" },
+  };
+  const normalized =
+    shorthands[key]?.[String(value).toLowerCase()] ?? String(value).trim();
+  const allowed = CONFIG_OPTIONS[key];
+  if (allowed && !allowed.includes(normalized)) {
+    throw new Error(
+      `Invalid value "${value}" for ${key}. Use one of: ${allowed
+        .map((option) => JSON.stringify(option))
+        .join(", ")}.`
+    );
+  }
+  return normalized;
+}
+
+// Import alias from the tsconfig.json/jsconfig.json `paths`, e.g. "@/*"
+function detectImportAlias() {
+  for (const file of ["tsconfig.json", "jsconfig.json"]) {
+    const source = readProjectFile(path.join(process.cwd(), file));
+    const match = source?.match(/"([^"]+)\/\*"\s*:\s*\[\s*"\.\/(?:src\/)?\*"/);
+    if (match) return `${match[1]}/*`;
+  }
+  return "";
+}
+
+function detectStyling() {
+  const dependencies = declaredDependencies();
+  const hasTailwindConfig = ["js", "ts", "mjs", "cjs"].some((ext) =>
+    fs.existsSync(path.join(process.cwd(), `tailwind.config.${ext}`))
+  );
+  if (hasTailwindConfig || dependencies.tailwindcss) return "tailwind";
+  if (dependencies.sass) return "scss";
+  return "css-modules";
+}
+
+// How each setting is worked out when the config file doesn't set it
+const CONFIG_DETECTORS = {
+  routerType: ({ optional } = {}) =>
+    detectProjectSetup({ optional }).routerType,
+  baseFolder: () => detectProjectSetup({ optional: true }).baseFolder,
+  importAlias: detectImportAlias,
+  packageManager: findPackageManager,
+  styling: detectStyling,
+  stateLibrary: () =>
+    declaredDependencies()["@reduxjs/toolkit"] ? "redux" : "none",
+  testRunner: () => {
+    const dependencies = declaredDependencies();
+    if (dependencies.vitest) return "vitest";
+    return dependencies.jest ? "jest" : "none";
+  },
+  templateDir: () => "",
+};
+
+// Set by --router, or by the answer when both routers exist
+let routerOverride = null;
+
+// The router this run generates for: --router, else the config file, else
+// the one detected, asking when both app and pages directories exist. A
+// missing app or pages directory can be created on the spot.
+async function resolveRouter(router) {
+  if (router) routerOverride = normalizeConfigValue("routerType", router);
+  const detected = detectProjectSetup({ optional: true });
+  let routerType = routerOverride ?? readConfig().routerType;
+
+  if (!routerType && detected.hasApp === detected.hasPages) {
+    const { routerType: picked } = await ask([
+      {
+        type: "list",
+        name: "routerType",
+        message: detected.hasApp
+          ? "Both app and pages directories exist. Which router should this command generate for?"
+          : "Neither an app nor a pages directory exists. Which router does the project use?",
+        choices: CONFIG_OPTIONS.routerType,
+        default: "App Router",
+        flag: "--router <app|pages>",
+      },
+    ]);
+    routerOverride = normalizeConfigValue("routerType", picked);
+  }
+  routerType = routerOverride ?? routerType ?? detected.routerType;
+
+  const routerDir = path.join(
+    process.cwd(),
+    projectSetting("baseFolder"),
+    routerType === "App Router" ? "app" : "pages"
+  );
+  if (pathExists(routerDir)) return;
+  const { createRouterDir } = await ask([
+    {
+      type: "confirm",
+      name: "createRouterDir",
+      message: `The ${routerType} needs ${displayPath(
+        routerDir
+      )}, which does not exist. Create it?`,
+      default: true,
+    },
+  ]);
+  if (!createRouterDir) {
+    throw new Error(
+      `${displayPath(
+        routerDir
+      )} is missing. Create it or pick the other router with --router.`
+    );
+  }
+  ensureDir(routerDir);
+}
+
+// A project setting from the config file, falling back to detection. With
+// `optional`, a router that can't be detected is null instead of an error.
+function projectSetting(key, { optional = false } = {}) {
+  if (key === "routerType" && routerOverride) return routerOverride;
+  const config = readConfig();
+  return key in config ? config[key] : CONFIG_DETECTORS[key]({ optional });
+}
+
+// All project settings, e.g. const { routerType, baseFolder } = projectSetup()
+function projectSetup(options) {
+  return Object.fromEntries(
+    Object.keys(CONFIG_DETECTORS).map((key) => [
+      key,
+      projectSetting(key, options),
+    ])
+  );
+}
+
+// Create the config file from the detected setup unless it already exists
+function ensureConfig(settings = {}) {
+  if (pathExists(path.join(process.cwd(), CONFIG_FILE))) return;
+  writeConfig({ ...projectSetup(), ...settings });
+}
+
+// Built-in templates ship with the CLI; projects can override any of them by
+// placing a file with the same relative path in their own templates folder
+const BUILTIN_TEMPLATES = path.join(__dirname, "templates");
+
+// Template folders in lookup order: the one set in the config file, the
+// project's .nextjs-boilerplate/templates, then the built-in templates
+function templateDirs() {
+  const dirs = [];
+  const { templateDir } = readConfig();
+  if (templateDir) dirs.push(path.resolve(process.cwd(), templateDir));
+  dirs.push(path.join(process.cwd(), ".nextjs-boilerplate/templates"));
+  dirs.push(BUILTIN_TEMPLATES);
+  return dirs;
+}
+
+// Read a template by its path relative to a templates folder
+function loadTemplate(name) {
+  const dirs = templateDirs();
+  for (const dir of dirs) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) return fs.readFileSync(file, "utf-8");
+  }
+  throw new Error(
+    `Template "${name}" not found in ${dirs
+      .map((dir) => displayPath(dir))
+      .join(", ")}.`
+  );
+}
+
+// {{name}}, {{#if x}}, {{#unless x}}, {{#each x}}, {{else}}, {{/if}} and
+// {{> partial}}. Anything else in double braces (e.g. JSX style objects) is
+// left alone.
+const TEMPLATE_TAG =
+  /\{\{\s*(else|[#/>]\s*[\w@$./-]+(?:\s+[\w@$./-]+)?|[\w@$.]+)\s*\}\}/g;
+const TEMPLATE_BLOCKS = ["if", "unless", "each"];
+
+// Parse a template into a tree of text, variable, block and partial nodes.
+// Block and partial tags on a line of their own take the whole line with them.
+function parseTemplate(source, name) {
+  const root = { children: [] };
+  const stack = [root];
+  const target = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.inverse : node.children;
+  };
+  let last = 0;
+
+  for (const match of source.matchAll(TEMPLATE_TAG)) {
+    const tag = match[1];
+    let start = match.index;
+    let end = start + match[0].length;
+    let indent = "";
+
+    if (!/^[\w@$.]+$/.test(tag) || tag === "else") {
+      const lineStart = source.lastIndexOf("\n", start - 1) + 1;
+      const lineEnd = source.indexOf("\n", end);
+      const before = source.slice(lineStart, start);
+      const after = source.slice(end, lineEnd === -1 ? undefined : lineEnd);
+      if (lineStart >= last && !before.trim() && !after.trim()) {
+        indent = before;
+        start = lineStart;
+        end = lineEnd === -1 ? source.length : lineEnd + 1;
+      }
+    }
+
+    if (start > last)
+      target().push({ type: "text", value: source.slice(last, start) });
+    last = end;
+
+    if (tag === "else") {
+      const block = stack[stack.length - 1];
+      if (block === root || block.inElse) {
+        throw new Error(`Unexpected {{else}} in template "${name}".`);
+      }
+      block.inElse = true;
+    } else if (tag.startsWith("#")) {
+      const [helper, expression] = tag.slice(1).trim().split(/\s+/);
+      if (!TEMPLATE_BLOCKS.includes(helper) || !expression) {
+        throw new Error(`Unknown block {{${tag}}} in template "${name}".`);
+      }
+      const block = { type: helper, expression, children: [], inverse: [] };
+      target().push(block);
+      stack.push(block);
+    } else if (tag.startsWith("/")) {
+      const helper = tag.slice(1).trim();
+      const block = stack.pop();
+      if (block === root || block.type !== helper) {
+        throw new Error(`Unexpected {{${tag}}} in template "${name}".`);
+      }
+    } else if (tag.startsWith(">")) {
+      target().push({ type: "partial", name: tag.slice(1).trim(), indent });
+    } else {
+      target().push({ type: "variable", expression: tag });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(
+      `Unclosed {{#${stack[stack.length - 1].type}}} in template "${name}".`
+    );
+  }
+  if (last < source.length) {
+    target().push({ type: "text", value: source.slice(last) });
+  }
+  return root.children;
+}
+
+// Resolve `this`, `@index`/`@first`/`@last` and dotted paths against the
+// scopes of the enclosing {{#each}} blocks, innermost first
+function lookupTemplateValue(scopes, expression) {
+  if (expression === "this") return scopes[0].value;
+  if (expression.startsWith("@root.")) {
+    return lookupTemplateValue(scopes.slice(-1), expression.slice(6));
+  }
+  if (expression.startsWith("@")) {
+    return scopes.find((scope) => scope.loop)?.loop[expression.slice(1)];
+  }
+  const [head, ...rest] = expression.split(".");
+  const scope = scopes.find(
+    ({ value }) => value !== null && typeof value === "object" && head in value
+  );
+  return rest.reduce((value, key) => value?.[key], scope?.value[head]);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes, name) {
+  return nodes
+    .map((node) => {
+      switch (node.type) {
+        case "text":
+          return node.value;
+        case "variable": {
+          const value = lookupTemplateValue(scopes, node.expression);
+          if (value === undefined || value === null) {
+            throw new Error(
+              `Template "${name}" uses unknown variable {{${node.expression}}}.`
+            );
+          }
+          return String(value);
+        }
+        case "if":
+        case "unless": {
+          const value = isTruthy(lookupTemplateValue(scopes, node.expression));
+          const branch =
+            value === (node.type === "if") ? node.children : node.inverse;
+          return renderNodes(branch, scopes, name);
+        }
+        case "each": {
+          const items = lookupTemplateValue(scopes, node.expression) ?? [];
+          if (!items.length) return renderNodes(node.inverse, scopes, name);
+          return items
+            .map((item, index) =>
+              renderNodes(
+                node.children,
+                [
+                  {
+                    value: item,
+                    loop: {
+                      index,
+                      first: index === 0,
+                      last: index === items.length - 1,
+                    },
+                  },
+                  ...scopes,
+                ],
+                name
+              )
+            )
+            .join("");
+        }
+        case "partial": {
+          const partialName = `partials/${node.name}.template`;
+          const content = renderNodes(
+            parseTemplate(loadTemplate(partialName), partialName),
+            scopes,
+            partialName
+          );
+          return node.indent
+            ? content.replace(/^(?=.)/gm, node.indent)
+            : content;
+        }
+      }
+    })
+    .join("");
+}
+
+// Render a template with the project settings (routerType, baseFolder,
+// importAlias) and the naming variants of `name` available as variables
+function renderTemplate(name, data = {}) {
+  const config = readConfig();
+  const baseFolder = config.baseFolder ?? CONFIG_DETECTORS.baseFolder();
+  const context = {
+    routerType:
+      config.routerType ??
+      (fs.existsSync(path.join(process.cwd(), baseFolder, "app"))
+        ? "App Router"
+        : "Pages Router"),
+    baseFolder,
+    importAlias: projectSetting("importAlias"),
+    ...data,
+  };
+  context.isAppRouter = context.routerType === "App Router";
+  // Generated tests import describe/it/expect from vitest, or use Jest's
+  // globals
+  context.isVitest ??= projectSetting("testRunner") === "vitest";
+  if (typeof context.name === "string") {
+    context.PascalName ??= toPascalCase(context.name);
+    context.pluralName ??= pluralize(context.name);
+    context.PluralName ??= toPascalCase(context.pluralName);
+    context.kebabName ??= toKebabCase(context.name);
+  }
+
+  const output = renderNodes(
+    parseTemplate(loadTemplate(name), name),
+    [{ value: context }],
+    name
+  );
+  return `${output
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/^\n+/, "")
+    .trimEnd()}\n`;
+}
+
+// Enhance the project based on user input
+async function enhanceProject({
+  routerType,
+  baseFolder,
+  siteName,
+  wireLayout,
+}) {
+  const folderStructures = {
+    "App Router": [
+      `${baseFolder}/components/ui`,
+      `${baseFolder}/hooks`,
+      `${baseFolder}/lib`,
+      `${baseFolder}/services`,
+      `${baseFolder}/styles`,
+      `${baseFolder}/types`,
+      `${baseFolder}/utils`,
+      `${baseFolder}/app/api`, // Added App Router-specific API folder
+    ],
+    "Pages Router": [
+      `${baseFolder}/pages/api`,
+      `${baseFolder}/components/ui`,
+      `${baseFolder}/hooks`,
+      `${baseFolder}/lib`,
+      `${baseFolder}/services`,
+      `${baseFolder}/styles`,
+      `${baseFolder}/types`,
+      `${baseFolder}/utils`,
+    ],
+  };
+
+  const templates = {
+    "App Router": {
+      error: "app/error.template.tsx",
+      page: "app/page.template.tsx",
+      lib: {
+        api: "lib/api.template.ts",
+        constants: "lib/constants.template.ts",
+      },
+    },
+    "Pages Router": {
+      _error: "pages/_error.template.tsx",
+      index: "pages/index.template.tsx",
+      lib: {
+        api: "lib/api.template.ts",
+        constants: "lib/constants.template.ts",
+      },
+    },
+  };
+
+  // Create folders
+  folderStructures[routerType].forEach((folder) => {
+    const fullPath = path.join(process.cwd(), folder);
+    if (!ensureDir(fullPath)) {
+      skipPath(fullPath);
+    }
+  });
+
+  // Create files from templates
+  const libTemplates = templates[routerType].lib;
+  Object.entries(libTemplates).forEach(([key, templateName]) => {
+    const outputFile = path.join(process.cwd(), `${baseFolder}/lib/${key}.ts`);
+    if (!pathExists(outputFile)) {
+      writeFile(
+        outputFile,
+        renderTemplate(templateName, {
+          routerType,
+          baseFolder,
+          ...(key === "api" ? apiClientData({ baseFolder }) : {}),
+        })
+      );
+    } else {
+      skipPath(outputFile);
+    }
+  });
+
+  Object.entries(templates[routerType]).forEach(([key, templateName]) => {
+    if (key === "lib") return; // Skip lib files already processed
+    const outputFile = path.join(
+      process.cwd(),
+      `${baseFolder}/${routerType === "App Router" ? "app" : "pages"}`,
+      `${key}.tsx`
+    );
+    if (!pathExists(outputFile)) {
+      writeFile(
+        outputFile,
+        renderTemplate(templateName, { routerType, baseFolder })
+      );
+    } else {
+      skipPath(outputFile);
+    }
+  });
+
+  // The root layout or _app.tsx, with the header and footer
+  await generateLayout({ routerType, baseFolder, siteName, wire: wireLayout });
+
+  console.log(chalk.green("Project enhanced successfully!"));
+  console.log(
+    chalk.blue(
+      "\nNote: You can modify the structure according to your needs; this is just a starting point to help you get started."
+    )
+  );
+}
+
+// Command to add boilerplate to an existing project
+program
+  .command("add")
+  .description(
+    "Add detailed boilerplate structure to an existing Next.js project"
+  )
+  .option("--src", "The project uses a src/ folder")
+  .option("--no-src", "The project does not use a src/ folder")
+  .option("--create-src", "Create a src/ folder")
+  .option("--no-create-src", "Do not create a src/ folder")
+  .option("--site-name <name>", "Name shown in the header and footer")
+  .option(
+    "--wire-layout",
+    "Add the header and footer even if the layout was not generated"
+  )
+  .option("--no-wire-layout", "Leave layout.tsx / _app.tsx untouched")
+  .action(async (options) => {
+    console.log(
+      chalk.blue("Enhancing your Next.js project with boilerplate...")
+    );
+
+    if (!fs.existsSync(path.join(process.cwd(), "package.json"))) {
+      console.log(
+        chalk.red("Error: No package.json found. Are you in a Next.js project?")
+      );
+      return;
+    }
+
+    const setup = projectSetup();
+
+    console.log(
+      chalk.blue(
+        `Detected router type: ${setup.routerType}. Proceeding with the detected setup.`
+      )
+    );
+
+    // Next.js ignores src/app and src/pages when app/ or pages/ sits at the
+    // root, so src/ is only offered when there is no router folder to move
+    const rootRouterDir = ["app", "pages"]
+      .map((dir) => path.join(process.cwd(), dir))
+      .find((dir) => pathExists(dir));
+    if (rootRouterDir && options.createSrc) {
+      console.log(
+        chalk.yellow(
+          `Note: Not creating src/: Next.js would ignore it next to ${displayPath(
+            rootRouterDir
+          )}. Move ${displayPath(rootRouterDir)} into src/ first.`
+        )
+      );
+    }
+
+    const answers = await ask(
+      [
+        {
+          type: "confirm",
+          name: "useSrc",
+          message: "Does your project use a src/ folder?",
+          default: setup.baseFolder === "src",
+          flag: "--src / --no-src",
+        },
+        {
+          type: "confirm",
+          name: "createSrc",
+          message: "Do you want to create a src/ folder?",
+          default: true,
+          when: (answers) => !answers.useSrc && !rootRouterDir,
+          flag: "--create-src / --no-create-src",
+        },
+      ],
+      { useSrc: options.src, createSrc: options.createSrc }
+    );
+
+    const baseFolder =
+      setup.baseFolder === "src" || answers.createSrc ? "src" : "";
+
+    const { siteName } = await askSiteName(options.siteName);
+    await enhanceProject({
+      routerType: setup.routerType,
+      baseFolder,
+      siteName: siteName.trim(),
+      wireLayout: options.wireLayout,
+    });
+    ensureConfig({ routerType: setup.routerType, baseFolder });
+
+    console.log(chalk.blue("Installing Axios dependency..."));
+    if (installDependencies(["axios"])) {
+      console.log(chalk.green("Axios added successfully!"));
+    } else {
+      console.log(chalk.red("Error installing Axios. Check your setup."));
+    }
+  });
+
+// Command to create the project config file
+program
+  .command("init")
+  .description(`Create ${CONFIG_FILE} with the project settings`)
+  .option("--src", "The project uses a src/ folder")
+  .option("--no-src", "The project does not use a src/ folder")
+  .option(
+    "--import-alias <alias>",
+    'Import alias for generated code (e.g. "@/*")'
+  )
+  .option("--package-manager <name>", "Package manager (npm, yarn, pnpm, bun)")
+  .option(
+    "--styling <choice>",
+    "Styling for generated components (tailwind, css-modules, scss, none)"
+  )
+  .option("--state <library>", "State library (redux, none)")
+  .option("--template-dir <dir>", "Folder with template overrides")
+  .option("--force", `Overwrite an existing ${CONFIG_FILE}`, false)
+  .action(async (options) => {
+    const configPath = path.join(process.cwd(), CONFIG_FILE);
+    if (pathExists(configPath) && !options.force) {
+      console.log(
+        chalk.yellow(
+          `${CONFIG_FILE} already exists. Use \`config set\` to change a setting or --force to recreate it.`
+        )
+      );
+      return;
+    }
+
+    const detected = projectSetup();
+    const choices = (key) =>
+      CONFIG_OPTIONS[key].map((value) => ({ name: value || "(none)", value }));
+    const answers = await ask(
+      [
+        {
+          type: "list",
+          name: "routerType",
+          message: "Which router does the project use?",
+          choices: choices("routerType"),
+          default: detected.routerType,
+          flag: "--router <type>",
+        },
+        {
+          type: "confirm",
+          name: "useSrc",
+          message: "Does your project use a src/ folder?",
+          default: detected.baseFolder === "src",
+          flag: "--src / --no-src",
+        },
+        {
+          type: "input",
+          name: "importAlias",
+          message:
+            'Import alias for generated code (e.g. "@/*", empty for relative imports):',
+          default: detected.importAlias,
+          flag: "--import-alias <alias>",
+        },
+        {
+          type: "list",
+          name: "packageManager",
+          message: "Which package manager should install dependencies?",
+          choices: choices("packageManager"),
+          default: detected.packageManager,
+          flag: "--package-manager <name>",
+        },
+        {
+          type: "list",
+          name: "styling",
+          message: "How should generated components be styled?",
+          choices: choices("styling"),
+          default: detected.styling,
+          flag: "--styling <choice>",
+        },
+        {
+          type: "list",
+          name: "stateLibrary",
+          message: "Which state library does the project use?",
+          choices: choices("stateLibrary"),
+          default: detected.stateLibrary,
+          flag: "--state <library>",
+        },
+        {
+          type: "input",
+          name: "templateDir",
+          message: "Folder with template overrides (empty for none):",
+          default: detected.templateDir,
+          flag: "--template-dir <dir>",
+        },
+      ],
+      {
+        routerType: program.opts().router,
+        useSrc: options.src,
+        importAlias: options.importAlias,
+        packageManager: options.packageManager,
+        styling: options.styling,
+        stateLibrary: options.state,
+        templateDir: options.templateDir,
+      }
+    );
+
+    const { useSrc, ...settings } = answers;
+    settings.baseFolder = useSrc ? "src" : "";
+    writeConfig(
+      Object.fromEntries(
+        Object.keys(CONFIG_OPTIONS).map((key) => [
+          key,
+          normalizeConfigValue(key, settings[key] ?? detected[key] ?? ""),
+        ])
+      )
+    );
+  });
+
+// Read or change a setting in the project config file
+const configCommand = program
+  .command("config")
+  .description(`Read or change the settings in ${CONFIG_FILE}`);
+
+configCommand
+  .command("get [key]")
+  .description("Print a setting, or all settings with where each comes from")
+  .action((key) => {
+    // Reading settings never needs a router directory
+    if (key) {
+      assertConfigKey(key);
+      console.log(projectSetting(key, { optional: true }) ?? "");
+      return;
+    }
+    const config = readConfig();
+    Object.entries(projectSetup({ optional: true })).forEach(
+      ([name, value]) => {
+        console.log(
+          `${name}: ${JSON.stringify(value)} ${chalk.gray(
+            name in config
+              ? "(config)"
+              : value === null
+              ? "(not detected)"
+              : "(detected)"
+          )}`
+        );
+      }
+    );
+  });
+
+configCommand
+  .command("set <key> <value>")
+  .description("Change a setting, creating the config file if needed")
+  .action((key, value) => {
+    const normalized = normalizeConfigValue(key, value);
+    const config = readConfig();
+    // A router that can't be detected is left out rather than guessed
+    const detected = Object.fromEntries(
+      Object.entries(projectSetup({ optional: true })).filter(
+        ([, setting]) => setting !== null
+      )
+    );
+    writeConfig({
+      ...(Object.keys(config).length ? config : detected),
+      [key]: normalized,
+    });
+    console.log(chalk.green(`Set ${key} to ${JSON.stringify(normalized)}.`));
+  });
+
+// Parse a TypeScript/TSX module into a recast AST that keeps the original
+// formatting of every node we don't touch
+function parseModule(source) {
+  return recast.parse(source, { parser: babelTsParser });
+}
+
+// Print a recast AST, matching the quote style already used by the file
+function printModule(ast, source) {
+  return recast.print(ast, { quote: quoteStyle(source), trailingComma: true })
+    .code;
+}
+
+function quoteStyle(source) {
+  return /from '/.test(source) ? "single" : "double";
+}
+
+// Add import statements right after the last existing import (or after the
+// directives such as "use client" when there are none). recast would surround
+// new statements with blank lines, so the text is spliced at the AST position.
+// Imports without a name are side-effect imports, e.g. import "./globals.css".
+function addImports(source, imports) {
+  if (!imports.length) return source;
+  const quote = quoteStyle(source) === "single" ? "'" : '"';
+  const lines = imports.map(({ name, named = false, from }) =>
+    name
+      ? `import ${named ? `{ ${name} }` : name} from ${quote}${from}${quote};`
+      : `import ${quote}${from}${quote};`
+  );
+
+  const { program } = parseModule(source);
+  const lastImport = program.body
+    .filter((node) => node.type === "ImportDeclaration")
+    .pop();
+  const anchor = lastImport ?? program.directives?.slice(-1)[0];
+
+  if (!anchor) return `${lines.join("\n")}\n\n${source}`;
+  return `${source.slice(0, anchor.end)}\n${lastImport ? "" : "\n"}${lines.join(
+    "\n"
+  )}${source.slice(anchor.end)}`;
+}
+
+// Read the name of an object property key, e.g. `reducer` or `"reducer"`
+function propertyName(property) {
+  if (!property.key) return null;
+  return property.key.type === "Identifier"
+    ? property.key.name
+    : property.key.value;
+}
+
+// Find the object literal holding the reducers passed to configureStore(),
+// following `reducer: rootReducer` to a local object or combineReducers() call
+function findReducerMap(ast, storePath) {
+  const b = recast.types.builders;
+  let storeOptions = null;
+
+  recast.visit(ast, {
+    visitCallExpression(nodePath) {
+      const { callee, arguments: args } = nodePath.node;
+      if (
+        callee.type === "Identifier" &&
+        callee.name === "configureStore" &&
+        args[0]?.type === "ObjectExpression"
+      ) {
+        storeOptions = args[0];
+        return false;
+      }
+      this.traverse(nodePath);
+    },
+  });
+
+  if (!storeOptions) {
+    throw new Error(
+      `Could not find a configureStore({ ... }) call in ${displayPath(
+        storePath
+      )}.`
+    );
+  }
+
+  let reducerProperty = storeOptions.properties.find(
+    (property) => propertyName(property) === "reducer"
+  );
+  if (!reducerProperty) {
+    reducerProperty = b.objectProperty(
+      b.identifier("reducer"),
+      b.objectExpression([])
+    );
+    storeOptions.properties.unshift(reducerProperty);
+  }
+
+  let reducerValue = reducerProperty.value;
+  if (reducerValue.type === "Identifier") {
+    let declaration = null;
+    recast.visit(ast, {
+      visitVariableDeclarator(nodePath) {
+        if (nodePath.node.id.name === reducerValue.name) {
+          declaration = nodePath.node;
+        }
+        return false;
+      },
+    });
+    reducerValue = declaration?.init;
+  }
+  if (
+    reducerValue?.type === "CallExpression" &&
+    reducerValue.callee.name === "combineReducers"
+  ) {
+    reducerValue = reducerValue.arguments[0];
+  }
+
+  if (reducerValue?.type !== "ObjectExpression") {
+    throw new Error(
+      `Could not find the reducer map in ${displayPath(
+        storePath
+      )}. Register the slices by hand.`
+    );
+  }
+  return reducerValue;
+}
+
+// Merge slice reducers into store/index.ts, keeping the reducers, imports and
+// middleware that are already there
+function registerSlices(storePath, sliceNames, { routerType }) {
+  const b = recast.types.builders;
+  const newImports = [];
+  // A new store creates one store per request through makeStore(); Pages
+  // Router projects also get a shared `store`
+  const source =
+    readProjectFile(storePath) ??
+    renderTemplate("store/index.template.ts", { routerType });
+  const ast = parseModule(source);
+  const reducerMap = findReducerMap(ast, storePath);
+  const body = ast.program.body;
+
+  sliceNames.forEach((slice) => {
+    const registered = reducerMap.properties.some(
+      (property) => propertyName(property) === slice
+    );
+    if (registered) return;
+
+    const importSource = `./slices/${slice}Slice`;
+    const importDeclaration = body.find(
+      (node) =>
+        node.type === "ImportDeclaration" &&
+        node.source.value.replace(/\.(ts|js)$/, "") === importSource
+    );
+    let localName = importDeclaration?.specifiers.find(
+      (specifier) => specifier.type === "ImportDefaultSpecifier"
+    )?.local.name;
+
+    if (!localName) {
+      localName = `${slice}Reducer`;
+      newImports.push({ name: localName, from: importSource });
+    }
+
+    reducerMap.properties.push(
+      b.objectProperty(b.identifier(slice), b.identifier(localName))
+    );
+  });
+
+  writeFile(
+    storePath,
+    `${addImports(printModule(ast, source), newImports).trimEnd()}\n`
+  );
+}
+
+// Check whether a file was created by a run recorded in the manifest
+function isGeneratedFile(file) {
+  const relativePath = displayPath(file);
+  return readManifest().runs.some(
+    (run) =>
+      !run.undoneAt &&
+      run.files.some(
+        (entry) => entry.path === relativePath && entry.action === "create"
+      )
+  );
+}
+
+// Check whether a file still has the contents the last run that wrote it
+// recorded, the same check undo makes before touching it
+function isUneditedGeneratedFile(file) {
+  if (!isGeneratedFile(file)) return false;
+  const relativePath = displayPath(file);
+  const entry = readManifest()
+    .runs.filter((run) => !run.undoneAt)
+    .flatMap((run) => run.files)
+    .filter((entry) => entry.path === relativePath && entry.hash)
+    .pop();
+  const content = readProjectFile(file);
+  return (
+    Boolean(entry) && content !== null && hashContent(content) === entry.hash
+  );
+}
+
+// Make sure store/index.ts exports a makeStore() factory and the AppStore
+// type, converting a module-level `export const store = configureStore()`
+function ensureMakeStore(storePath) {
+  const source = readProjectFile(storePath);
+  if (/export\s+(const|function)\s+makeStore\b/.test(source)) return;
+
+  const ast = parseModule(source);
+  const body = ast.program.body;
+  const index = body.findIndex(
+    (node) =>
+      node.type === "ExportNamedDeclaration" &&
+      node.declaration?.type === "VariableDeclaration" &&
+      node.declaration.declarations.some(
+        (declarator) =>
+          declarator.id.name === "store" &&
+          declarator.init?.callee?.name === "configureStore"
+      )
+  );
+  if (index === -1) {
+    throw new Error(
+      `Could not find \`export const store = configureStore(...)\` in ${displayPath(
+        storePath
+      )}. Export a makeStore() factory by hand.`
+    );
+  }
+
+  const storeCall = body[index].declaration.declarations[0].init;
+  const replacement = parseModule(
+    `export const makeStore = () => ${
+      recast.print(storeCall).code
+    };\n\nexport type AppStore = ReturnType<typeof makeStore>;\n\nexport const store = makeStore();\n`
+  ).program.body;
+  body.splice(index, 1, ...replacement);
+
+  writeFile(storePath, `${printModule(ast, source).trimEnd()}\n`);
+}
+
+// Find the first JSX node in an AST matching a predicate
+function findJSX(ast, matches) {
+  let found = null;
+  recast.visit(ast, {
+    visitJSXElement(nodePath) {
+      if (matches(nodePath.node)) {
+        found = nodePath;
+        return false;
+      }
+      this.traverse(nodePath);
+    },
+    visitJSXExpressionContainer(nodePath) {
+      if (matches(nodePath.node)) {
+        found = nodePath;
+        return false;
+      }
+      this.traverse(nodePath);
+    },
+  });
+  return found;
+}
+
+const jsxName = (node) => node.openingElement?.name.name;
+
+// Wrap a JSX node in `<name {...attributes}>`
+function wrapJSX(nodePath, name, attributes = []) {
+  const b = recast.types.builders;
+  nodePath.replace(
+    b.jsxElement(
+      b.jsxOpeningElement(b.jsxIdentifier(name), attributes),
+      b.jsxClosingElement(b.jsxIdentifier(name)),
+      [nodePath.node]
+    )
+  );
+}
+
+// Wrap the app in the Redux Provider: a client StoreProvider around
+// `children` in app/layout.tsx, or <Provider> around <Component> in _app.tsx
+async function wireReduxProvider({ baseFolder, routerType, wire }) {
+  const b = recast.types.builders;
+  const isAppRouter = routerType === "App Router";
+  const routerDir = path.join(
+    process.cwd(),
+    `${baseFolder}/${isAppRouter ? "app" : "pages"}`
+  );
+  const entryPath = path.join(
+    routerDir,
+    isAppRouter ? "layout.tsx" : "_app.tsx"
+  );
+  const storeImport = importPath(
+    entryPath,
+    path.join(process.cwd(), `${baseFolder}/store/index.ts`)
+  );
+  const snippet = isAppRouter
+    ? `import StoreProvider from "./StoreProvider";\n\n// Inside RootLayout\n<body>\n  <StoreProvider>{children}</StoreProvider>\n</body>`
+    : `import { Provider } from "react-redux";\nimport { store } from "${storeImport}";\n\n// Inside App\n<Provider store={store}>\n  <Component {...pageProps} />\n</Provider>`;
+
+  if (isAppRouter) {
+    ensureMakeStore(path.join(process.cwd(), `${baseFolder}/store/index.ts`));
+
+    const providerPath = path.join(routerDir, "StoreProvider.tsx");
+    if (!pathExists(providerPath)) {
+      writeFile(
+        providerPath,
+        renderTemplate("app/StoreProvider.template.tsx", {
+          routerType,
+          baseFolder,
+          storeImport,
+        })
+      );
+    } else {
+      skipPath(providerPath);
+    }
+  }
+
+  await wrapAppEntry({
+    entryPath,
+    routerType,
+    label: "the Redux Provider",
+    provider: isAppRouter ? "StoreProvider" : "Provider",
+    attributes: isAppRouter
+      ? []
+      : [
+          b.jsxAttribute(
+            b.jsxIdentifier("store"),
+            b.jsxExpressionContainer(b.identifier("store"))
+          ),
+        ],
+    imports: isAppRouter
+      ? [{ name: "StoreProvider", from: "./StoreProvider" }]
+      : [
+          { name: "Provider", named: true, from: "react-redux" },
+          { name: "store", named: true, from: storeImport },
+        ],
+    snippet,
+    wire,
+  });
+}
+
+// Wrap the app in a provider component: `{children}` in app/layout.tsx or
+// <Component> in pages/_app.tsx. Files this CLI did not generate are only
+// edited after asking.
+async function wrapAppEntry({
+  entryPath,
+  routerType,
+  label,
+  provider,
+  attributes = [],
+  imports,
+  snippet,
+  wire,
+}) {
+  const isAppRouter = routerType === "App Router";
+  const printManualStep = (reason) => {
+    console.log(chalk.yellow(`\nNote: ${reason}`));
+    console.log(
+      chalk.blue(
+        `Wrap your app with ${label} in \`${path.basename(
+          entryPath
+        )}\`:\n\n${snippet}`
+      )
+    );
+  };
+
+  const source = readProjectFile(entryPath);
+  if (source === null) {
+    printManualStep(`${displayPath(entryPath)} was not found.`);
+    return;
+  }
+
+  // Only edit files this CLI did not generate after asking
+  if (!isGeneratedFile(entryPath)) {
+    const { wireProvider } = await ask(
+      [
+        {
+          type: "confirm",
+          name: "wireProvider",
+          message: `${displayPath(
+            entryPath
+          )} was not generated by this CLI. Wrap it with ${label}?`,
+          default: true,
+          flag: "--wire-provider / --no-wire-provider",
+        },
+      ],
+      { wireProvider: wire }
+    );
+    if (!wireProvider) {
+      skipPath(entryPath, "left unchanged");
+      printManualStep(`${capitalizeFirstLetter(label)} was not added.`);
+      return;
+    }
+  }
+
+  const ast = parseModule(source);
+  if (findJSX(ast, (node) => jsxName(node) === provider)) {
+    skipPath(entryPath, `${provider} already present`);
+    return;
+  }
+
+  const target = isAppRouter
+    ? findJSX(
+        ast,
+        (node) =>
+          node.type === "JSXExpressionContainer" &&
+          node.expression.type === "Identifier" &&
+          node.expression.name === "children"
+      )
+    : findJSX(ast, (node) => jsxName(node) === "Component");
+  if (!target) {
+    printManualStep(
+      `Could not find ${
+        isAppRouter ? "{children}" : "<Component />"
+      } in ${displayPath(entryPath)}.`
+    );
+    return;
+  }
+
+  wrapJSX(target, provider, attributes);
+  writeFile(entryPath, addImports(printModule(ast, source), imports));
+}
+
+// Convert names like "forgot-password" to "ForgotPassword"
+function toPascalCase(name) {
+  return name
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((part) => capitalizeFirstLetter(part))
+    .join("");
+}
+
+// Module specifier for importing `toFile` from `fromFile`, without extension
+function relativeImport(fromFile, toFile) {
+  const specifier = path
+    .relative(path.dirname(fromFile), toFile)
+    .split(path.sep)
+    .join("/")
+    .replace(/(\.d)?\.tsx?$/, "")
+    .replace(/\/index$/, "");
+  return specifier.startsWith(".") ? specifier : `./${specifier}`;
+}
+
+// Module specifier for a generated import: the project's import alias (e.g.
+// "@/services/userService") when a relative path would climb out of the
+// importing folder, else the relative path
+function importPath(fromFile, toFile) {
+  const relative = relativeImport(fromFile, toFile);
+  const alias = projectSetting("importAlias");
+  const aliasRoot = path.join(process.cwd(), projectSetting("baseFolder"));
+  if (
+    !alias ||
+    !relative.startsWith("../") ||
+    path.relative(aliasRoot, toFile).startsWith("..")
+  ) {
+    return relative;
+  }
+  return `${alias.replace(/\*$/, "")}${relativeImport(
+    path.join(aliasRoot, "index.ts"),
+    toFile
+  ).slice(2)}`;
+}
+
+// Split rendered declarations into named chunks at blank lines. Comments
+// without a declaration of their own stay with the next declaration.
+function splitDeclarations(content) {
+  const declarations = [];
+  let pending = [];
+  content
+    .trim()
+    .split(/\n{2,}/)
+    .forEach((chunk) => {
+      const match = chunk.match(/^export\s+(?:interface|type)\s+(\w+)/m);
+      if (!match) {
+        pending.push(chunk);
+        return;
+      }
+      declarations.push({
+        name: match[1],
+        content: [...pending, chunk].join("\n\n"),
+      });
+      pending = [];
+    });
+  return declarations;
+}
+
+// Write the declarations (interfaces/types) rendered from a types/ template
+// into a types/ file, appending the ones that are missing when the file
+// already exists
+function ensureTypeDeclarations(typePath, templateName, data) {
+  const declarations = splitDeclarations(renderTemplate(templateName, data));
+  const source = readProjectFile(typePath);
+  const missing = declarations.filter(
+    ({ name }) =>
+      source === null ||
+      !new RegExp(`(interface|type)\\s+${name}\\b`).test(source)
+  );
+
+  if (!missing.length) {
+    skipPath(typePath);
+    return;
+  }
+
+  const content = missing.map(({ content }) => content.trimEnd()).join("\n\n");
+  writeFile(
+    typePath,
+    source === null ? `${content}\n` : `${source.trimEnd()}\n\n${content}\n`
+  );
+}
+
+// Naive English plural used for thunk names and API paths (user -> users)
+function pluralize(word) {
+  if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/.test(word)) return `${word}es`;
+  return `${word}s`;
+}
+
+// Create lib/api.ts (the shared axios instance) when it is missing
+function ensureApiClient({ baseFolder }) {
+  const apiPath = path.join(process.cwd(), `${baseFolder}/lib/api.ts`);
+  if (pathExists(apiPath)) return;
+
+  writeFile(
+    apiPath,
+    renderTemplate("lib/api.template.ts", {
+      baseFolder,
+      ...apiClientData({ baseFolder }),
+    })
+  );
+  if (!declaredDependencies().axios) {
+    console.log(chalk.blue("Installing Axios dependency..."));
+    installDependencies(["axios"]);
+  }
+}
+
+// Create a service in services/ with CRUD calls on the lib/api.ts instance
+function generateService(
+  name,
+  { baseFolder, basePath = `/${pluralize(name)}` }
+) {
+  const servicePath = path.join(
+    process.cwd(),
+    `${baseFolder}/services/${name}Service.ts`
+  );
+  if (pathExists(servicePath)) {
+    skipPath(servicePath);
+    return;
+  }
+
+  ensureApiClient({ baseFolder });
+  writeFile(
+    servicePath,
+    renderTemplate("services/service.template.ts", {
+      name,
+      baseFolder,
+      basePath,
+      apiImport: importPath(
+        servicePath,
+        path.join(process.cwd(), `${baseFolder}/lib/api.ts`)
+      ),
+      typesImport: importPath(
+        servicePath,
+        path.join(process.cwd(), `${baseFolder}/types/${name}.d.ts`)
+      ),
+    })
+  );
+}
+
+// Create a slice in store/slices and its state interface in types/. With
+// `withThunks`, the slice gets createAsyncThunk CRUD actions backed by a
+// matching service in services/. With `withTests`, a reducer test sits next
+// to it.
+function generateSlice(
+  slice,
+  { baseFolder, withThunks = false, withTests = false }
+) {
+  const slicePath = path.join(
+    process.cwd(),
+    `${baseFolder}/store/slices/${slice}Slice.ts`
+  );
+  const typePath = path.join(
+    process.cwd(),
+    `${baseFolder}/types/${slice}.d.ts`
+  );
+
+  ensureTypeDeclarations(typePath, "types/slice.template.d.ts", {
+    name: slice,
+    baseFolder,
+    withThunks,
+  });
+
+  if (withThunks) {
+    generateService(slice, { baseFolder });
+  }
+
+  if (withTests) {
+    const testPath = slicePath.replace(/\.ts$/, ".test.ts");
+    if (pathExists(testPath)) {
+      skipPath(testPath);
+    } else {
+      writeFile(
+        testPath,
+        renderTemplate("store/slice.test.template.ts", {
+          name: slice,
+          withThunks,
+        })
+      );
+    }
+  }
+
+  if (pathExists(slicePath)) {
+    skipPath(slicePath);
+    return;
+  }
+
+  writeFile(
+    slicePath,
+    renderTemplate("store/slice.template.ts", {
+      name: slice,
+      baseFolder,
+      withThunks,
+      serviceImport: importPath(
+        slicePath,
+        path.join(process.cwd(), `${baseFolder}/services/${slice}Service.ts`)
+      ),
+      typesImport: importPath(slicePath, typePath),
+    })
+  );
+}
+
+// Export RootState/AppDispatch from store/index.ts and create the typed
+// useAppDispatch/useAppSelector hooks in store/hooks.ts
+function ensureStoreTypes({ baseFolder }) {
+  const storePath = path.join(process.cwd(), `${baseFolder}/store/index.ts`);
+  const source = readProjectFile(storePath);
+  if (source === null) return;
+
+  const hasMakeStore = /export\s+(const|function)\s+makeStore\b/.test(source);
+  const storeTypes = hasMakeStore
+    ? {
+        AppStore: "ReturnType<typeof makeStore>",
+        RootState: 'ReturnType<AppStore["getState"]>',
+        AppDispatch: 'AppStore["dispatch"]',
+      }
+    : {
+        RootState: "ReturnType<typeof store.getState>",
+        AppDispatch: "typeof store.dispatch",
+      };
+  const missingTypes = Object.entries(storeTypes)
+    .filter(
+      ([name]) => !new RegExp(`export\\s+type\\s+${name}\\b`).test(source)
+    )
+    .map(([name, type]) => `export type ${name} = ${type};`);
+
+  if (missingTypes.length) {
+    writeFile(storePath, `${source.trimEnd()}\n\n${missingTypes.join("\n")}\n`);
+  }
+
+  const hooksPath = path.join(process.cwd(), `${baseFolder}/store/hooks.ts`);
+  if (!pathExists(hooksPath)) {
+    writeFile(
+      hooksPath,
+      renderTemplate("store/hooks.template.ts", { baseFolder })
+    );
+  }
+}
+
+// Split a comma-separated list of names, dropping empty entries
+function parseNames(names) {
+  return names
+    ? names
+        .split(",")
+        .map((name) => name.trim())
+        .filter((name) => name !== "")
+    : [];
+}
+
+// Command to add Redux setup
+program
+  .command("add-redux")
+  .description("Add Redux Toolkit setup to your Next.js project")
+  .option(
+    "--slices <names>",
+    "Additional slice names (comma-separated, e.g., user,product)"
+  )
+  .option(
+    "--wire-provider",
+    "Wrap the app in the Redux Provider even if the layout was not generated"
+  )
+  .option("--no-wire-provider", "Leave layout.tsx / _app.tsx untouched")
+  .option("--with-tests", "Generate a reducer test for each slice", false)
+  .action(async (options) => {
+    console.log(chalk.blue("Adding Redux Toolkit setup to your project..."));
+
+    const { baseFolder, routerType } = projectSetup();
+
+    await setupRedux({
+      baseFolder,
+      routerType,
+      slices: options.slices,
+      wireProvider: options.wireProvider,
+      withTests: options.withTests,
+    });
+
+    // add-module and add-resource generate slices by default from now on
+    if (pathExists(path.join(process.cwd(), CONFIG_FILE))) {
+      writeConfig({ ...readConfig(), stateLibrary: "redux" });
+    }
+    noteTestRunner(options.withTests);
+  });
+
+// Command to add slices to an existing Redux store
+program
+  .command("add-slice <sliceNames>")
+  .description(
+    "Add one or more Redux slices (comma-separated, e.g., cart,order) and register them in the store"
+  )
+  .option(
+    "--with-thunks",
+    "Generate createAsyncThunk CRUD actions backed by a service in services/",
+    false
+  )
+  .option("--with-tests", "Generate a reducer test for each slice", false)
+  .action((sliceNames, options) => {
+    const { baseFolder, routerType } = projectSetup();
+    const slices = parseNames(sliceNames);
+
+    if (slices.length === 0) {
+      console.log(chalk.red("Error: No valid slice names provided."));
+      return;
+    }
+
+    addSlicesToStore(slices, {
+      baseFolder,
+      routerType,
+      withThunks: options.withThunks,
+      withTests: options.withTests,
+    });
+    noteTestRunner(options.withTests);
+  });
+
+// Generate slices and register them in store/index.ts, creating the store
+// when the project has none yet
+function addSlicesToStore(
+  slices,
+  { baseFolder, routerType, withThunks, withTests }
+) {
+  const storePath = path.join(process.cwd(), `${baseFolder}/store/index.ts`);
+  if (!pathExists(storePath)) {
+    console.log(
+      chalk.yellow(
+        "No store found. Creating store/index.ts; run `add-redux` to install Redux Toolkit."
+      )
+    );
+  }
+
+  slices.forEach((slice) =>
+    generateSlice(slice, { baseFolder, withThunks, withTests })
+  );
+  registerSlices(storePath, slices, { routerType });
+  ensureStoreTypes({ baseFolder });
+
+  console.log(
+    chalk.green(`Registered slices in the store: ${slices.join(", ")}`)
+  );
+}
+
+async function setupRedux({
+  baseFolder,
+  routerType,
+  slices,
+  wireProvider,
+  withTests,
+}) {
+  const storeDir = path.join(process.cwd(), `${baseFolder}/store`);
+  const sliceDir = path.join(storeDir, "slices");
+  const typesDir = path.join(process.cwd(), `${baseFolder}/types`);
+
+  // Ensure the necessary directories exist
+  [storeDir, sliceDir, typesDir].forEach((dir) => ensureDir(dir));
+
+  const storePath = path.join(storeDir, "index.ts");
+
+  // Ensure `generalSlice` is always created
+  generateSlice("general", { baseFolder, withTests });
+
+  // Prompt the user for additional slice names
+  const { sliceNames } = await ask(
+    [
+      {
+        type: "input",
+        name: "sliceNames",
+        message:
+          "Enter additional slice names (comma-separated, e.g., user, product):",
+        default: "",
+        flag: "--slices <names>",
+      },
+    ],
+    { sliceNames: slices }
+  );
+
+  // Process additional slices
+  const additionalSlices = parseNames(sliceNames);
+  additionalSlices.forEach((slice) =>
+    generateSlice(slice, { baseFolder, withTests })
+  );
+
+  // Merge all reducers into store/index.ts
+  registerSlices(storePath, ["general", ...additionalSlices], { routerType });
+
+  await wireReduxProvider({ baseFolder, routerType, wire: wireProvider });
+  ensureStoreTypes({ baseFolder });
+
+  // Install Redux dependencies
+  console.log(chalk.blue("Installing Redux dependencies..."));
+  if (installDependencies(["@reduxjs/toolkit", "react-redux"])) {
+    console.log(chalk.green("Redux Toolkit setup completed successfully!"));
+  } else {
+    console.log(chalk.red("Error installing dependencies. Check your setup."));
+  }
+}
+
+const HTTP_METHODS = ["GET", "POST", "PUT", "DELETE"];
+
+// Parse a comma-separated list of HTTP verbs for --methods
+function parseMethods(methods) {
+  const verbs = parseNames(methods).map((method) => method.toUpperCase());
+  const invalid = verbs.filter((method) => !HTTP_METHODS.includes(method));
+  if (invalid.length) {
+    throw new Error(
+      `Unsupported HTTP method(s): ${invalid.join(
+        ", "
+      )}. Use any of ${HTTP_METHODS.join(", ")}.`
+    );
+  }
+  return verbs.length ? [...new Set(verbs)] : HTTP_METHODS;
+}
+
+// Create an API endpoint for a module route: an App Router route.ts with named
+// method exports, or a Pages Router handler. Request/response bodies are typed
+// in types/<module>.d.ts.
+function generateApiRoute({
+  moduleName,
+  route,
+  baseFolder,
+  routerType,
+  methods,
+}) {
+  const pascalRoute = toPascalCase(route);
+  const requestType = `${pascalRoute}Request`;
+  const responseType = `${pascalRoute}Response`;
+  const label = capitalizeFirstLetter(route);
+  const typePath = path.join(
+    process.cwd(),
+    `${baseFolder}/types/${moduleName}.d.ts`
+  );
+  const apiPath =
+    routerType === "App Router"
+      ? path.join(
+          process.cwd(),
+          `${baseFolder}/app/api/${moduleName}/${route}/route.ts`
+        )
+      : path.join(
+          process.cwd(),
+          `${baseFolder}/pages/api/${moduleName}/${route}.ts`
+        );
+
+  ensureTypeDeclarations(typePath, "types/apiRoute.template.d.ts", {
+    moduleName,
+    route,
+    requestType,
+    responseType,
+  });
+
+  if (pathExists(apiPath)) {
+    skipPath(apiPath);
+    return;
+  }
+
+  writeFile(
+    apiPath,
+    renderTemplate(
+      routerType === "App Router"
+        ? "app/api/route.template.ts"
+        : "pages/api/route.template.ts",
+      {
+        moduleName,
+        route,
+        routerType,
+        baseFolder,
+        label,
+        requestType,
+        responseType,
+        typesImport: importPath(apiPath, typePath),
+        methods: Object.fromEntries(methods.map((method) => [method, true])),
+        methodList: methods,
+        usesRequest: methods.some((method) => ["POST", "PUT"].includes(method)),
+      }
+    )
+  );
+}
+
+// Split the add-module argument into modules and their routes. A module can
+// list its routes after a colon: "auth,dashboard:settings,[id],[...slug]"
+// gives auth (routes asked for) and dashboard with three routes. Names after
+// a colon are routes until the next ";".
+function parseModuleSpecs(input) {
+  return input.split(";").flatMap((part) => {
+    const modules = [];
+    part
+      .split(",")
+      .map((token) => token.trim())
+      .filter(Boolean)
+      .forEach((token) => {
+        const [name, route] = token.split(/:(.*)/s).map((item) => item?.trim());
+        const current = modules[modules.length - 1];
+        if (route !== undefined) {
+          modules.push({ name, routes: route ? [route] : [] });
+        } else if (current?.routes) {
+          current.routes.push(name);
+        } else {
+          modules.push({ name, routes: null });
+        }
+      });
+    return modules;
+  });
+}
+
+// Parse a route like "settings", "[id]/edit", "[...slug]", "[[...slug]]",
+// "@analytics" (parallel route slot) or "(.)photo" (intercepted route) into
+// its folders and the dynamic params it passes to the page
+function parseRoute(route) {
+  const folders = route
+    .split("/")
+    .map((folder) => folder.trim())
+    .filter(Boolean);
+  const params = [];
+  let slot = null;
+  let intercepts = false;
+
+  folders.forEach((folder, index) => {
+    const dynamic = folder.match(/^\[(\[)?(\.\.\.)?(\w+)\]?\]$/);
+    if (dynamic && Boolean(dynamic[1]) === folder.endsWith("]]")) {
+      const [, optional, catchAll, name] = dynamic;
+      if (optional && !catchAll) {
+        throw new Error(
+          `Only catch-all segments can be optional: "${folder}".`
+        );
+      }
+      if (params.some((param) => param.name === name)) {
+        throw new Error(`Duplicate dynamic segment "${name}" in "${route}".`);
+      }
+      params.push({
+        name,
+        tsType: catchAll ? "string[]" : "string",
+        optional: Boolean(optional),
+        catchAll: Boolean(catchAll),
+      });
+    } else if (/^@[\w-]+$/.test(folder)) {
+      if (index > 0) {
+        throw new Error(
+          `Parallel route slots must come first in a route: "${route}".`
+        );
+      }
+      slot = folder.slice(1);
+    } else if (/^(\(\.{1,3}\)|(\(\.\.\))+)[\w-]+$/.test(folder)) {
+      intercepts = true;
+    } else if (!/^[\w-]+$/.test(folder)) {
+      throw new Error(`Invalid route segment "${folder}" in "${route}".`);
+    }
+  });
+  if (!folders.length) throw new Error(`Invalid route "${route}".`);
+
+  return {
+    route: folders.join("/"),
+    folders,
+    params,
+    slot,
+    intercepts,
+    isStatic: !params.length && !slot && !intercepts,
+  };
+}
+
+// Template data for a module route: the page name and label, plus how each
+// dynamic param is typed, read and displayed
+function routeTemplateData(moduleName, parsed, { isAppRouter }) {
+  // Pages with only dynamic segments are named after the module, e.g.
+  // "[id]" -> DashboardIdPage
+  const words = [
+    ...(parsed.folders.some((folder) => /^[\w(]/.test(folder))
+      ? []
+      : [moduleName]),
+    ...parsed.folders.map((folder) => folder.replace(/^@|[[\]().]/g, "")),
+  ];
+  return {
+    name: words.join("-"),
+    route: parsed.route,
+    label: parsed.isStatic
+      ? capitalizeFirstLetter(parsed.route)
+      : navLabel(words.join(" ")),
+    params: parsed.params.map((param) => ({
+      ...param,
+      jsx: `${param.name}: {${param.name}${
+        // getServerSideProps/getStaticProps turn a missing optional
+        // catch-all into []
+        param.catchAll
+          ? `${param.optional && isAppRouter ? "?" : ""}.join("/")`
+          : ""
+      }}`,
+      propValue: param.optional
+        ? `params?.${param.name} ?? []`
+        : `params!.${param.name}`,
+    })),
+    paramNames: parsed.params.map((param) => param.name).join(", "),
+  };
+}
+
+// Next.js allows one dynamic segment name per folder level, so "[id]" and
+// "[...slug]" can't both sit in the same folder
+function assertDynamicSegments(routes) {
+  const dynamicFolders = new Map();
+  routes.forEach(({ folders }) =>
+    folders.forEach((folder, index) => {
+      if (!folder.startsWith("[")) return;
+      const parent = folders.slice(0, index).join("/");
+      const existing = dynamicFolders.get(parent);
+      if (existing && existing !== folder) {
+        throw new Error(
+          `"${existing}" and "${folder}" can't share ${
+            parent ? `"${parent}"` : "the module folder"
+          }: Next.js needs a single dynamic segment per level.`
+        );
+      }
+      dynamicFolders.set(parent, folder);
+    })
+  );
+}
+
+// Files an App Router module segment can have besides its pages
+const SEGMENT_FILES = ["layout", "loading", "error", "not-found"];
+
+// Write the pages of a module, plus the segment files (layout, loading,
+// error, not-found) for App Router modules. Parallel route slots get a
+// default.tsx and are passed to the segment layout, which is then required.
+function generateModuleRoutes({
+  moduleName,
+  folderPath,
+  routes,
+  baseFolder,
+  routerType,
+  segmentFiles,
+  staticGeneration,
+  withTests = false,
+}) {
+  const isAppRouter = routerType === "App Router";
+
+  const unknown = segmentFiles.filter((file) => !SEGMENT_FILES.includes(file));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown segment files: ${unknown.join(", ")}. Use ${SEGMENT_FILES.join(
+        ", "
+      )}.`
+    );
+  }
+  const templateData = {
+    routerType,
+    baseFolder,
+    moduleName,
+    asyncParams: nextMajorVersion() >= 15,
+    staticGeneration,
+  };
+  const generate = (file, templateName, data) => {
+    const target = path.join(process.cwd(), folderPath, file);
+    if (pathExists(target)) {
+      skipPath(target);
+      return;
+    }
+    writeFile(
+      target,
+      renderTemplate(templateName, { ...templateData, ...data })
+    );
+  };
+
+  routes.forEach((parsed) => {
+    const data = routeTemplateData(moduleName, parsed, { isAppRouter });
+    // Only static pages render without params. Files in pages/ become
+    // routes, so Pages Router tests go to __tests__/ instead.
+    if (withTests && parsed.params.length === 0) {
+      const pagePath = path.join(
+        process.cwd(),
+        folderPath,
+        isAppRouter ? `${parsed.route}/page.tsx` : `${parsed.route}.tsx`
+      );
+      const testPath = isAppRouter
+        ? pagePath.replace(/\.tsx$/, ".test.tsx")
+        : path
+            .join(
+              process.cwd(),
+              "__tests__",
+              path.relative(path.join(process.cwd(), baseFolder), pagePath)
+            )
+            .replace(/\.tsx$/, ".test.tsx");
+      if (pathExists(testPath)) {
+        skipPath(testPath);
+      } else {
+        writeFile(
+          testPath,
+          renderTemplate("module/page.test.template.tsx", {
+            ...templateData,
+            ...data,
+            pageImport: importPath(testPath, pagePath),
+          })
+        );
+      }
+    }
+    if (isAppRouter) {
+      generate(`${parsed.route}/page.tsx`, "module/page.template.tsx", {
+        ...data,
+        // Parallel and intercepted routes render for another route's URL
+        staticParams: !parsed.slot && !parsed.intercepts,
+      });
+    } else {
+      generate(
+        `${parsed.route}.tsx`,
+        parsed.params.length
+          ? "pages/module/dynamic.template.tsx"
+          : "module/page.template.tsx",
+        data
+      );
+    }
+  });
+
+  if (!isAppRouter) return;
+
+  const slots = [
+    ...new Set(routes.filter((route) => route.slot).map((route) => route.slot)),
+  ];
+  slots.forEach((slot) =>
+    generate(`@${slot}/default.tsx`, "module/default.template.tsx", {
+      name: `${moduleName}-${slot}`,
+      slot,
+    })
+  );
+
+  const files = new Set(segmentFiles);
+  if (slots.length && !files.has("layout")) {
+    files.add("layout");
+  }
+  SEGMENT_FILES.filter((file) => files.has(file)).forEach((file) => {
+    if (file === "layout" && slots.length) {
+      const layoutPath = path.join(process.cwd(), folderPath, "layout.tsx");
+      if (pathExists(layoutPath)) {
+        console.log(
+          chalk.yellow(
+            `Note: Render the ${slots
+              .map((slot) => `{${slot}}`)
+              .join(", ")} slot props in ${displayPath(layoutPath)}.`
+          )
+        );
+      }
+    }
+    generate(`${file}.tsx`, `module/${file}.template.tsx`, {
+      name: moduleName,
+      label: capitalizeFirstLetter(moduleName),
+      slots,
+    });
+  });
+}
+
+// URLs of the pages generated for the auth module: the App Router puts them
+// in an (auth) route group, the Pages Router in pages/auth
+const AUTH_PATHS = {
+  "App Router": { login: "/login", register: "/register" },
+  "Pages Router": { login: "/auth/login", register: "/auth/register" },
+};
+
+const AUTH_PROVIDERS = ["custom", "next-auth"];
+
+// Generate a working auth module: types, an authService on lib/api.ts, an
+// AuthProvider with the useAuth() hook, and login/register pages with
+// validated forms. The "custom" provider keeps the API token in localStorage
+// and a cookie and adds a logout route; "next-auth" signs in through a
+// NextAuth credentials provider instead.
+async function generateAuthModule({
+  baseFolder,
+  routerType,
+  provider,
+  wireProvider,
+}) {
+  const isAppRouter = routerType === "App Router";
+  const nextAuth = provider === "next-auth";
+  const file = (relativePath) =>
+    path.join(process.cwd(), baseFolder, relativePath);
+  const typesPath = file("types/auth.d.ts");
+  const servicePath = file("services/authService.ts");
+  const tokenPath = file("lib/authToken.ts");
+  const authOptionsPath = file("lib/auth.ts");
+  const providerPath = file("components/auth/AuthProvider.tsx");
+  const { login: loginPath, register: registerPath } = AUTH_PATHS[routerType];
+
+  // Render a template unless the file already exists, giving it import paths
+  // for the generated auth files
+  const generate = (target, templateName, data = {}) => {
+    if (pathExists(target)) {
+      skipPath(target);
+      return;
+    }
+    writeFile(
+      target,
+      renderTemplate(templateName, {
+        routerType,
+        baseFolder,
+        nextAuth,
+        loginPath,
+        registerPath,
+        apiImport: importPath(target, file("lib/api.ts")),
+        typesImport: importPath(target, typesPath),
+        serviceImport: importPath(target, servicePath),
+        tokenImport: importPath(target, tokenPath),
+        authOptionsImport: importPath(target, authOptionsPath),
+        ...data,
+      })
+    );
+  };
+
+  ensureTypeDeclarations(typesPath, "types/auth.template.d.ts", {});
+  ensureTypeDeclarations(
+    file("types/user.d.ts"),
+    "types/user.template.d.ts",
+    {}
+  );
+  ensureApiClient({ baseFolder });
+  generate(servicePath, "services/authService.template.ts");
+  generate(
+    providerPath,
+    `components/auth/${provider}/AuthProvider.template.tsx`
+  );
+
+  ["login", "register"].forEach((page) => {
+    const formName = `${capitalizeFirstLetter(page)}Form`;
+    const formPath = file(`components/auth/${formName}.tsx`);
+    generate(formPath, `components/auth/${formName}.template.tsx`);
+
+    const pagePath = isAppRouter
+      ? file(`app/(auth)/${page}/page.tsx`)
+      : file(`pages/auth/${page}.tsx`);
+    generate(
+      pagePath,
+      isAppRouter
+        ? `app/(auth)/${page}/page.template.tsx`
+        : `pages/auth/${page}.template.tsx`,
+      { formImport: importPath(pagePath, formPath) }
+    );
+  });
+
+  if (nextAuth) {
+    console.log(chalk.blue("Installing NextAuth dependency..."));
+    installDependencies(["next-auth@^4"]);
+    generate(authOptionsPath, "lib/auth.template.ts");
+    generate(
+      isAppRouter
+        ? file("app/api/auth/[...nextauth]/route.ts")
+        : file("pages/api/auth/[...nextauth].ts"),
+      isAppRouter
+        ? "app/api/auth/[...nextauth]/route.template.ts"
+        : "pages/api/auth/[...nextauth].template.ts"
+    );
+    generate(file("types/next-auth.d.ts"), "types/next-auth.template.d.ts");
+  } else {
+    generate(tokenPath, "lib/authToken.template.ts", { cookieName: "token" });
+    generate(
+      isAppRouter
+        ? file("app/api/auth/logout/route.ts")
+        : file("pages/api/auth/logout.ts"),
+      isAppRouter
+        ? "app/api/auth/logout/route.template.ts"
+        : "pages/api/auth/logout.template.ts"
+    );
+  }
+
+  const entryPath = file(isAppRouter ? "app/layout.tsx" : "pages/_app.tsx");
+  const providerImport = importPath(entryPath, providerPath);
+  await wrapAppEntry({
+    entryPath,
+    routerType,
+    label: "the AuthProvider",
+    provider: "AuthProvider",
+    imports: [{ name: "AuthProvider", named: true, from: providerImport }],
+    snippet: isAppRouter
+      ? `import { AuthProvider } from "${providerImport}";\n\n// Inside RootLayout\n<body>\n  <AuthProvider>{children}</AuthProvider>\n</body>`
+      : `import { AuthProvider } from "${providerImport}";\n\n// Inside App\n<AuthProvider>\n  <Component {...pageProps} />\n</AuthProvider>`,
+    wire: wireProvider,
+  });
+
+  console.log(
+    chalk.blue(
+      nextAuth
+        ? "\nNote: Set NEXTAUTH_SECRET and NEXTAUTH_URL in .env.local. Sign-in calls your API's /auth/login through services/authService.ts."
+        : "\nNote: services/authService.ts calls /auth/login, /auth/register and /auth/me on NEXT_PUBLIC_API_BASE_URL; adjust them to your API."
+    )
+  );
+}
+
+// Command to add a new module
+program
+  .command("add-module <moduleNames>")
+  .description(
+    "Add one or more modules (comma-separated, e.g., auth,dashboard) to your Next.js project"
+  )
+  .option("--with-api", "Generate API routes for the modules", false)
+  .option(
+    "--methods <verbs>",
+    "HTTP methods for --with-api routes (comma-separated, e.g., GET,POST)",
+    HTTP_METHODS.join(",")
+  )
+  .option(
+    "--with-redux",
+    'Generate Redux slices for the modules (default when stateLibrary is "redux")'
+  )
+  .option("--no-with-redux", "Do not generate Redux slices")
+  .option(
+    "--with-tests",
+    "Generate tests for the static pages (and slices) of the modules",
+    false
+  )
+  .option(
+    "--routes <names>",
+    "Sub-route names for every module (comma-separated, e.g., settings,[id],[...slug])"
+  )
+  .option(
+    "--segment-files <files>",
+    `App Router files for the module segment (comma-separated: ${SEGMENT_FILES.join(
+      ","
+    )})`
+  )
+  .option(
+    "--nested",
+    "App Router: serve the routes under /<module> instead of a (<module>) route group"
+  )
+  .option(
+    "--data-fetching <mode>",
+    "Pages Router: data fetching for dynamic routes (ssr or ssg)"
+  )
+  .option(
+    "--provider <name>",
+    `Auth provider for the auth module (${AUTH_PROVIDERS.join(" or ")})`
+  )
+  .option("--guard", "Protect routes with middleware that requires a login")
+  .option("--no-guard", "Do not add an auth middleware guard")
+  .option(
+    "--protect <paths>",
+    "Routes the auth guard protects (comma-separated, e.g., /dashboard)"
+  )
+  .option(
+    "--wire-provider",
+    "Wrap the app in the AuthProvider even if the layout was not generated"
+  )
+  .option("--no-wire-provider", "Leave layout.tsx / _app.tsx untouched")
+  .action(async (moduleNames, options) => {
+    console.log(chalk.blue("Adding modules to your Next.js project..."));
+
+    const { baseFolder, routerType } = projectSetup();
+    const isAppRouter = routerType === "App Router";
+
+    // Split module names (and routes given as "module:route,route")
+    const modules = parseModuleSpecs(moduleNames);
+
+    if (modules.length === 0) {
+      console.log(chalk.red("Error: No valid module names provided."));
+      return;
+    }
+
+    const methods = parseMethods(options.methods);
+
+    for (const { name: moduleName, routes: specRoutes } of modules) {
+      console.log(chalk.blue(`Adding '${moduleName}' module...`));
+
+      const folderPath = isAppRouter
+        ? `${baseFolder}/app/${options.nested ? moduleName : `(${moduleName})`}`
+        : `${baseFolder}/pages/${moduleName}`;
+
+      const isAuthModule = moduleName.toLowerCase() === "auth";
+
+      if (isAuthModule) {
+        console.log(
+          chalk.yellow(
+            "Note: Since you chose 'auth', we will generate 'login' and 'register' pages with working forms, an auth service and an AuthProvider."
+          )
+        );
+        const answers = await ask(
+          [
+            {
+              type: "list",
+              name: "provider",
+              message: "How should users sign in?",
+              choices: [
+                { name: "Token from your API (custom)", value: "custom" },
+                {
+                  name: "NextAuth with a credentials provider",
+                  value: "next-auth",
+                },
+              ],
+              validate: (input) =>
+                AUTH_PROVIDERS.includes(input) ||
+                `Use one of: ${AUTH_PROVIDERS.join(", ")}`,
+              flag: "--provider <name>",
+            },
+            {
+              type: "confirm",
+              name: "guard",
+              message: "Protect routes with middleware that requires a login?",
+              default: false,
+              flag: "--guard / --no-guard",
+            },
+            {
+              type: "input",
+              name: "protect",
+              message:
+                "Enter the routes to protect (comma-separated, e.g., /dashboard):",
+              default: "",
+              when: (answers) => answers.guard,
+              flag: "--protect <paths>",
+            },
+          ],
+          {
+            provider: options.provider,
+            guard: options.guard,
+            protect: options.protect,
+          }
+        );
+
+        await generateAuthModule({
+          baseFolder,
+          routerType,
+          provider: answers.provider,
+          wireProvider: options.wireProvider,
+        });
+        if (answers.guard) {
+          const nextAuth = answers.provider === "next-auth";
+          writeMiddleware({
+            baseFolder,
+            routerType,
+            authGuard: true,
+            protectedRoutes: resolveProtectedRoutes(
+              parseNames(answers.protect),
+              discoverRoutes({ baseFolder, routerType })
+            ),
+            cookieName: nextAuth ? "next-auth.session-token" : "token",
+            secureCookie: nextAuth,
+          });
+        }
+      }
+
+      // The answers file may key sub-routes by module name
+      const presetRoutes = presetAnswers.subRoutes;
+      const { subRoutes } = await ask(
+        [
+          {
+            type: "input",
+            name: "subRoutes",
+            message: isAuthModule
+              ? `Enter additional sub-route names for '${moduleName}' (comma-separated, e.g., profile):`
+              : `Enter sub-route names for '${moduleName}' (comma-separated, e.g., login, register):`,
+            validate: (input) =>
+              input.trim() !== "" || "Sub-route names cannot be empty!",
+            when: !isAuthModule && !specRoutes?.length,
+            flag: "--routes <names>",
+          },
+        ],
+        {
+          subRoutes:
+            options.routes ??
+            (presetRoutes && typeof presetRoutes === "object"
+              ? presetRoutes[moduleName]
+              : presetRoutes),
+        }
+      );
+
+      const subRouteNames = isAuthModule
+        ? ["login", "register"]
+        : specRoutes?.length
+        ? specRoutes
+        : parseNames(subRoutes);
+      if (subRouteNames.length === 0) {
+        console.log(
+          chalk.red(`Error: No valid sub-route names for '${moduleName}'.`)
+        );
+        continue;
+      }
+      // The auth pages were generated above
+      const routes = isAuthModule ? [] : subRouteNames.map(parseRoute);
+      assertDynamicSegments(routes);
+
+      if (!isAppRouter) {
+        const appOnly = routes.find((route) => route.slot || route.intercepts);
+        if (appOnly) {
+          throw new Error(
+            `"${appOnly.route}": parallel (@slot) and intercepted ((.)route) routes need the App Router.`
+          );
+        }
+      }
+      routes
+        .filter(
+          (route) =>
+            isAppRouter && !options.nested && route.folders[0].startsWith("[")
+        )
+        .forEach((route) =>
+          console.log(
+            chalk.yellow(
+              `Note: ${route.route} sits at the top of the (${moduleName}) route group, so it matches URLs at the root of the site. Use --nested to serve it under /${moduleName}.`
+            )
+          )
+        );
+
+      const dynamicRoutes = routes.filter((route) => route.params.length);
+      const answers = await ask(
+        [
+          {
+            type: "checkbox",
+            name: "segmentFiles",
+            message: `Select the files to add to the '${moduleName}' segment:`,
+            choices: SEGMENT_FILES,
+            default: [],
+            when: isAppRouter && routes.length > 0,
+            flag: "--segment-files <files>",
+          },
+          {
+            type: "list",
+            name: "dataFetching",
+            message: `How should the dynamic routes of '${moduleName}' load their data?`,
+            choices: [
+              { name: "On every request (getServerSideProps)", value: "ssr" },
+              {
+                name: "At build time (getStaticPaths + getStaticProps)",
+                value: "ssg",
+              },
+            ],
+            validate: (input) =>
+              ["ssr", "ssg"].includes(input) || "Use ssr or ssg",
+            when: !isAppRouter && dynamicRoutes.length > 0,
+            flag: "--data-fetching <mode>",
+          },
+        ],
+        {
+          segmentFiles: options.segmentFiles,
+          dataFetching: options.dataFetching,
+        }
+      );
+
+      // Create module folder
+      ensureDir(path.join(process.cwd(), folderPath));
+
+      generateModuleRoutes({
+        moduleName,
+        folderPath,
+        routes,
+        baseFolder,
+        routerType,
+        segmentFiles: Array.isArray(answers.segmentFiles)
+          ? answers.segmentFiles
+          : parseNames(answers.segmentFiles ?? ""),
+        staticGeneration: answers.dataFetching === "ssg",
+        withTests: options.withTests,
+      });
+
+      // Handle API routes if --with-api is passed
+      if (options.withApi) {
+        const skipped = routes.filter((route) => !route.isStatic);
+        if (skipped.length) {
+          console.log(
+            chalk.yellow(
+              `Note: No API routes generated for ${skipped
+                .map((route) => route.route)
+                .join(
+                  ", "
+                )}; add them for dynamic, parallel and intercepted routes yourself.`
+            )
+          );
+        }
+        subRouteNames
+          .filter((route, index) => isAuthModule || routes[index].isStatic)
+          .forEach((route) =>
+            generateApiRoute({
+              moduleName,
+              route,
+              baseFolder,
+              routerType,
+              methods,
+            })
+          );
+      }
+
+      // Handle Redux slice if --with-redux is passed
+      if (options.withRedux ?? projectSetting("stateLibrary") === "redux") {
+        addSlicesToStore([moduleName], {
+          baseFolder,
+          routerType,
+          withTests: options.withTests,
+        });
+      }
+
+      console.log(
+        chalk.blue(
+          `Module '${moduleName}' has been added with sub-routes: ${subRouteNames.join(
+            ", "
+          )}`
+        )
+      );
+    }
+    noteTestRunner(options.withTests);
+  });
+
+// Major version of Next.js declared in package.json (defaults to the latest)
+function nextMajorVersion() {
+  const match = String(declaredDependencies().next ?? "").match(/\d+/);
+  return match ? Number(match[0]) : 15;
+}
+
+// Convert names like "blogPost" to "blog-post"
+function toKebabCase(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .toLowerCase();
+}
+
+// Turn a field name like "inStock" into a label like "In stock"
+function toLabel(name) {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, "$1 $2").toLowerCase();
+  return capitalizeFirstLetter(words);
+}
+
+const FIELD_TYPES = {
+  string: { tsType: "string", inputType: "text", empty: '""' },
+  number: { tsType: "number", inputType: "number", empty: "0" },
+  boolean: { tsType: "boolean", inputType: "checkbox", empty: "false" },
+  date: { tsType: "string", inputType: "date", empty: '""' },
+};
+
+// Parse --fields "name:string,price:number" into field descriptors
+function parseFields(fields) {
+  const parsed = parseNames(fields).map((field) => {
+    const [name, type = "string"] = field.split(":").map((part) => part.trim());
+    if (!/^[a-zA-Z_$][\w$]*$/.test(name) || name === "id") {
+      throw new Error(
+        `Invalid field name "${name}". Use a JavaScript identifier other than "id".`
+      );
+    }
+    if (!FIELD_TYPES[type]) {
+      throw new Error(
+        `Unsupported type "${type}" for field "${name}". Use one of: ${Object.keys(
+          FIELD_TYPES
+        ).join(", ")}.`
+      );
+    }
+    return {
+      name,
+      type,
+      label: toLabel(name),
+      isBoolean: type === "boolean",
+      isNumber: type === "number",
+      ...FIELD_TYPES[type],
+    };
+  });
+
+  if (!parsed.length) {
+    throw new Error(
+      "No fields provided. Pass --fields, e.g. --fields name:string,price:number"
+    );
+  }
+  return parsed;
+}
+
+// Generate everything for a CRUD resource: type, service, API routes, pages
+// and form, plus an optional Redux slice
+function generateResource({ name, fields, baseFolder, routerType, withRedux }) {
+  const isAppRouter = routerType === "App Router";
+  const pascalName = toPascalCase(name);
+  const pluralName = pluralize(name);
+  const urlPath = `/${toKebabCase(pluralName)}`;
+  const root = (file) => path.join(process.cwd(), baseFolder, file);
+  const routerDir = isAppRouter ? "app" : "pages";
+  const label = toLabel(name);
+  const pluralLabel = toLabel(pluralName);
+
+  const files = {
+    types: root(`types/${name}.d.ts`),
+    service: root(`services/${name}Service.ts`),
+    data: root(`lib/data/${pluralName}.ts`),
+    form: root(`components/${pluralName}/${pascalName}Form.tsx`),
+    collectionApi: root(
+      isAppRouter
+        ? `app/api${urlPath}/route.ts`
+        : `pages/api${urlPath}/index.ts`
+    ),
+    itemApi: root(
+      isAppRouter
+        ? `app/api${urlPath}/[id]/route.ts`
+        : `pages/api${urlPath}/[id].ts`
+    ),
+    list: root(
+      isAppRouter ? `app${urlPath}/page.tsx` : `pages${urlPath}/index.tsx`
+    ),
+    detail: root(
+      isAppRouter
+        ? `app${urlPath}/[id]/page.tsx`
+        : `pages${urlPath}/[id]/index.tsx`
+    ),
+    new: root(
+      isAppRouter ? `app${urlPath}/new/page.tsx` : `pages${urlPath}/new.tsx`
+    ),
+    edit: root(
+      isAppRouter
+        ? `app${urlPath}/[id]/edit/page.tsx`
+        : `pages${urlPath}/[id]/edit.tsx`
+    ),
+  };
+  const templateData = (file) => ({
+    name,
+    routerType,
+    baseFolder,
+    fields,
+    urlPath,
+    label,
+    lowerLabel: label.toLowerCase(),
+    pluralLabel,
+    lowerPluralLabel: pluralLabel.toLowerCase(),
+    // Next.js 15 passes route params as a promise
+    asyncParams: nextMajorVersion() >= 15,
+    typesImport: importPath(file, files.types),
+    serviceImport: importPath(file, files.service),
+    dataImport: importPath(file, files.data),
+    formImport: importPath(file, files.form),
+  });
+  const writeFromTemplate = (file, templateName) =>
+    pathExists(file)
+      ? skipPath(file)
+      : writeFile(file, renderTemplate(templateName, templateData(file)));
+
+  ensureTypeDeclarations(
+    files.types,
+    "types/resource.template.d.ts",
+    templateData(files.types)
+  );
+
+  generateService(name, { baseFolder, basePath: `/api${urlPath}` });
+
+  writeFromTemplate(files.data, "lib/resourceData.template.ts");
+  writeFromTemplate(
+    files.collectionApi,
+    `${routerDir}/api/resource/collection.template.ts`
+  );
+  writeFromTemplate(
+    files.itemApi,
+    `${routerDir}/api/resource/item.template.ts`
+  );
+  writeFromTemplate(files.form, "resource/form.template.tsx");
+  ["list", "detail", "new", "edit"].forEach((page) =>
+    writeFromTemplate(files[page], `resource/${page}.template.tsx`)
+  );
+
+  if (withRedux) {
+    addSlicesToStore([name], { baseFolder, routerType, withThunks: true });
+  }
+
+  console.log(
+    chalk.blue(
+      `Resource '${name}' is available at ${urlPath} (${routerDir}/) with its API at /api${urlPath}.`
+    )
+  );
+}
+
+// Command to add a CRUD resource
+program
+  .command("add-resource <name>")
+  .description(
+    "Generate a CRUD resource (types, service, API routes, pages and form) from a field list"
+  )
+  .option(
+    "--fields <fields>",
+    "Fields as name:type pairs (comma-separated; types: string, number, boolean, date)"
+  )
+  .option(
+    "--with-redux",
+    'Generate a Redux slice with async thunks and register it in the store (default when stateLibrary is "redux")'
+  )
+  .option("--no-with-redux", "Do not generate a Redux slice")
+  .action(async (name, options) => {
+    console.log(chalk.blue(`Adding '${name}' resource...`));
+
+    if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(name)) {
+      throw new Error(
+        `Invalid resource name "${name}". Use a singular name in camelCase, e.g. product or blogPost.`
+      );
+    }
+
+    const { baseFolder, routerType } = projectSetup();
+
+    const { fields } = await ask(
+      [
+        {
+          type: "input",
+          name: "fields",
+          message:
+            "Enter the fields as name:type pairs (comma-separated, e.g., name:string,price:number):",
+          validate: (input) =>
+            input.trim() !== "" || "At least one field is required!",
+          flag: "--fields <fields>",
+        },
+      ],
+      { fields: options.fields }
+    );
+
+    generateResource({
+      name,
+      fields: parseFields(fields),
+      baseFolder,
+      routerType,
+      withRedux:
+        options.withRedux ?? projectSetting("stateLibrary") === "redux",
+    });
+  });
+
+// Matches every page but not Next.js internals, for sections that run on all
+// routes
+const ALL_PAGES_MATCHER = "/((?!api|_next/static|_next/image|favicon.ico).*)";
+
+// Top-level routes that middleware can protect. Route groups such as
+// app/(dashboard) are listed with the URL segments inside them.
+function discoverRoutes({ baseFolder, routerType }) {
+  const isAppRouter = routerType === "App Router";
+  const routerDir = path.join(
+    process.cwd(),
+    baseFolder,
+    isAppRouter ? "app" : "pages"
+  );
+  const entries = (dir) =>
+    fs.existsSync(dir) ? fs.readdirSync(dir, { withFileTypes: true }) : [];
+  const isRoute = (entry) =>
+    entry.name !== "api" &&
+    !/^[_@.[]/.test(entry.name) &&
+    (entry.isDirectory() ||
+      (!isAppRouter &&
+        /\.(tsx?|jsx?)$/.test(entry.name) &&
+        !/^(index|404|500)\./.test(entry.name)));
+  const urlPath = (entry) => `/${entry.name.replace(/\.(tsx?|jsx?)$/, "")}`;
+
+  return entries(routerDir)
+    .filter(isRoute)
+    .map((entry) => {
+      const group = isAppRouter && entry.name.match(/^\((.+)\)$/);
+      if (!group) return { name: urlPath(entry), paths: [urlPath(entry)] };
+      const paths = entries(path.join(routerDir, entry.name))
+        .filter((child) => child.isDirectory() && isRoute(child))
+        .map(urlPath);
+      return { name: entry.name, group: group[1], paths };
+    })
+    .filter(({ paths }) => paths.length);
+}
+
+// Turn --routes entries (paths, or route groups like "(shop)" or "shop") into
+// URL paths
+function resolveProtectedRoutes(selected, routes) {
+  return [
+    ...new Set(
+      selected.flatMap((entry) => {
+        const group = routes.find(
+          (route) => route.group && [route.name, route.group].includes(entry)
+        );
+        if (group) return group.paths;
+        return [`/${entry.replace(/^\/+|\/+$/g, "")}`];
+      })
+    ),
+  ];
+}
+
+// Add matchers (and protected routes) to an existing middleware file
+function mergeMiddleware(middlewarePath, { matcher, protectedRoutes }) {
+  const b = recast.types.builders;
+  const source = readProjectFile(middlewarePath);
+  const ast = parseModule(source);
+  const stringValues = (array) =>
+    array.elements
+      .filter((element) => element?.type === "StringLiteral")
+      .map((element) => element.value);
+  const addStrings = (array, values) => {
+    const existing = stringValues(array);
+    const added = values.filter((value) => !existing.includes(value));
+    array.elements.push(...added.map((value) => b.stringLiteral(value)));
+    return added;
+  };
+  let configObject = null;
+  let routesArray = null;
+
+  recast.visit(ast, {
+    visitVariableDeclarator(nodePath) {
+      const { id, init } = nodePath.node;
+      if (id.name === "config" && init?.type === "ObjectExpression") {
+        configObject = init;
+      }
+      if (id.name === "PROTECTED_ROUTES" && init?.type === "ArrayExpression") {
+        routesArray = init;
+      }
+      return false;
+    },
+  });
+
+  const added = [];
+  if (routesArray) {
+    added.push(...addStrings(routesArray, protectedRoutes));
+  } else if (protectedRoutes.length) {
+    // Without the auth check, matching the routes would only slow them down
+    matcher = [];
+    console.log(
+      chalk.yellow(
+        `Note: ${displayPath(
+          middlewarePath
+        )} has no PROTECTED_ROUTES list; add the auth check for ${protectedRoutes.join(
+          ", "
+        )} yourself.`
+      )
+    );
+  }
+
+  if (!configObject) {
+    const exportConfig = parseModule(`export const config = { matcher: [] };`)
+      .program.body[0];
+    ast.program.body.push(exportConfig);
+    configObject = exportConfig.declaration.declarations[0].init;
+  }
+  let matcherProperty = configObject.properties.find(
+    (property) => propertyName(property) === "matcher"
+  );
+  if (!matcherProperty) {
+    matcherProperty = b.objectProperty(
+      b.identifier("matcher"),
+      b.arrayExpression([])
+    );
+    configObject.properties.push(matcherProperty);
+  }
+  // A single matcher string becomes a list
+  if (matcherProperty.value.type === "StringLiteral") {
+    matcherProperty.value = b.arrayExpression([matcherProperty.value]);
+  }
+  if (matcherProperty.value.type !== "ArrayExpression") {
+    throw new Error(
+      `Could not merge matchers: config.matcher in ${displayPath(
+        middlewarePath
+      )} is not a list of strings.`
+    );
+  }
+  added.push(...addStrings(matcherProperty.value, matcher));
+
+  if (!added.length) {
+    skipPath(middlewarePath, "nothing to merge");
+    return;
+  }
+  writeFile(middlewarePath, `${printModule(ast, source).trimEnd()}\n`);
+}
+
+// Create middleware.ts next to the app/ or pages/ folder, or merge the
+// matchers and protected routes into the existing one
+function writeMiddleware({
+  baseFolder,
+  routerType,
+  authGuard,
+  protectedRoutes,
+  cookieName = "token",
+  secureCookie = false,
+  locales = [],
+  headers = false,
+}) {
+  // Next.js only picks up middleware next to the app/ or pages/ folder
+  const middlewarePath = path.join(process.cwd(), baseFolder, "middleware.ts");
+  const strayPath = path.join(process.cwd(), "middleware.ts");
+  if (baseFolder && pathExists(strayPath)) {
+    console.log(
+      chalk.yellow(
+        `Note: ${displayPath(
+          strayPath
+        )} is ignored in a src/ layout; move its logic into ${displayPath(
+          middlewarePath
+        )}.`
+      )
+    );
+  }
+  const loginPath = AUTH_PATHS[routerType].login;
+  // Protecting the login page itself would redirect forever
+  const guarded = protectedRoutes.filter((route) => route !== loginPath);
+  if (authGuard && !guarded.length) {
+    console.log(
+      chalk.yellow(
+        "Note: No protected routes selected. Add them to PROTECTED_ROUTES in middleware.ts."
+      )
+    );
+  }
+  const matcher =
+    locales.length || headers
+      ? [ALL_PAGES_MATCHER]
+      : guarded.map((route) => `${route}/:path*`);
+
+  if (pathExists(middlewarePath)) {
+    console.log(
+      chalk.blue(
+        `${displayPath(
+          middlewarePath
+        )} already exists. Merging the matchers and protected routes into it.`
+      )
+    );
+    // Only the protected routes can be merged into existing code
+    const existingCookie = readProjectFile(middlewarePath).match(
+      /\bTOKEN_COOKIE\s*=\s*["']([^"']*)["']/
+    )?.[1];
+    const notApplied = [
+      locales.length && "--locale/--locales",
+      headers && "--headers",
+      authGuard &&
+        existingCookie &&
+        existingCookie !== cookieName &&
+        `--cookie (TOKEN_COOKIE is still "${existingCookie}")`,
+    ].filter(Boolean);
+    if (notApplied.length) {
+      console.log(
+        chalk.yellow(
+          `Not applied to the existing middleware: ${notApplied.join(
+            ", "
+          )}. Add that code to ${displayPath(
+            middlewarePath
+          )} yourself, or delete it and run add-middleware again.`
+        )
+      );
+    }
+    mergeMiddleware(middlewarePath, {
+      matcher: guarded.map((route) => `${route}/:path*`),
+      protectedRoutes: guarded,
+    });
+    return;
+  }
+
+  writeFile(
+    middlewarePath,
+    renderTemplate("middleware.template.ts", {
+      routerType,
+      baseFolder,
+      authGuard,
+      protectedRoutes: guarded,
+      cookieName,
+      secureCookie,
+      loginPath,
+      locale: locales.length > 0,
+      locales,
+      defaultLocale: locales[0] ?? "en",
+      headers,
+      rewritesHeaders: headers || locales.length > 0,
+      matcher: matcher.length ? matcher : [ALL_PAGES_MATCHER],
+    })
+  );
+}
+
+// Command to add middleware
+program
+  .command("add-middleware")
+  .description(
+    "Generate middleware.ts with route protection, locale detection and header rewrites"
+  )
+  .option(
+    "--routes <paths>",
+    "Protected routes or route groups (comma-separated, e.g., /dashboard,(shop))"
+  )
+  .option(
+    "--auth-guard",
+    "Redirect to the login page when the token cookie is missing"
+  )
+  .option("--no-auth-guard", "Do not add an auth guard")
+  .option(
+    "--cookie <name>",
+    "Name of the token cookie checked by the auth guard"
+  )
+  .option("--locale", "Detect the visitor's locale")
+  .option("--no-locale", "Do not add locale detection")
+  .option("--locales <codes>", "Supported locales, default first (e.g., en,fr)")
+  .option("--headers", "Add request and security headers")
+  .option("--no-headers", "Do not add header rewrites")
+  .action(async (options) => {
+    console.log(chalk.blue("Adding middleware..."));
+
+    const { baseFolder, routerType } = projectSetup();
+    const routes = discoverRoutes({ baseFolder, routerType });
+    const routeChoices = routes.map((route) => ({
+      name: route.group
+        ? `${route.name} → ${route.paths.join(", ")}`
+        : route.name,
+      value: route.name,
+    }));
+
+    const answers = await ask(
+      [
+        {
+          type: "confirm",
+          name: "authGuard",
+          message: `Redirect to ${AUTH_PATHS[routerType].login} when the token cookie is missing?`,
+          default: true,
+          flag: "--auth-guard / --no-auth-guard",
+        },
+        routeChoices.length
+          ? {
+              type: "checkbox",
+              name: "protectedRoutes",
+              message: "Select the routes to protect:",
+              choices: routeChoices,
+              default: [],
+              when: (answers) => answers.authGuard,
+              flag: "--routes <paths>",
+            }
+          : {
+              type: "input",
+              name: "protectedRoutes",
+              message:
+                "Enter the routes to protect (comma-separated, e.g., /dashboard):",
+              default: "",
+              when: (answers) => answers.authGuard,
+              flag: "--routes <paths>",
+            },
+        {
+          type: "input",
+          name: "cookieName",
+          message: "Name of the token cookie:",
+          default: "token",
+          when: (answers) => answers.authGuard,
+          flag: "--cookie <name>",
+        },
+        {
+          type: "confirm",
+          name: "locale",
+          message: "Detect the visitor's locale?",
+          default: false,
+          flag: "--locale / --no-locale",
+        },
+        {
+          type: "input",
+          name: "locales",
+          message: "Supported locales, default first (comma-separated):",
+          default: "en",
+          when: (answers) => answers.locale,
+          flag: "--locales <codes>",
+        },
+        {
+          type: "confirm",
+          name: "headers",
+          message:
+            "Add an x-pathname request header and security response headers?",
+          default: false,
+          flag: "--headers / --no-headers",
+        },
+      ],
+      {
+        authGuard: options.authGuard,
+        protectedRoutes: options.routes,
+        cookieName: options.cookie,
+        locale: options.locale,
+        locales: options.locales,
+        headers: options.headers,
+      }
+    );
+
+    const selected = Array.isArray(answers.protectedRoutes)
+      ? answers.protectedRoutes
+      : parseNames(answers.protectedRoutes);
+    writeMiddleware({
+      baseFolder,
+      routerType,
+      authGuard: answers.authGuard,
+      protectedRoutes: answers.authGuard
+        ? resolveProtectedRoutes(selected, routes)
+        : [],
+      cookieName: answers.cookieName,
+      locales: answers.locale ? parseNames(answers.locales) : [],
+      headers: answers.headers,
+    });
+  });
+
+// Static pages of the app grouped by the module (top-level folder or route
+// group) they belong to. Dynamic segments, API routes, parallel route slots
+// and private folders are left out.
+function discoverNavigation({ baseFolder, routerType }) {
+  const isAppRouter = routerType === "App Router";
+  const routerDir = path.join(
+    process.cwd(),
+    baseFolder,
+    isAppRouter ? "app" : "pages"
+  );
+  const modules = new Map();
+  const addPage = (moduleName, segments) => {
+    if (!moduleName || !segments.length) return;
+    if (!modules.has(moduleName)) modules.set(moduleName, []);
+    modules.get(moduleName).push(`/${segments.join("/")}`);
+  };
+
+  const walk = (dir, segments, moduleName) => {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((entry) => {
+        if (/^[_@.[]/.test(entry.name) || entry.name.startsWith("(.")) return;
+        if (entry.isDirectory()) {
+          if (dir === routerDir && entry.name === "api") return;
+          const group = isAppRouter && entry.name.match(/^\((.+)\)$/);
+          walk(
+            path.join(dir, entry.name),
+            group ? segments : [...segments, entry.name],
+            moduleName ?? (group ? group[1] : entry.name)
+          );
+          return;
+        }
+        if (isAppRouter) {
+          if (/^page\.(tsx|jsx|ts|js)$/.test(entry.name)) {
+            addPage(moduleName, segments);
+          }
+          return;
+        }
+        const page = entry.name.match(/^(.+)\.(tsx|jsx|ts|js)$/);
+        if (!page || /^(404|500)$/.test(page[1])) return;
+        const pageSegments =
+          page[1] === "index" ? segments : [...segments, page[1]];
+        addPage(moduleName ?? page[1], pageSegments);
+      });
+  };
+  walk(routerDir, [], null);
+
+  return [...modules]
+    .map(([name, paths]) => ({ name, paths }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Turn a route segment like "check-out" into a menu label like "Check out"
+function navLabel(segment) {
+  return toLabel(segment.replace(/[-_]+/g, " "));
+}
+
+// Menu entries for the Header: a link for a module with a single page at its
+// own path, else the module name with a link per page
+function navItems(modules) {
+  return modules.map(({ name, paths }) => {
+    if (paths.length === 1 && paths[0] === `/${name}`) {
+      return { label: navLabel(name), href: paths[0] };
+    }
+    return {
+      label: navLabel(name),
+      // The module's own page first
+      links: [
+        ...paths.filter((href) => href === `/${name}`),
+        ...paths.filter((href) => href !== `/${name}`),
+      ].map((href) => ({
+        label: navLabel(href.split("/").pop()),
+        href,
+      })),
+    };
+  });
+}
+
+// The global stylesheet to import from the root layout or _app, if any
+function findGlobalStylesheet({ baseFolder, routerType }) {
+  const imported = stylesheetImports(appEntryPath({ baseFolder, routerType }))
+    .filter((file) => pathExists(file))
+    .shift();
+  if (imported) return imported;
+
+  const candidates = [
+    ...(routerType === "App Router" ? ["app/globals.css"] : []),
+    "styles/globals.css",
+  ].map((file) => path.join(process.cwd(), baseFolder, file));
+  return candidates.find((file) => pathExists(file)) ?? null;
+}
+
+// The root layout (App Router) or _app (Pages Router), in whichever of the
+// usual extensions the project has it
+function appEntryPath({ baseFolder, routerType }) {
+  const base = path.join(
+    process.cwd(),
+    baseFolder,
+    routerType === "App Router" ? "app/layout" : "pages/_app"
+  );
+  return (
+    [".tsx", ".jsx", ".js"]
+      .map((extension) => `${base}${extension}`)
+      .find((file) => pathExists(file)) ?? `${base}.tsx`
+  );
+}
+
+// Paths of the local stylesheets a module imports, resolving relative and
+// import-alias specifiers
+function stylesheetImports(file) {
+  const source = readProjectFile(file) ?? "";
+  const alias = projectSetting("importAlias").replace(/\*$/, "");
+  return [
+    ...source.matchAll(/^\s*import\s+["']([^"']+\.(?:css|scss|sass))["']/gm),
+  ]
+    .map(([, specifier]) => {
+      if (specifier.startsWith(".")) {
+        return path.resolve(path.dirname(file), specifier);
+      }
+      if (alias && specifier.startsWith(alias)) {
+        return path.join(
+          process.cwd(),
+          projectSetting("baseFolder"),
+          specifier.slice(alias.length)
+        );
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// Site name shown in the header: the package.json name, e.g. "my-app" ->
+// "My app"
+function defaultSiteName() {
+  const packagePath = path.join(process.cwd(), "package.json");
+  const name = fs.existsSync(packagePath)
+    ? JSON.parse(fs.readFileSync(packagePath, "utf-8")).name
+    : null;
+  return name ? navLabel(name.replace(/^@[^/]+\//, "")) : "My App";
+}
+
+// Replace the NAV_ITEMS array of an existing Header with the one from a freshly
+// rendered Header, leaving the rest of the file alone. Returns false when the
+// file has no NAV_ITEMS array to replace.
+function refreshNavItems(headerPath, rendered) {
+  const findNavItems = (source) => {
+    let declaration = null;
+    recast.visit(parseModule(source), {
+      visitVariableDeclaration(nodePath) {
+        if (
+          nodePath.node.declarations.some(
+            (declarator) =>
+              declarator.id.name === "NAV_ITEMS" &&
+              declarator.init?.type === "ArrayExpression"
+          )
+        ) {
+          declaration = nodePath.node;
+        }
+        return false;
+      },
+    });
+    return declaration;
+  };
+
+  const source = readProjectFile(headerPath);
+  const existing = findNavItems(source);
+  const fresh = findNavItems(rendered);
+  if (!existing || !fresh) return false;
+  writeFile(
+    headerPath,
+    `${source.slice(0, existing.start)}${rendered.slice(
+      fresh.start,
+      fresh.end
+    )}${source.slice(existing.end)}`
+  );
+  return true;
+}
+
+// Create components/common/Header.tsx (with a menu of the existing pages) and
+// Footer.tsx, and render them from the root layout or _app.tsx
+async function generateLayout({
+  baseFolder,
+  routerType,
+  siteName,
+  wire,
+  refreshNav = false,
+}) {
+  const isAppRouter = routerType === "App Router";
+  const componentsDir = path.join(
+    process.cwd(),
+    baseFolder,
+    "components/common"
+  );
+  const headerPath = path.join(componentsDir, "Header.tsx");
+  const footerPath = path.join(componentsDir, "Footer.tsx");
+  const entryPath = path.join(
+    process.cwd(),
+    baseFolder,
+    isAppRouter ? "app/layout.tsx" : "pages/_app.tsx"
+  );
+
+  const items = navItems(discoverNavigation({ baseFolder, routerType }));
+  [
+    [headerPath, "common/Header.template.tsx"],
+    [footerPath, "common/Footer.template.tsx"],
+  ].forEach(([target, templateName]) => {
+    const rendered = renderTemplate(templateName, {
+      routerType,
+      baseFolder,
+      siteName,
+      navItems: items,
+    });
+    if (!pathExists(target)) {
+      writeFile(target, rendered);
+      return;
+    }
+    // A Header generated by this CLI and not edited since gets a menu for the
+    // current routes
+    if (target !== headerPath) {
+      skipPath(target);
+    } else if (refreshNav || isUneditedGeneratedFile(target)) {
+      if (!refreshNavItems(target, rendered)) skipPath(target);
+    } else {
+      skipPath(
+        target,
+        isGeneratedFile(target)
+          ? "edited since it was generated; pass --refresh-nav to rebuild its menu"
+          : "already exists; pass --refresh-nav to rebuild its menu"
+      );
+    }
+  });
+
+  const imports = [
+    { name: "Header", from: importPath(entryPath, headerPath) },
+    { name: "Footer", from: importPath(entryPath, footerPath) },
+  ];
+  if (!pathExists(entryPath)) {
+    const stylesheet = findGlobalStylesheet({ baseFolder, routerType });
+    writeFile(
+      entryPath,
+      renderTemplate(
+        isAppRouter ? "app/layout.template.tsx" : "pages/_app.template.tsx",
+        {
+          routerType,
+          baseFolder,
+          siteName,
+          headerImport: imports[0].from,
+          footerImport: imports[1].from,
+          globalCssImport: stylesheet && relativeImport(entryPath, stylesheet),
+        }
+      )
+    );
+    return;
+  }
+
+  await addLayoutComponents(entryPath, { routerType, imports, wire });
+}
+
+// Leading whitespace of the line containing `position`
+function lineIndent(source, position) {
+  const lineStart = source.lastIndexOf("\n", position - 1) + 1;
+  return source.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+// Wrap the source of a JSX node in new parent elements, one level deeper per
+// element in `open`, with `before`/`after` lines next to the node. Edits the
+// text instead of reprinting with recast so the file keeps its formatting.
+function wrapJSXSource(source, node, { open, close, before = [], after = [] }) {
+  const parenthesized = node.extra?.parenthesized;
+  const indent = lineIndent(source, node.start) + (parenthesized ? "" : "  ");
+  const level = (depth) => indent + "  ".repeat(depth);
+  const inner = level(open.length);
+  const nodeLines = source
+    .slice(node.start, node.end)
+    .split("\n")
+    .map((line, index) =>
+      index === 0
+        ? `${inner}${line}`
+        : `${inner}${line.replace(lineIndent(source, node.start), "")}`
+    );
+  const lines = [
+    ...open.map((line, depth) => `${level(depth)}${line}`),
+    ...before.map((line) => `${inner}${line}`),
+    ...nodeLines,
+    ...after.map((line) => `${inner}${line}`),
+    ...close.map((line, depth) => `${level(close.length - 1 - depth)}${line}`),
+  ];
+  const wrapped = parenthesized
+    ? lines.join("\n").slice(indent.length)
+    : `(\n${lines.join("\n")}\n${indent.slice(2)})`;
+  return `${source.slice(0, node.start)}${wrapped}${source.slice(node.end)}`;
+}
+
+// Add JSX as the first and last children of an element, given the end of its
+// opening tag and the start of its closing tag
+function insertJSXChildren(source, openingEnd, closingStart, { first, last }) {
+  const outer = lineIndent(source, openingEnd);
+  const inner = `${outer}  `;
+  const closingOnOwnLine = /\n[ \t]*$/.test(
+    source.slice(openingEnd, closingStart)
+  );
+  const content = source.slice(openingEnd, closingStart);
+  const startsOnNewLine = content.startsWith("\n");
+  const head = `\n${inner}${first}${startsOnNewLine ? "" : `\n${inner}`}`;
+  const tail = closingOnOwnLine
+    ? `${inner}${last}\n${outer}`
+    : `\n${inner}${last}\n${outer}`;
+  const body = closingOnOwnLine ? content.replace(/[ \t]*$/, "") : content;
+  return `${source.slice(0, openingEnd)}${head}${body}${tail}${source.slice(
+    closingStart
+  )}`;
+}
+
+// Render <Header /> and <Footer /> from an existing root layout (inside
+// <body>, adding <html>/<body> when the layout has none) or _app.tsx
+async function addLayoutComponents(entryPath, { routerType, imports, wire }) {
+  const isAppRouter = routerType === "App Router";
+  const printManualStep = (reason) => {
+    console.log(chalk.yellow(`\nNote: ${reason}`));
+    console.log(
+      chalk.blue(
+        `Render the header and footer in \`${path.basename(
+          entryPath
+        )}\`:\n\n${imports
+          .map(({ name, from }) => `import ${name} from "${from}";`)
+          .join("\n")}\n\n${
+          isAppRouter
+            ? `<html lang="en">\n  <body>\n    <Header />\n    <main>{children}</main>\n    <Footer />\n  </body>\n</html>`
+            : `<>\n  <Header />\n  <main>\n    <Component {...pageProps} />\n  </main>\n  <Footer />\n</>`
+        }`
+      )
+    );
+  };
+
+  const source = readProjectFile(entryPath);
+  const ast = parseModule(source);
+  if (findJSX(ast, (node) => jsxName(node) === "Header")) {
+    skipPath(entryPath, "Header already present");
+    return;
+  }
+
+  // Only edit files this CLI did not generate after asking
+  if (!isGeneratedFile(entryPath)) {
+    const { wireLayout } = await ask(
+      [
+        {
+          type: "confirm",
+          name: "wireLayout",
+          message: `${displayPath(
+            entryPath
+          )} was not generated by this CLI. Add the header and footer to it?`,
+          default: true,
+          flag: "--wire-layout / --no-wire-layout",
+        },
+      ],
+      { wireLayout: wire }
+    );
+    if (!wireLayout) {
+      skipPath(entryPath, "left unchanged");
+      printManualStep("The header and footer were not added.");
+      return;
+    }
+  }
+
+  // The JSX returned by the component
+  let root = null;
+  recast.visit(ast, {
+    visitReturnStatement(nodePath) {
+      const argument = nodePath.get("argument");
+      if (!root && /^JSX(Element|Fragment)$/.test(argument.node?.type)) {
+        root = argument;
+      }
+      return false;
+    },
+  });
+  if (!root) {
+    printManualStep(
+      `Could not find the JSX returned in ${displayPath(entryPath)}.`
+    );
+    return;
+  }
+
+  let updated;
+  const rootNode = root.node;
+  if (isAppRouter && !findJSX(ast, (node) => jsxName(node) === "body")) {
+    // A root layout must render <html> and <body>
+    updated = wrapJSXSource(source, rootNode, {
+      open: ['<html lang="en">', "<body>"],
+      close: ["</body>", "</html>"],
+      before: ["<Header />"],
+      after: ["<Footer />"],
+    });
+  } else if (!isAppRouter && jsxName(rootNode) === "Component") {
+    updated = wrapJSXSource(source, rootNode, {
+      open: ["<>"],
+      close: ["</>"],
+      before: ["<Header />"],
+      after: ["<Footer />"],
+    });
+  } else {
+    const container = isAppRouter
+      ? findJSX(ast, (node) => jsxName(node) === "body").node
+      : rootNode;
+    const opening = container.openingElement ?? container.openingFragment;
+    const closing = container.closingElement ?? container.closingFragment;
+    if (!closing) {
+      printManualStep(
+        `Could not add the header and footer to ${displayPath(entryPath)}.`
+      );
+      return;
+    }
+    updated = insertJSXChildren(source, opening.end, closing.start, {
+      first: "<Header />",
+      last: "<Footer />",
+    });
+  }
+
+  writeFile(entryPath, addImports(updated, imports));
+}
+
+// Ask for the site name shown in the header and footer
+function askSiteName(siteName) {
+  return ask(
+    [
+      {
+        type: "input",
+        name: "siteName",
+        message: "Site name for the header and footer:",
+        default: defaultSiteName(),
+        validate: (input) =>
+          /^[^"<>{}\\`]+$/.test(input.trim()) ||
+          "Use a name without quotes, braces or angle brackets.",
+        flag: "--site-name <name>",
+      },
+    ],
+    { siteName }
+  );
+}
+
+// Command to add the global layout
+program
+  .command("add-layout")
+  .description(
+    "Add a header, footer and navigation menu to the root layout or _app.tsx"
+  )
+  .option("--site-name <name>", "Name shown in the header and footer")
+  .option(
+    "--wire-layout",
+    "Add the header and footer even if the layout was not generated"
+  )
+  .option("--no-wire-layout", "Leave layout.tsx / _app.tsx untouched")
+  .option(
+    "--refresh-nav",
+    "Rebuild the menu of an existing Header.tsx that this CLI did not generate"
+  )
+  .action(async (options) => {
+    console.log(chalk.blue("Adding the global layout..."));
+
+    const { baseFolder, routerType } = projectSetup();
+    const { siteName } = await askSiteName(options.siteName);
+    await generateLayout({
+      baseFolder,
+      routerType,
+      siteName: siteName.trim(),
+      wire: options.wireLayout,
+      refreshNav: options.refreshNav,
+    });
+  });
+
+// A dotenv line starting a variable: optional `export`, the key and the raw
+// value (which may continue on later lines when quoted)
+const DOTENV_LINE = /^\s*(export\s+)?([A-Za-z_][\w.-]*)\s*=\s*(.*)$/;
+
+// Parse a dotenv file into entries that keep their original text, so a file
+// can be edited without reformatting the lines around the change. Follows
+// dotenv: quoted values may span lines, only double-quoted values expand \n
+// and \r, and unquoted values end at a ` #` comment.
+function parseDotenv(source) {
+  const lines = source.split(/\r?\n/);
+  const entries = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const start = index + 1;
+    const match = line.match(DOTENV_LINE);
+    if (!match) {
+      entries.push({
+        type: /^\s*(#.*)?$/.test(line) ? "text" : "invalid",
+        raw: line,
+        line: start,
+        error: "Expected KEY=value",
+      });
+      continue;
+    }
+
+    const [, exported, key, rest] = match;
+    const quote = ["'", '"', "`"].find((mark) => rest.startsWith(mark));
+    let raw = line;
+    let value;
+
+    if (quote) {
+      // The value ends at the next unescaped quote, possibly on a later line
+      const closing = new RegExp(`^((?:\\\\.|[^\\\\${quote}])*)${quote}`);
+      let text = rest.slice(1);
+      let closed = text.match(closing);
+      while (!closed && index + 1 < lines.length) {
+        index++;
+        text += `\n${lines[index]}`;
+        raw += `\n${lines[index]}`;
+        closed = text.match(closing);
+      }
+      if (!closed) {
+        entries.push({
+          type: "invalid",
+          raw,
+          line: start,
+          error: `Unterminated ${quote} quote`,
+        });
+        continue;
+      }
+      value =
+        quote === '"'
+          ? closed[1].replace(/\\n/g, "\n").replace(/\\r/g, "\r")
+          : closed[1];
+    } else {
+      value = rest.replace(/(^|\s+)#.*$/, "").trim();
+    }
+
+    entries.push({
+      type: "variable",
+      key,
+      value,
+      exported: Boolean(exported),
+      raw,
+      line: start,
+    });
+  }
+
+  return entries;
+}
+
+// Variables of a dotenv file as { KEY: value }; later duplicates win
+function dotenvValues(source) {
+  return Object.fromEntries(
+    parseDotenv(source ?? "")
+      .filter(({ type }) => type === "variable")
+      .map(({ key, value }) => [key, value])
+  );
+}
+
+// Quote a value only when dotenv would otherwise read it differently
+function formatDotenvValue(value) {
+  if (/^[\w.,:/@+\-=?&%*~]*$/.test(value)) return value;
+  if (!/["\\]/.test(value)) {
+    return `"${value.replace(/\n/g, "\\n").replace(/\r/g, "\\r")}"`;
+  }
+  if (!/['\n\r]/.test(value)) return `'${value}'`;
+  if (!value.includes("`")) return `\`${value}\``;
+  throw new Error(
+    "Values that contain both quotes and backticks can't be written to a dotenv file."
+  );
+}
+
+// Set a variable in dotenv source, replacing every earlier definition in
+// place (keeping its `export`) or appending it at the end
+function setDotenvValue(source, key, value) {
+  const entries = parseDotenv(source ?? "");
+  const existing = entries.filter(
+    (entry) => entry.type === "variable" && entry.key === key
+  );
+  if (!existing.length) {
+    const text = (source ?? "").replace(/\n*$/, "");
+    return `${text}${text ? "\n" : ""}${key}=${formatDotenvValue(value)}\n`;
+  }
+
+  const [first] = existing;
+  return entries
+    .filter((entry) => entry === first || !existing.includes(entry))
+    .map((entry) =>
+      entry === first
+        ? `${entry.exported ? "export " : ""}${key}=${formatDotenvValue(value)}`
+        : entry.raw
+    )
+    .join("\n");
+}
+
+// Remove every definition of a variable from dotenv source
+function unsetDotenvValue(source, key) {
+  return parseDotenv(source)
+    .filter((entry) => entry.type !== "variable" || entry.key !== key)
+    .map((entry) => entry.raw)
+    .join("\n");
+}
+
+// Check a path against the .gitignore in the working directory. Handles the
+// patterns env files are usually ignored with, e.g. ".env*.local" or "*.local".
+function isGitignored(file) {
+  const source = readProjectFile(path.join(process.cwd(), ".gitignore"));
+  const name = displayPath(file);
+  let ignored = false;
+  (source ?? "").split(/\r?\n/).forEach((line) => {
+    const pattern = line.trim();
+    if (!pattern || pattern.startsWith("#")) return;
+    const negated = pattern.startsWith("!");
+    const glob = pattern.replace(/^!/, "").replace(/^\//, "");
+    const matcher = new RegExp(
+      `^${glob
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, "[^/]*")
+        .replace(/\?/g, "[^/]")}$`
+    );
+    const candidate = glob.includes("/") ? name : path.basename(name);
+    if (matcher.test(candidate)) ignored = !negated;
+  });
+  return ignored;
+}
+
+// Warn when a .env*.local file, which usually holds secrets, would be
+// committed
+function warnUnignoredEnvFile(file) {
+  if (!/^\.env.*\.local$/.test(path.basename(file)) || isGitignored(file)) {
+    return false;
+  }
+  console.log(
+    chalk.yellow(
+      `Warning: ${displayPath(
+        file
+      )} is not in .gitignore. Add ".env*.local" to keep secrets out of git.`
+    )
+  );
+  return true;
+}
+
+// Types a declared environment variable can have, with the zod schema and
+// TypeScript type lib/env.ts uses for each
+const ENV_TYPES = {
+  string: { zod: "z.string()", ts: "string" },
+  number: { zod: "z.coerce.number()", ts: "number" },
+  boolean: {
+    zod: 'z.enum(["true", "false"]).transform((value) => value === "true")',
+    ts: "boolean",
+  },
+  url: { zod: "z.string().url()", ts: "string" },
+};
+
+const ENV_VALIDATORS = ["zod", "builtin"];
+
+// Environment variables declared with add-env, kept under "env" in the config
+// file, e.g. { "DATABASE_URL": { "type": "url", "required": true,
+// "exposure": "server" } }
+function readEnvSchema() {
+  return readConfig().env ?? {};
+}
+
+function writeEnvSchema(schema) {
+  const config = readConfig();
+  writeConfig({
+    ...(Object.keys(config).length ? config : projectSetup()),
+    env: schema,
+  });
+}
+
+// Guess a variable's type from its value
+function inferEnvType(value) {
+  if (/^(true|false)$/.test(value)) return "boolean";
+  if (value !== "" && !Number.isNaN(Number(value))) return "number";
+  if (/^[a-z][a-z\d+.-]*:\/\/\S+$/i.test(value)) return "url";
+  return "string";
+}
+
+// Parse comma-separated "KEY=value" pairs. Values may contain commas or be
+// quoted as in a dotenv file. "KEY:number=3000" sets the type, which is
+// otherwise guessed from the value, and "KEY?=" marks the variable optional.
+// Only NEXT_PUBLIC_ variables are exposed to the browser.
+function parseEnvVars(input) {
+  return input
+    .split(/,(?=\s*[A-Za-z_]\w*\??(?::\w+)?\??=)/)
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const match = pair.match(/^([A-Za-z_]\w*)(\?)?(?::(\w+))?(\?)?=(.*)$/s);
+      if (!match) {
+        throw new Error(
+          `Invalid environment variable "${pair}". Use KEY=value, KEY:type=value or KEY?=value.`
+        );
+      }
+      const [, key, optional, type, optionalAfterType, rawValue] = match;
+      const [entry] = parseDotenv(`${key}=${rawValue}`);
+      if (entry.type !== "variable") {
+        throw new Error(`Invalid value for ${key}: ${entry.error}.`);
+      }
+      const { value } = entry;
+      if (type && !(type in ENV_TYPES)) {
+        throw new Error(
+          `Unknown type "${type}" for ${key}. Use one of: ${Object.keys(
+            ENV_TYPES
+          ).join(", ")}.`
+        );
+      }
+      return {
+        key,
+        value,
+        type: type ?? inferEnvType(value),
+        required: !(optional || optionalAfterType),
+        exposure: key.startsWith("NEXT_PUBLIC_") ? "client" : "server",
+      };
+    });
+}
+
+// Template data for lib/api.ts: read the base URL through lib/env.ts once the
+// env schema declares it
+function apiClientData({ baseFolder }) {
+  const apiPath = path.join(process.cwd(), `${baseFolder}/lib/api.ts`);
+  const envPath = path.join(process.cwd(), `${baseFolder}/lib/env.ts`);
+  return readEnvSchema().NEXT_PUBLIC_API_BASE_URL && pathExists(envPath)
+    ? { envImport: importPath(apiPath, envPath) }
+    : {};
+}
+
+// Write lib/env.ts and .env.example from the env schema
+function generateEnvFiles({ baseFolder, validator }) {
+  const variables = Object.entries(readEnvSchema()).map(
+    ([key, { type, required, exposure }]) => ({
+      key,
+      type,
+      required,
+      exposure,
+      tsType: ENV_TYPES[type].ts,
+      zodType: `${ENV_TYPES[type].zod}${required ? "" : ".optional()"}`,
+    })
+  );
+  const data = {
+    zod: validator === "zod",
+    variables,
+    serverVars: variables.filter(({ exposure }) => exposure === "server"),
+    clientVars: variables.filter(({ exposure }) => exposure === "client"),
+  };
+
+  const envPath = path.join(process.cwd(), `${baseFolder}/lib/env.ts`);
+  writeFile(envPath, renderTemplate("lib/env.template.ts", data));
+  writeFile(
+    path.join(process.cwd(), ".env.example"),
+    renderTemplate("env/example.template", data)
+  );
+
+  if (validator === "zod" && !declaredDependencies().zod) {
+    console.log(chalk.blue("Installing zod dependency..."));
+    installDependencies(["zod"]);
+  }
+
+  // Point an existing lib/api.ts at the validated base URL
+  const apiPath = path.join(process.cwd(), `${baseFolder}/lib/api.ts`);
+  const api = readProjectFile(apiPath);
+  const { envImport } = apiClientData({ baseFolder });
+  if (envImport && api?.includes("process.env.NEXT_PUBLIC_API_BASE_URL")) {
+    writeFile(
+      apiPath,
+      addImports(
+        api.replace(
+          /process\.env\.NEXT_PUBLIC_API_BASE_URL/g,
+          "env.NEXT_PUBLIC_API_BASE_URL"
+        ),
+        [{ name: "env", named: true, from: envImport }]
+      )
+    );
+  }
+}
+
+// Add Environment Variables Management
+program
+  .command("add-env")
+  .description(
+    "Add or manage environment variables for different environments (e.g., development, production)"
+  )
+  .option("--env <file>", "Environment file to edit (e.g., .env.staging)")
+  .option("--append", "Append to the environment file if it already exists")
+  .option("--no-append", "Leave an existing environment file untouched")
+  .option(
+    "--vars <pairs>",
+    "Environment variables to add (KEY=value, KEY:type=value or KEY?=value for optional ones, comma-separated)"
+  )
+  .option("--gitignore", "Add .env*.local to .gitignore when it is missing")
+  .option("--no-gitignore", "Leave .gitignore untouched")
+  .option(
+    "--validator <name>",
+    `How lib/env.ts validates the variables (${ENV_VALIDATORS.join(", ")})`
+  )
+  .action(async (options) => {
+    console.log(chalk.blue("Managing environment variables..."));
+    const baseFolder = projectSetting("baseFolder");
+
+    const envChoices = [
+      { name: "Default (.env)", value: ".env" },
+      { name: "Development (.env.development)", value: ".env.development" },
+      { name: "Production (.env.production)", value: ".env.production" },
+      { name: "Custom (e.g., .env.staging)", value: "custom" },
+    ];
+
+    // --env accepts any file name; anything not listed is a custom file
+    const isKnownEnv = envChoices.some(({ value }) => value === options.env);
+
+    // Prompt user to choose or specify the environment
+    const { envType, customEnvFile } = await ask(
+      [
+        {
+          type: "list",
+          name: "envType",
+          message: "Select the environment:",
+          choices: envChoices,
+          flag: "--env <file>",
+        },
+        {
+          type: "input",
+          name: "customEnvFile",
+          message:
+            "Enter the custom environment file name (e.g., .env.staging):",
+          validate: (input) =>
+            input.trim() !== "" ||
+            "Custom environment file name cannot be empty!",
+          when: (answers) => answers.envType === "custom",
+          flag: "--env <file>",
+        },
+      ],
+      options.env
+        ? {
+            envType: isKnownEnv ? options.env : "custom",
+            customEnvFile: isKnownEnv ? undefined : options.env,
+          }
+        : {}
+    );
+
+    const envFilePath = path.join(
+      process.cwd(),
+      envType === "custom" ? customEnvFile : envType
+    );
+
+    // Check if the environment file exists
+    if (pathExists(envFilePath)) {
+      console.log(chalk.yellow(`${envFilePath} already exists.`));
+      const { shouldAppend } = await ask(
+        [
+          {
+            type: "confirm",
+            name: "shouldAppend",
+            message: `Would you like to add new environment variables to the existing ${envFilePath} file?`,
+            flag: "--append / --no-append",
+          },
+        ],
+        { shouldAppend: options.append }
+      );
+
+      if (!shouldAppend) {
+        console.log(chalk.green(`No changes made to ${envFilePath}.`));
+        return;
+      }
+    } else {
+      console.log(chalk.green(`Creating a new ${envFilePath} file...`));
+      writeFile(
+        envFilePath,
+        renderTemplate("env/env.template", {
+          fileName: path.basename(envFilePath),
+        })
+      );
+    }
+
+    // Prompt user for environment variables
+    const { envVariables } = await ask(
+      [
+        {
+          type: "input",
+          name: "envVariables",
+          message: `Enter environment variables (KEY=value), separated by commas for ${envFilePath}:`,
+          validate: (input) =>
+            input.trim()
+              ? true
+              : "Please provide at least one environment variable.",
+          flag: "--vars <pairs>",
+        },
+      ],
+      { envVariables: options.vars }
+    );
+
+    // Parse and write environment variables, replacing keys that are
+    // already set instead of adding duplicates
+    const variables = parseEnvVars(envVariables);
+    let content = readProjectFile(envFilePath) ?? "";
+    variables.forEach(({ key, value }) => {
+      if (key in dotenvValues(content)) {
+        console.log(
+          chalk.yellow(`${key} was already set; replacing its value.`)
+        );
+      }
+      content = setDotenvValue(content, key, value);
+    });
+    writeFile(envFilePath, content);
+
+    const formattedVariables = variables
+      .map(({ key, value }) => `${key}=${formatDotenvValue(value)}\n`)
+      .join("");
+    console.log(
+      chalk.green(`Environment variables added to ${envFilePath}:\n`)
+    );
+    console.log(chalk.blue(formattedVariables));
+
+    if (
+      /^\.env.*\.local$/.test(path.basename(envFilePath)) &&
+      !isGitignored(envFilePath)
+    ) {
+      const { gitignore } = await ask(
+        [
+          {
+            type: "confirm",
+            name: "gitignore",
+            message: `${path.basename(
+              envFilePath
+            )} is not in .gitignore. Add ".env*.local" to it?`,
+            flag: "--gitignore / --no-gitignore",
+          },
+        ],
+        { gitignore: options.gitignore }
+      );
+      if (gitignore) {
+        const gitignorePath = path.join(process.cwd(), ".gitignore");
+        const existing = readProjectFile(gitignorePath) ?? "";
+        writeFile(
+          gitignorePath,
+          `${existing}${existing && !existing.endsWith("\n") ? "\n" : ""}${
+            existing ? "\n" : ""
+          }# local env files\n.env*.local\n`
+        );
+      } else {
+        warnUnignoredEnvFile(envFilePath);
+      }
+    }
+
+    // Declare the variables in the schema. lib/api.ts needs the API base URL,
+    // so that is declared too.
+    const schema = readEnvSchema();
+    const apiSource = readProjectFile(
+      path.join(process.cwd(), `${baseFolder}/lib/api.ts`)
+    );
+    if (
+      !schema.NEXT_PUBLIC_API_BASE_URL &&
+      apiSource?.includes("NEXT_PUBLIC_API_BASE_URL") &&
+      !variables.some(({ key }) => key === "NEXT_PUBLIC_API_BASE_URL")
+    ) {
+      schema.NEXT_PUBLIC_API_BASE_URL = {
+        type: "url",
+        required: true,
+        exposure: "client",
+      };
+      console.log(
+        chalk.yellow(
+          "Declared NEXT_PUBLIC_API_BASE_URL, which lib/api.ts reads. Set it in .env.local."
+        )
+      );
+    }
+    variables.forEach(({ key, type, required, exposure }) => {
+      schema[key] = { type, required, exposure };
+    });
+    writeEnvSchema(schema);
+
+    const envPath = path.join(process.cwd(), `${baseFolder}/lib/env.ts`);
+    const existingEnv = readProjectFile(envPath);
+    const { validator } = await ask(
+      [
+        {
+          type: "list",
+          name: "validator",
+          message: "How should lib/env.ts validate the variables?",
+          choices: [
+            { name: "zod", value: "zod" },
+            { name: "Built-in checks (no dependency)", value: "builtin" },
+          ],
+          default:
+            existingEnv?.includes('from "zod"') || declaredDependencies().zod
+              ? "zod"
+              : "builtin",
+          validate: (input) =>
+            ENV_VALIDATORS.includes(input) ||
+            `Use one of: ${ENV_VALIDATORS.join(", ")}.`,
+          flag: "--validator <name>",
+        },
+      ],
+      {
+        validator:
+          options.validator ??
+          (existingEnv === null
+            ? undefined
+            : existingEnv.includes('from "zod"')
+            ? "zod"
+            : "builtin"),
+      }
+    );
+    generateEnvFiles({ baseFolder, validator });
+
+    console.log(
+      chalk.blue(
+        "\nNote: Read variables through `env` from lib/env.ts instead of process.env. They are checked when lib/env.ts is first imported."
+      )
+    );
+  });
+
+// The .env files in the working directory, e.g. .env, .env.local, .env.example
+function listEnvFiles() {
+  return fs
+    .readdirSync(process.cwd())
+    .filter(
+      (entry) =>
+        /^\.env(\..+)?$/.test(entry) &&
+        fs.statSync(path.join(process.cwd(), entry)).isFile()
+    )
+    .sort();
+}
+
+function readEnvFile(file) {
+  const source = readProjectFile(path.resolve(file));
+  if (source === null) throw new Error(`${file} does not exist.`);
+  return source;
+}
+
+// Why a value doesn't match its declared type, if it doesn't
+function envValueError(value, type) {
+  if (type === "number" && Number.isNaN(Number(value))) {
+    return "expected a number";
+  }
+  if (type === "boolean" && !/^(true|false)$/.test(value)) {
+    return 'expected "true" or "false"';
+  }
+  if (type === "url") {
+    try {
+      new URL(value);
+    } catch {
+      return "expected a URL";
+    }
+  }
+  return null;
+}
+
+const envCommand = program
+  .command("env")
+  .description("Check, compare and edit .env files");
+
+envCommand
+  .command("lint [files...]")
+  .description(
+    "Check .env files for syntax errors, duplicate keys and values that don't match the env schema"
+  )
+  .action((files) => {
+    const targets = files.length ? files : listEnvFiles();
+    if (!targets.length) {
+      console.log(chalk.yellow("No .env files found."));
+      return;
+    }
+
+    const schema = readEnvSchema();
+    const hasSchema = Object.keys(schema).length > 0;
+    let errors = 0;
+    let warnings = 0;
+
+    targets.forEach((file) => {
+      const problems = [];
+      const seen = new Map();
+      parseDotenv(readEnvFile(file)).forEach((entry) => {
+        if (entry.type === "invalid") {
+          problems.push({
+            line: entry.line,
+            error: true,
+            message: entry.error,
+          });
+        }
+        if (entry.type !== "variable") return;
+
+        const { key, value, line } = entry;
+        if (seen.has(key)) {
+          problems.push({
+            line,
+            error: true,
+            message: `Duplicate ${key} (first set on line ${seen.get(key)})`,
+          });
+        } else if (hasSchema && !schema[key]) {
+          problems.push({
+            line,
+            message: `${key} is not declared in the env schema`,
+          });
+        }
+        if (!seen.has(key)) seen.set(key, line);
+        const typeError =
+          schema[key] && value !== ""
+            ? envValueError(value, schema[key].type)
+            : null;
+        if (typeError) {
+          problems.push({ line, message: `${key}: ${typeError}` });
+        }
+      });
+
+      if (problems.length) {
+        console.log(chalk.bold(file));
+        problems.forEach(({ line, error, message }) => {
+          console.log(
+            `  ${line}: ${
+              error ? chalk.red("error") : chalk.yellow("warning")
+            } ${message}`
+          );
+        });
+      }
+      errors += problems.filter(({ error }) => error).length;
+      warnings += problems.filter(({ error }) => !error).length;
+      if (warnUnignoredEnvFile(file)) warnings++;
+    });
+
+    if (errors) {
+      throw new Error(
+        `${errors} error(s) and ${warnings} warning(s) in ${targets.length} file(s).`
+      );
+    }
+    console.log(
+      warnings
+        ? chalk.yellow(`${warnings} warning(s) in ${targets.length} file(s).`)
+        : chalk.green(`${targets.length} file(s) checked, no problems found.`)
+    );
+  });
+
+envCommand
+  .command("diff <fileA> <fileB>")
+  .description("List the keys that only one of two .env files sets")
+  .action((fileA, fileB) => {
+    const [keysA, keysB] = [fileA, fileB].map((file) =>
+      Object.keys(dotenvValues(readEnvFile(file)))
+    );
+    const onlyA = keysA.filter((key) => !keysB.includes(key));
+    const onlyB = keysB.filter((key) => !keysA.includes(key));
+
+    if (!onlyA.length && !onlyB.length) {
+      console.log(chalk.green(`${fileA} and ${fileB} set the same keys.`));
+      return;
+    }
+    [
+      [fileA, fileB, onlyA],
+      [fileB, fileA, onlyB],
+    ].forEach(([file, other, keys]) => {
+      if (!keys.length) return;
+      console.log(chalk.yellow(`Only in ${file} (missing from ${other}):`));
+      keys.forEach((key) => console.log(`  ${key}`));
+    });
+  });
+
+envCommand
+  .command("sync [file]")
+  .description("Add the keys of .env.example that are missing from a .env file")
+  .option("--from <file>", "File listing the expected keys", ".env.example")
+  .action(async (file = ".env.local", options) => {
+    const expected = dotenvValues(readEnvFile(options.from));
+    const targetPath = path.join(process.cwd(), file);
+    let content = readProjectFile(targetPath) ?? "";
+    const current = dotenvValues(content);
+    const missing = Object.keys(expected).filter((key) => !(key in current));
+
+    if (!missing.length) {
+      console.log(
+        chalk.green(`${file} already sets every key in ${options.from}.`)
+      );
+      warnUnignoredEnvFile(targetPath);
+      return;
+    }
+
+    // Answer from the --answers file by key, or take the example values with --yes
+    const answers = await ask(
+      missing.map((key) => ({
+        type: "input",
+        name: key,
+        message: `Value for ${key}:`,
+        default: expected[key],
+      }))
+    );
+    missing.forEach((key) => {
+      content = setDotenvValue(content, key, answers[key]);
+    });
+    writeFile(targetPath, content);
+    console.log(chalk.green(`Added ${missing.join(", ")} to ${file}.`));
+    warnUnignoredEnvFile(targetPath);
+  });
+
+envCommand
+  .command("set <key> [value]")
+  .description("Set a variable in a .env file, replacing any earlier value")
+  .option("--env <file>", "Environment file to edit", ".env")
+  .action(async (key, value, options) => {
+    if (!DOTENV_LINE.test(`${key}=`)) {
+      throw new Error(`Invalid environment variable name "${key}".`);
+    }
+    const { newValue } = await ask(
+      [
+        {
+          type: "input",
+          name: "newValue",
+          message: `Value for ${key}:`,
+          flag: "<value>",
+        },
+      ],
+      { newValue: value }
+    );
+    const envPath = path.join(process.cwd(), options.env);
+    writeFile(envPath, setDotenvValue(readProjectFile(envPath), key, newValue));
+    console.log(chalk.green(`Set ${key} in ${options.env}.`));
+    warnUnignoredEnvFile(envPath);
+  });
+
+envCommand
+  .command("unset <key>")
+  .description("Remove a variable from a .env file")
+  .option("--env <file>", "Environment file to edit", ".env")
+  .action((key, options) => {
+    const source = readEnvFile(options.env);
+    if (!(key in dotenvValues(source))) {
+      console.log(chalk.yellow(`${key} is not set in ${options.env}.`));
+      return;
+    }
+    writeFile(
+      path.join(process.cwd(), options.env),
+      unsetDotenvValue(source, key)
+    );
+    console.log(chalk.green(`Removed ${key} from ${options.env}.`));
+  });
+
+// Component styling choices; "css-modules" and the other `styling` config
+// values map onto them
+const COMPONENT_STYLES = ["css-module", "tailwind", "scss", "none"];
+
+function normalizeComponentStyle(style) {
+  const normalized = style === "css-modules" ? "css-module" : style;
+  if (!COMPONENT_STYLES.includes(normalized)) {
+    throw new Error(
+      `Unknown style "${style}". Use one of: ${COMPONENT_STYLES.join(", ")}.`
+    );
+  }
+  return normalized;
+}
+
+// Split on commas outside brackets, so "onChange:(a: string, b: number) =>
+// void" stays one entry. The `>` of an arrow doesn't close a bracket.
+function splitTopLevel(input) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  [...input].forEach((char, index) => {
+    if ("([{<".includes(char)) depth++;
+    if (")]}".includes(char) || (char === ">" && input[index - 1] !== "=")) {
+      depth--;
+    }
+    if (char === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  });
+  return [...parts, current].map((part) => part.trim()).filter(Boolean);
+}
+
+// A placeholder value for a prop in stories and tests
+function samplePropValue({ name, type }) {
+  if (type === "string") return `"${name}"`;
+  if (type === "number") return "0";
+  if (type === "boolean") return "false";
+  if (type.includes("=>")) return "() => {}";
+  if (type.endsWith("[]")) return "[]";
+  if (type === "React.ReactNode" || type === "ReactNode") return `"${name}"`;
+  return `{} as ${type}`;
+}
+
+// Parse --props "title:string,count?:number,onClick:() => void"
+function parseProps(input) {
+  return splitTopLevel(input).map((prop) => {
+    const match = prop.match(/^([a-zA-Z_$][\w$]*)(\?)?\s*:\s*(.+)$/s);
+    if (!match) {
+      throw new Error(
+        `Invalid prop "${prop}". Use name:type or name?:type for optional props.`
+      );
+    }
+    const [, name, optional, type] = match;
+    const parsed = { name, optional: Boolean(optional), type: type.trim() };
+    const sample = samplePropValue(parsed);
+    return {
+      ...parsed,
+      sample,
+      jsxAttribute: sample.startsWith('"')
+        ? `${name}=${sample}`
+        : `${name}={${sample}}`,
+    };
+  });
+}
+
+// Add a component to the index.ts of the folder it sits in, creating it if
+// needed
+function addToBarrel(barrelPath, { name, props }) {
+  const lines = [
+    `export { default as ${name} } from "./${name}";`,
+    ...(props.length ? [`export type { ${name}Props } from "./${name}";`] : []),
+  ];
+  const existing = readProjectFile(barrelPath) ?? "";
+  const missing = lines.filter((line) => !existing.includes(line));
+  if (!missing.length) return;
+  writeFile(
+    barrelPath,
+    `${existing}${existing && !existing.endsWith("\n") ? "\n" : ""}${missing
+      .map((line) => `${line}\n`)
+      .join("")}`
+  );
+}
+
+program
+  .command("add-component")
+  .description("Generate a modular React component")
+  .option("--name <name>", "Name of the component")
+  .option("--dir <dir>", "Target directory under components")
+  .option("--client", 'Add "use client" to the component', false)
+  .option(
+    "--props <props>",
+    'Typed props, e.g. "title:string,count?:number,onClick:() => void"'
+  )
+  .option("--style <style>", `How to style it (${COMPONENT_STYLES.join(", ")})`)
+  .option("--with-tests", "Generate a test file", false)
+  .option("--story", "Generate a Storybook story (CSF3)", false)
+  .option("--no-barrel", "Don't add index.ts barrel exports")
+  .action(async (options) => {
+    const baseFolder = path.join(projectSetting("baseFolder"), "components");
+
+    // Directories in the components folder, which may not exist yet
+    const directories = fs.existsSync(baseFolder)
+      ? fs
+          .readdirSync(baseFolder, { withFileTypes: true })
+          .filter((dirent) => dirent.isDirectory())
+          .map((dirent) => dirent.name)
+      : [];
+
+    // Use flags or prompts for directory and name
+    let directory =
+      options.dir ??
+      (
+        await ask([
+          {
+            type: "list",
+            name: "targetDirectory",
+            message: "Select the directory for your component:",
+            choices: [
+              { name: `${baseFolder} (no subfolder)`, value: "" },
+              ...directories,
+              "Create new directory",
+            ],
+            flag: "--dir <dir>",
+          },
+        ])
+      ).targetDirectory;
+
+    if (directory === "Create new directory") {
+      const { newDirectory } = await ask([
+        {
+          type: "input",
+          name: "newDirectory",
+          message: "Enter the name of the new directory:",
+          validate: (input) =>
+            input.trim() !== "" || "Directory name cannot be empty!",
+          flag: "--dir <dir>",
+        },
+      ]);
+      directory = newDirectory.trim();
+    }
+
+    const { componentName, props, style } = await ask(
+      [
+        {
+          type: "input",
+          name: "componentName",
+          message: "Enter the component name:",
+          validate: (input) =>
+            toPascalCase(input) !== "" || "Component name cannot be empty!",
+          flag: "--name <name>",
+        },
+        {
+          type: "input",
+          name: "props",
+          message:
+            'Props (name:type, comma-separated, e.g. "title:string,onClick:() => void"), or leave empty:',
+          default: "",
+          flag: "--props <props>",
+        },
+        {
+          type: "list",
+          name: "style",
+          message: "How should the component be styled?",
+          choices: COMPONENT_STYLES,
+          // Follow the project's styling, e.g. Tailwind once add-tailwind ran
+          default: normalizeComponentStyle(projectSetting("styling")),
+          flag: "--style <style>",
+        },
+      ],
+      {
+        componentName: options.name,
+        props: options.props,
+        style: options.style,
+      }
+    );
+
+    const name = toPascalCase(componentName);
+    const componentStyle = normalizeComponentStyle(style);
+    const parsedProps = parseProps(props);
+    const componentDir = path.join(baseFolder, directory, name);
+    const location = displayPath(path.join(baseFolder, directory));
+
+    if (pathExists(componentDir)) {
+      console.log(
+        chalk.yellow(`Component ${name} already exists in ${location}.`)
+      );
+      return;
+    }
+
+    const styleFile = { "css-module": "module.css", scss: "module.scss" }[
+      componentStyle
+    ];
+    const templateData = {
+      name,
+      className: name.toLowerCase(),
+      client: options.client,
+      tailwind: componentStyle === "tailwind",
+      styleImport: styleFile ? `${name}.${styleFile}` : "",
+      props: parsedProps,
+      propNames: parsedProps.map((prop) => prop.name).join(", "),
+      requiredProps: parsedProps.filter((prop) => !prop.optional),
+    };
+
+    // Create the .tsx file
+    writeFile(
+      path.join(componentDir, `${name}.tsx`),
+      renderTemplate(
+        "components/component/component.template.tsx",
+        templateData
+      )
+    );
+
+    // Create the stylesheet
+    if (styleFile) {
+      writeFile(
+        path.join(componentDir, `${name}.${styleFile}`),
+        renderTemplate(
+          `components/component/component.template.${styleFile}`,
+          templateData
+        )
+      );
+    }
+    if (componentStyle === "scss" && !declaredDependencies().sass) {
+      console.log(chalk.blue("Installing Sass dependency..."));
+      installDependencies(["sass"], { dev: true });
+    }
+
+    // Create a test file if requested
+    if (options.withTests) {
+      writeFile(
+        path.join(componentDir, `${name}.test.tsx`),
+        renderTemplate(
+          "components/component/component.test.template.tsx",
+          templateData
+        )
+      );
+      noteTestRunner(true);
+    }
+
+    if (options.story) {
+      const dependencies = declaredDependencies();
+      writeFile(
+        path.join(componentDir, `${name}.stories.tsx`),
+        renderTemplate("components/component/component.stories.template.tsx", {
+          ...templateData,
+          storyTitle: [directory, name].filter(Boolean).join("/"),
+          storybookPackage: dependencies["@storybook/nextjs"]
+            ? "@storybook/nextjs"
+            : "@storybook/react",
+        })
+      );
+      if (
+        !dependencies["@storybook/nextjs"] &&
+        !dependencies["@storybook/react"]
+      ) {
+        console.log(
+          chalk.yellow(
+            "Storybook is not set up yet. Run `npx storybook@latest init` to add it."
+          )
+        );
+      }
+    }
+
+    // index.ts in the component folder, and an export from its parent folder
+    if (options.barrel) {
+      writeFile(
+        path.join(componentDir, "index.ts"),
+        renderTemplate("components/component/index.template.ts", templateData)
+      );
+      addToBarrel(path.join(baseFolder, directory, "index.ts"), {
+        name,
+        props: parsedProps,
+      });
+    }
+
+    console.log(
+      chalk.green(`Component ${name} created successfully in ${location}!`)
+    );
+  });
+
+// What add-testing sets up for each runner
+const TEST_RUNNERS = {
+  jest: {
+    dependencies: [
+      "jest",
+      "jest-environment-jsdom",
+      "@types/jest",
+      "@testing-library/react",
+      "@testing-library/dom",
+      "@testing-library/jest-dom",
+    ],
+    files: {
+      "jest.config.mjs": "testing/jest.config.template.mjs",
+      "jest.setup.ts": "testing/jest.setup.template.ts",
+    },
+    scripts: { test: "jest", "test:watch": "jest --watch" },
+  },
+  vitest: {
+    dependencies: [
+      "vitest",
+      "@vitejs/plugin-react",
+      "jsdom",
+      "vite-tsconfig-paths",
+      "@testing-library/react",
+      "@testing-library/dom",
+      "@testing-library/jest-dom",
+    ],
+    files: {
+      "vitest.config.mts": "testing/vitest.config.template.mts",
+      "vitest.setup.ts": "testing/vitest.setup.template.ts",
+    },
+    scripts: { test: "vitest run", "test:watch": "vitest" },
+  },
+};
+
+// Point out that generated tests can't run until a runner is set up
+function noteTestRunner(withTests) {
+  if (withTests && projectSetting("testRunner") === "none") {
+    console.log(
+      chalk.yellow(
+        "Note: No test runner is set up yet. Run `add-testing` to run the generated tests."
+      )
+    );
+  }
+}
+
+// Jest moduleNameMapper entry for the import alias, e.g. "^@/(.*)$" ->
+// "<rootDir>/src/$1", as JSON strings. Vitest reads the aliases from
+// tsconfig.json itself.
+function jestAliasMapper({ baseFolder }) {
+  const alias = projectSetting("importAlias");
+  if (!alias) return null;
+  const prefix = alias.replace(/\*$/, "");
+  return {
+    pattern: JSON.stringify(
+      `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(.*)$`
+    ),
+    target: JSON.stringify(`<rootDir>/${baseFolder ? `${baseFolder}/` : ""}$1`),
+  };
+}
+
 program
-  .version("1.0.7")
-  .description(
-    "Enhance an existing Next.js project with a detailed boilerplate"
+  .command("add-testing")
+  .description("Set up Jest or Vitest with React Testing Library")
+  .option("--runner <name>", "Test runner (jest or vitest)")
+  .action(async (options) => {
+    const baseFolder = projectSetting("baseFolder");
+    const detected = projectSetting("testRunner");
+
+    const { runner } = await ask(
+      [
+        {
+          type: "list",
+          name: "runner",
+          message: "Which test runner would you like to use?",
+          choices: Object.keys(TEST_RUNNERS),
+          default: detected === "none" ? "jest" : detected,
+          validate: (input) =>
+            Object.keys(TEST_RUNNERS).includes(input) ||
+            `Use one of: ${Object.keys(TEST_RUNNERS).join(", ")}.`,
+          flag: "--runner <name>",
+        },
+      ],
+      { runner: options.runner }
+    );
+    const setup = TEST_RUNNERS[runner];
+
+    console.log(chalk.blue(`Setting up ${runner}...`));
+    if (!installDependencies(setup.dependencies, { dev: true })) {
+      console.log(
+        chalk.red(`Error installing ${runner} dependencies. Check your setup.`)
+      );
+      return;
+    }
+
+    // Leave an existing config for the runner alone, whatever its extension
+    const configPrefix = `${runner}.config.`;
+    const existingConfig = fs
+      .readdirSync(process.cwd())
+      .find((entry) => entry.startsWith(configPrefix));
+    Object.entries(setup.files).forEach(([file, templateName]) => {
+      const target = path.join(process.cwd(), file);
+      if (
+        pathExists(target) ||
+        (file.startsWith(configPrefix) && existingConfig)
+      ) {
+        skipPath(pathExists(target) ? target : existingConfig);
+        return;
+      }
+      writeFile(
+        target,
+        renderTemplate(templateName, {
+          moduleNameMapper: jestAliasMapper({ baseFolder }),
+        })
+      );
+    });
+
+    addPackageScripts(setup.scripts);
+
+    // Generators write tests for this runner from now on
+    if (pathExists(path.join(process.cwd(), CONFIG_FILE))) {
+      writeConfig({ ...readConfig(), testRunner: runner });
+    }
+
+    console.log(
+      chalk.green(
+        `${runner} is set up. Run the tests with \`${projectSetting(
+          "packageManager"
+        )} run test\`.`
+      )
+    );
+  });
+
+// Tailwind directives in a stylesheet, v3 or v4
+const TAILWIND_DIRECTIVES = /@tailwind\s|@import\s+["']tailwindcss["']/;
+
+// Tailwind and PostCSS config files in the order they are looked up
+const TAILWIND_CONFIGS = [
+  "tailwind.config.ts",
+  "tailwind.config.mjs",
+  "tailwind.config.js",
+  "tailwind.config.cjs",
+];
+const POSTCSS_CONFIGS = [
+  "postcss.config.mjs",
+  "postcss.config.js",
+  "postcss.config.cjs",
+  "postcss.config.ts",
+];
+
+// The first of `names` that exists in the project root
+function findProjectFile(names) {
+  return (
+    names
+      .map((name) => path.join(process.cwd(), name))
+      .find((file) => pathExists(file)) ?? null
   );
+}
+
+// The object a config file exports: `module.exports = {...}`,
+// `export default {...}` (also with `satisfies Config`) or a variable that is
+// exported by name
+function findExportedObject(ast) {
+  const unwrap = (node) =>
+    ["TSSatisfiesExpression", "TSAsExpression"].includes(node?.type)
+      ? unwrap(node.expression)
+      : node;
+  let exported = null;
+
+  ast.program.body.forEach((node) => {
+    if (node.type === "ExportDefaultDeclaration") {
+      exported = unwrap(node.declaration);
+    }
+    const { left, right } = node.expression ?? {};
+    if (
+      node.type === "ExpressionStatement" &&
+      node.expression.type === "AssignmentExpression" &&
+      left.type === "MemberExpression" &&
+      left.object.name === "module" &&
+      left.property.name === "exports"
+    ) {
+      exported = unwrap(right);
+    }
+  });
+
+  if (exported?.type === "Identifier") {
+    const name = exported.name;
+    exported = null;
+    recast.visit(ast, {
+      visitVariableDeclarator(nodePath) {
+        if (nodePath.node.id.name === name) {
+          exported = unwrap(nodePath.node.init);
+        }
+        return false;
+      },
+    });
+  }
+  return exported?.type === "ObjectExpression" ? exported : null;
+}
 
-// Detect the current project setup
-function detectProjectSetup() {
-  const hasSrc = fs.existsSync(path.join(process.cwd(), "src"));
-  const hasApp = fs.existsSync(
-    path.join(process.cwd(), hasSrc ? "src/app" : "app")
+// An object property, added with `value` when it is missing
+function ensureProperty(object, name, value) {
+  const b = recast.types.builders;
+  let property = object.properties.find(
+    (candidate) => propertyName(candidate) === name
   );
-  const hasPages = fs.existsSync(
-    path.join(process.cwd(), hasSrc ? "src/pages" : "pages")
+  if (!property) {
+    property = b.objectProperty(
+      /^[A-Za-z_$][\w$]*$/.test(name)
+        ? b.identifier(name)
+        : b.stringLiteral(name),
+      value
+    );
+    object.properties.push(property);
+  }
+  return property;
+}
+
+// Content globs for the folders Next.js projects keep components in
+function tailwindContentPaths(baseFolder) {
+  const root = baseFolder ? `./${baseFolder}/` : "./";
+  return ["pages", "components", "app"].map(
+    (folder) => `${root}${folder}/**/*.{js,ts,jsx,tsx,mdx}`
   );
+}
 
-  let routerType = "Pages Router";
-  if (hasApp) {
-    routerType = "App Router";
-  } else if (hasPages) {
-    routerType = "Pages Router";
+// Merge content globs, theme.extend and plugins into an existing Tailwind
+// config, keeping everything else. Globs for pages/, components/ or app/ at
+// the project root are moved into src/ when the code lives there.
+function mergeTailwindConfig(configPath, { baseFolder, contentPaths }) {
+  const b = recast.types.builders;
+  const source = readProjectFile(configPath);
+  const ast = parseModule(source);
+  const config = findExportedObject(ast);
+  if (!config) {
+    console.log(
+      chalk.yellow(
+        `Note: Could not find the config object in ${displayPath(
+          configPath
+        )}. Add these content paths yourself: ${contentPaths.join(", ")}`
+      )
+    );
+    return;
+  }
+
+  let content = ensureProperty(config, "content", b.arrayExpression([])).value;
+  if (content.type === "ObjectExpression") {
+    content = ensureProperty(content, "files", b.arrayExpression([])).value;
+  }
+  if (content.type === "ArrayExpression") {
+    content.elements.forEach((element, index) => {
+      const match = element?.value?.match?.(/^\.\/(pages|components|app)\//);
+      if (
+        baseFolder &&
+        match &&
+        !fs.existsSync(path.join(process.cwd(), match[1]))
+      ) {
+        content.elements[index] = b.stringLiteral(
+          element.value.replace("./", `./${baseFolder}/`)
+        );
+      }
+    });
+    const existing = content.elements.map((element) => element?.value);
+    content.elements = content.elements.filter(
+      (element, index) =>
+        !element?.value || existing.indexOf(element.value) === index
+    );
+    // A folder that already has a glob keeps it, whatever extensions it lists
+    contentPaths
+      .filter(
+        (glob) =>
+          !existing.some((value) =>
+            value?.startsWith(glob.slice(0, glob.indexOf("**")))
+          )
+      )
+      .forEach((glob) => content.elements.push(b.stringLiteral(glob)));
   } else {
     console.log(
-      chalk.red(
-        "Error: Neither App Router nor Pages Router found. Ensure your Next.js project has an `app` or `pages` directory."
+      chalk.yellow(
+        `Note: content in ${displayPath(
+          configPath
+        )} is not a list. Add these paths yourself: ${contentPaths.join(", ")}`
       )
     );
-    process.exit(1);
   }
 
-  return { routerType, hasSrc, hasPages };
+  const theme = ensureProperty(config, "theme", b.objectExpression([])).value;
+  if (theme.type === "ObjectExpression") {
+    ensureProperty(theme, "extend", b.objectExpression([]));
+  }
+  ensureProperty(config, "plugins", b.arrayExpression([]));
+
+  const updated = `${printModule(ast, source).trimEnd()}\n`;
+  if (updated === source) {
+    skipPath(configPath, "already configured");
+    return;
+  }
+  writeFile(configPath, updated);
 }
 
-// Enhance the project based on user input
-function enhanceProject({ routerType, baseFolder }) {
-  const folderStructures = {
-    "App Router": [
-      `${baseFolder}/components/ui`,
-      `${baseFolder}/hooks`,
-      `${baseFolder}/lib`,
-      `${baseFolder}/services`,
-      `${baseFolder}/styles`,
-      `${baseFolder}/types`,
-      `${baseFolder}/utils`,
-      `${baseFolder}/app/api`, // Added App Router-specific API folder
-    ],
-    "Pages Router": [
-      `${baseFolder}/pages/api`,
-      `${baseFolder}/components/ui`,
-      `${baseFolder}/hooks`,
-      `${baseFolder}/lib`,
-      `${baseFolder}/services`,
-      `${baseFolder}/styles`,
-      `${baseFolder}/types`,
-      `${baseFolder}/utils`,
-    ],
-  };
+// Make sure the PostCSS config loads Tailwind: `tailwindcss` and
+// `autoprefixer` for v3, `@tailwindcss/postcss` (which replaces both) for v4
+function mergePostcssConfig(configPath, { v4 }) {
+  const b = recast.types.builders;
+  const source = readProjectFile(configPath);
+  const ast = parseModule(source);
+  const plugins = findExportedObject(ast)?.properties.find(
+    (property) => propertyName(property) === "plugins"
+  )?.value;
+  const wanted = v4
+    ? ["@tailwindcss/postcss"]
+    : ["tailwindcss", "autoprefixer"];
+  if (plugins?.type !== "ObjectExpression") {
+    console.log(
+      chalk.yellow(
+        `Note: Could not find a plugins object in ${displayPath(
+          configPath
+        )}. Add ${wanted.join(" and ")} to it yourself.`
+      )
+    );
+    return;
+  }
 
-  const pathToTemplates = path.join(__dirname, "templates");
+  if (v4) {
+    plugins.properties = plugins.properties.filter(
+      (property) =>
+        !["tailwindcss", "autoprefixer"].includes(propertyName(property))
+    );
+  }
+  wanted.forEach((name) =>
+    ensureProperty(plugins, name, b.objectExpression([]))
+  );
+  // Tailwind has to run before autoprefixer
+  plugins.properties.sort(
+    (first, second) =>
+      (propertyName(second) === "tailwindcss") -
+      (propertyName(first) === "tailwindcss")
+  );
 
-  const templates = {
-    "App Router": {
-      layout: path.join(pathToTemplates, "app/layout.template.tsx"),
-      error: path.join(pathToTemplates, "app/error.template.tsx"),
-      page: path.join(pathToTemplates, "app/page.template.tsx"),
-      lib: {
-        api: path.join(pathToTemplates, "lib/api.template.ts"),
-        constants: path.join(pathToTemplates, "lib/constants.template.ts"),
-      },
-    },
-    "Pages Router": {
-      app: path.join(pathToTemplates, "pages/_app.template.tsx"),
-      error: path.join(pathToTemplates, "pages/_error.template.tsx"),
-      index: path.join(pathToTemplates, "pages/index.template.tsx"),
-      lib: {
-        api: path.join(pathToTemplates, "lib/api.template.ts"),
-        constants: path.join(pathToTemplates, "lib/constants.template.ts"),
-      },
-    },
-  };
+  const updated = `${printModule(ast, source).trimEnd()}\n`;
+  if (updated === source) {
+    skipPath(configPath, "already configured");
+    return;
+  }
+  writeFile(configPath, updated);
+}
 
-  // Create folders
-  folderStructures[routerType].forEach((folder) => {
-    const fullPath = path.join(process.cwd(), folder);
-    if (!fs.existsSync(fullPath)) {
-      shell.mkdir("-p", fullPath);
-      console.log(chalk.green(`Created: ${folder}`));
+// Put the Tailwind directives at the top of the global stylesheet. For v4
+// that is @import "tailwindcss" (replacing v3 @tailwind directives) plus an
+// @config line when the project keeps a JavaScript config.
+function addTailwindDirectives(stylesheet, { v4, configPath }) {
+  const source = readProjectFile(stylesheet) ?? "";
+  const configFile = configPath
+    ? path
+        .relative(path.dirname(stylesheet), configPath)
+        .split(path.sep)
+        .join("/")
+        .replace(/^(?!\.)/, "./")
+    : null;
+  let updated = source;
+
+  if (v4) {
+    updated = updated.replace(/^[ \t]*@tailwind\s+[\w-]+;[ \t]*\n?/gm, "");
+    if (!/@import\s+["']tailwindcss["']/.test(updated)) {
+      updated = `${renderTemplate("tailwind/globals.template.css", {
+        v4,
+      })}${updated.trim() ? `\n${updated.replace(/^\n+/, "")}` : ""}`;
+    }
+    if (configFile && !/@config\s/.test(updated)) {
+      updated = updated.replace(
+        /@import\s+["']tailwindcss["'];?/,
+        (line) => `${line}\n@config "${configFile}";`
+      );
+    }
+  } else if (!/@tailwind\s+base/.test(updated)) {
+    updated = `${renderTemplate("tailwind/globals.template.css", {
+      v4,
+    })}${updated.trim() ? `\n${updated}` : ""}`;
+  }
+
+  if (updated === source) {
+    skipPath(stylesheet, "already has the Tailwind directives");
+    return;
+  }
+  writeFile(stylesheet, updated);
+}
+
+//Adding tailwind setup
+program
+  .command("add-tailwind")
+  .description("Set up Tailwind CSS for your Next.js project")
+  .option(
+    "--tailwind-version <major>",
+    "Tailwind major version to set up (3 or 4; defaults to the installed one, else 4)"
+  )
+  .option("--reconfigure", "Update an existing Tailwind CSS setup")
+  .option("--no-reconfigure", "Leave an existing Tailwind CSS setup alone")
+  .option(
+    "--prettier-plugin",
+    "Install prettier-plugin-tailwindcss for class sorting"
+  )
+  .option("--no-prettier-plugin", "Skip prettier-plugin-tailwindcss")
+  .action(async (options) => {
+    console.log(chalk.blue("Setting up Tailwind CSS..."));
+
+    const { baseFolder, routerType } = projectSetup();
+    const installed = installedVersion("tailwindcss");
+    const major = String(
+      options.tailwindVersion ?? (installed ? majorVersion(installed) : 4)
+    );
+    if (!["3", "4"].includes(major)) {
+      throw new Error(
+        `Tailwind CSS ${major} is not supported. Use --tailwind-version 3 or 4.`
+      );
+    }
+    const v4 = major === "4";
+
+    // Detect an existing Tailwind setup
+    const stylesheet = findGlobalStylesheet({ baseFolder, routerType });
+    let tailwindConfig = findProjectFile(TAILWIND_CONFIGS);
+    if (
+      tailwindConfig ||
+      TAILWIND_DIRECTIVES.test(
+        (stylesheet && readProjectFile(stylesheet)) ?? ""
+      )
+    ) {
+      const { shouldContinue } = await ask(
+        [
+          {
+            type: "confirm",
+            name: "shouldContinue",
+            message:
+              "Tailwind CSS is already configured. Do you want to update the setup?",
+            default: false,
+            flag: "--reconfigure / --no-reconfigure",
+          },
+        ],
+        { shouldContinue: options.reconfigure }
+      );
+
+      if (!shouldContinue) {
+        console.log(chalk.green("Skipped Tailwind CSS setup."));
+        return;
+      }
+    }
+
+    // Install dependencies
+    console.log(chalk.blue(`Installing Tailwind CSS ${major} dependencies...`));
+    if (
+      !installDependencies(
+        v4
+          ? ["tailwindcss@^4", "@tailwindcss/postcss", "postcss"]
+          : ["tailwindcss@^3", "postcss", "autoprefixer"],
+        { dev: true }
+      )
+    ) {
+      console.log(
+        chalk.red(
+          "Error installing Tailwind CSS dependencies. Check your setup."
+        )
+      );
+      return;
+    }
+
+    // PostCSS loads Tailwind in both versions
+    const postcssConfig = findProjectFile(POSTCSS_CONFIGS);
+    if (postcssConfig) {
+      mergePostcssConfig(postcssConfig, { v4 });
     } else {
-      console.log(chalk.yellow(`Skipped: ${folder} (already exists)`));
+      writeFile(
+        path.join(process.cwd(), "postcss.config.mjs"),
+        renderTemplate("tailwind/postcss.config.template.mjs", { v4 })
+      );
+    }
+
+    // v3 reads content paths and the theme from tailwind.config; v4 finds the
+    // content itself and only needs an existing config for its theme
+    const contentPaths = tailwindContentPaths(baseFolder);
+    if (tailwindConfig) {
+      mergeTailwindConfig(tailwindConfig, { baseFolder, contentPaths });
+    } else if (!v4) {
+      const typescript = pathExists(path.join(process.cwd(), "tsconfig.json"));
+      const packageJson = JSON.parse(readProjectFile("package.json") ?? "{}");
+      tailwindConfig = path.join(
+        process.cwd(),
+        typescript ? "tailwind.config.ts" : "tailwind.config.js"
+      );
+      writeFile(
+        tailwindConfig,
+        renderTemplate("tailwind/tailwind.config.template.js", {
+          contentPaths,
+          typescript,
+          esm: typescript || packageJson.type === "module",
+        })
+      );
+    }
+
+    // Add the directives to the stylesheet the app already uses, or create
+    // the usual one for the router
+    const globalCSS =
+      stylesheet ??
+      path.join(
+        process.cwd(),
+        baseFolder,
+        routerType === "App Router" ? "app/globals.css" : "styles/globals.css"
+      );
+    addTailwindDirectives(globalCSS, {
+      v4,
+      configPath: v4 ? tailwindConfig : null,
+    });
+
+    // Import it in the root layout or _app
+    const entryPath = appEntryPath({ baseFolder, routerType });
+    const entrySource = readProjectFile(entryPath);
+    if (entrySource === null) {
+      console.log(
+        chalk.yellow(
+          `Note: Import ${displayPath(globalCSS)} in ${displayPath(
+            entryPath
+          )} to load Tailwind CSS.`
+        )
+      );
+    } else if (!stylesheetImports(entryPath).includes(globalCSS)) {
+      writeFile(
+        entryPath,
+        addImports(entrySource, [{ from: importPath(entryPath, globalCSS) }])
+      );
+    }
+
+    // Optional Prettier Plugin Setup
+    const { installPrettierPlugin } = await ask(
+      [
+        {
+          type: "confirm",
+          name: "installPrettierPlugin",
+          message:
+            "Would you like to install prettier-plugin-tailwindcss for class sorting?",
+          default: true,
+          flag: "--prettier-plugin / --no-prettier-plugin",
+        },
+      ],
+      { installPrettierPlugin: options.prettierPlugin }
+    );
+
+    if (installPrettierPlugin) {
+      installDependencies(["prettier-plugin-tailwindcss"], { dev: true });
+    }
+
+    // New components default to Tailwind classes from now on
+    if (pathExists(path.join(process.cwd(), CONFIG_FILE))) {
+      writeConfig({ ...readConfig(), styling: "tailwind" });
+    }
+
+    console.log(chalk.green("Tailwind CSS setup completed successfully!"));
+  });
+
+// How the README and hints refer to this CLI
+const CLI_COMMAND = "npx nextjs-boilerplate-cli";
+
+// Packages the generated code needs, and how to tell that code is there
+const REQUIRED_PACKAGES = [
+  {
+    feature: "lib/api.ts",
+    packages: ["axios"],
+    detect: ({ baseFolder }) =>
+      pathExists(path.join(process.cwd(), baseFolder, "lib/api.ts")),
+  },
+  {
+    feature: "The Redux store",
+    packages: ["@reduxjs/toolkit", "react-redux"],
+    detect: ({ baseFolder }) =>
+      pathExists(path.join(process.cwd(), baseFolder, "store/index.ts")),
+  },
+  {
+    feature: "lib/env.ts",
+    packages: ["zod"],
+    detect: ({ baseFolder }) =>
+      /from\s+["']zod["']/.test(
+        readProjectFile(path.join(process.cwd(), baseFolder, "lib/env.ts")) ??
+          ""
+      ),
+  },
+  {
+    feature: "Tailwind CSS",
+    packages: ["tailwindcss"],
+    dev: true,
+    detect: ({ stylesheet }) =>
+      Boolean(findProjectFile(TAILWIND_CONFIGS)) ||
+      TAILWIND_DIRECTIVES.test(stylesheet),
+  },
+  {
+    feature: "Tailwind CSS 4",
+    packages: ["@tailwindcss/postcss"],
+    dev: true,
+    detect: ({ stylesheet }) =>
+      /@import\s+["']tailwindcss["']/.test(stylesheet),
+  },
+];
+
+// Variables Next.js sets itself
+const BUILTIN_ENV_VARS = ["NODE_ENV", "NEXT_RUNTIME"];
+
+// Move a file; the plan records a create and a delete, so undo restores it
+function moveFile(from, to) {
+  writeFile(to, readProjectFile(from));
+  removeFile(from);
+}
+
+// Delete the folders that `files` were removed from once they are empty,
+// deepest first, staying inside the `roots` folders
+function removeEmptyDirs(files, roots) {
+  const inRoots = (dir) =>
+    roots.some((root) => dir === root || dir.startsWith(`${root}${path.sep}`));
+  const dirs = new Set();
+  files.forEach((file) => {
+    for (
+      let current = path.dirname(file);
+      inRoots(current);
+      current = path.dirname(current)
+    ) {
+      dirs.add(current);
     }
   });
+  [...dirs]
+    .sort((a, b) => b.length - a.length)
+    .forEach((dir) => removeEmptyDir(dir));
+}
+
+// Files under a folder, as paths relative to it
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { recursive: true })
+    .filter((file) => fs.statSync(path.join(dir, file)).isFile())
+    .map((file) => file.split(path.sep).join("/"))
+    .sort();
+}
+
+// The config file should describe the folders that are really there
+function checkProjectSetup({ detected, baseFolder, routerType }) {
+  const config = readConfig();
+  const findings = [];
+  const detectedRouter = detected.hasApp ? "app" : "pages";
+
+  if (
+    config.routerType &&
+    !(config.routerType === "App Router" ? detected.hasApp : detected.hasPages)
+  ) {
+    findings.push({
+      level: "error",
+      message: `${CONFIG_FILE} sets routerType to "${
+        config.routerType
+      }", but the project has no ${
+        config.routerType === "App Router" ? "app" : "pages"
+      } directory.`,
+      fix: `${CLI_COMMAND} config set routerType ${detectedRouter}`,
+      apply: () =>
+        writeConfig({ ...readConfig(), routerType: detected.routerType }),
+    });
+  }
+
+  const detectedBase = detected.hasSrc ? "src" : "";
+  if ("baseFolder" in config && config.baseFolder !== detectedBase) {
+    findings.push({
+      level: "error",
+      message: `${CONFIG_FILE} sets baseFolder to "${
+        config.baseFolder
+      }", but the code lives in ${detectedBase ? "src/" : "the project root"}.`,
+      fix: `${CLI_COMMAND} config set baseFolder ${detectedBase || "."}`,
+      apply: () => writeConfig({ ...readConfig(), baseFolder: detectedBase }),
+    });
+  }
+
+  if (detected.hasApp && detected.hasPages && !config.routerType) {
+    findings.push({
+      level: "warning",
+      message: `Both app and pages directories exist. Generators use the ${routerType}; pin it so they keep doing so.`,
+      fix: `${CLI_COMMAND} config set routerType ${
+        routerType === "App Router" ? "app" : "pages"
+      }`,
+      apply: () => writeConfig({ ...readConfig(), routerType }),
+    });
+  }
+
+  return findings;
+}
+
+function checkDependencies(setup) {
+  const declared = declaredDependencies();
+  const manager = packageManager();
+  return REQUIRED_PACKAGES.filter(({ detect }) => detect(setup)).flatMap(
+    ({ feature, packages, dev = false }) => {
+      const missing = packages.filter((name) => !declared[name]);
+      if (!missing.length) return [];
+      return [
+        {
+          level: "error",
+          message: `${feature} needs ${missing.join(
+            ", "
+          )}, which package.json does not list.`,
+          fix: `${manager.add}${dev ? ` ${manager.dev}` : ""} ${missing.join(
+            " "
+          )}`,
+          // Packages that are only in node_modules (hoisted from another
+          // dependency) are declared at the version already there
+          apply: () => installDependencies(missing, { dev }),
+        },
+      ];
+    }
+  );
+}
+
+// Every slice file should be in the reducer map, and the app should be
+// wrapped in the Provider
+function checkStore({ baseFolder, routerType }) {
+  const storePath = path.join(process.cwd(), baseFolder, "store/index.ts");
+  const source = readProjectFile(storePath);
+  if (source === null) return [];
+  const findings = [];
+
+  const slices = listFiles(path.join(process.cwd(), baseFolder, "store/slices"))
+    .map((file) => file.match(/^(\w+)Slice\.(ts|js)$/)?.[1])
+    .filter(Boolean);
+  try {
+    const ast = parseModule(source);
+    const reducerMap = findReducerMap(ast, storePath);
+    const registered = reducerMap.properties.flatMap((property) => [
+      propertyName(property),
+      property.value?.name,
+    ]);
+    const imported = ast.program.body
+      .filter((node) => node.type === "ImportDeclaration")
+      .flatMap((node) =>
+        node.specifiers
+          .filter((specifier) => registered.includes(specifier.local.name))
+          .map(() => node.source.value)
+      );
+    const unregistered = slices.filter(
+      (slice) =>
+        !registered.includes(slice) &&
+        !imported.some(
+          (from) => from.replace(/\.(ts|js)$/, "") === `./slices/${slice}Slice`
+        )
+    );
+    if (unregistered.length) {
+      findings.push({
+        level: "error",
+        message: `Slices not registered in ${displayPath(
+          storePath
+        )}: ${unregistered.join(", ")}.`,
+        fix: `${CLI_COMMAND} add-slice ${unregistered.join(",")}`,
+        apply: () => registerSlices(storePath, unregistered, { routerType }),
+      });
+    }
+  } catch (error) {
+    findings.push({
+      level: "warning",
+      message: error.message,
+      fix: "Check the configureStore() call by hand.",
+    });
+  }
+
+  const entryPath = appEntryPath({ baseFolder, routerType });
+  const entrySource = readProjectFile(entryPath);
+  const provider = routerType === "App Router" ? "StoreProvider" : "Provider";
+  let provided = true;
+  try {
+    provided =
+      entrySource === null ||
+      Boolean(
+        findJSX(parseModule(entrySource), (node) => jsxName(node) === provider)
+      );
+  } catch {
+    // Leave files the parser can't read alone
+  }
+  if (!provided) {
+    findings.push({
+      level: "error",
+      message: `The Redux store is never provided: ${displayPath(
+        entryPath
+      )} has no <${provider}>.`,
+      fix: `${CLI_COMMAND} add-redux --wire-provider`,
+    });
+  }
+
+  return findings;
+}
+
+// Variables read in lib/ should be set in some .env file, unless the env
+// schema marks them optional
+function checkEnvVariables({ baseFolder }) {
+  const libDir = path.join(process.cwd(), baseFolder, "lib");
+  const schema = readEnvSchema();
+  const defined = new Set(
+    listEnvFiles().flatMap((file) =>
+      Object.keys(dotenvValues(readEnvFile(file)))
+    )
+  );
+  const usages = new Map();
+  listFiles(libDir)
+    .filter((file) => /\.(tsx?|jsx?|mjs)$/.test(file))
+    .forEach((file) => {
+      const source = readProjectFile(path.join(libDir, file));
+      [
+        ...source.matchAll(/process\.env(?:\.(\w+)|\[["'](\w+)["']\])/g),
+      ].forEach(([, dotted, quoted]) => {
+        const key = dotted ?? quoted;
+        if (!usages.has(key)) usages.set(key, new Set());
+        usages.get(key).add(displayPath(path.join(libDir, file)));
+      });
+    });
+
+  return [...usages]
+    .filter(
+      ([key]) =>
+        !BUILTIN_ENV_VARS.includes(key) &&
+        !defined.has(key) &&
+        schema[key]?.required !== false
+    )
+    .map(([key, files]) => ({
+      level: "warning",
+      message: `${key} is read in ${[...files].join(
+        ", "
+      )}, but no .env file sets it.`,
+      fix: `${CLI_COMMAND} env set ${key} --env .env.local`,
+    }));
+}
+
+// Folders in app/ that hold shared code rather than routes
+const NON_ROUTE_FOLDERS = ["components", "hooks", "lib", "utils", "styles"];
+
+// Whether an index file in app/ looks like a page written for the Pages
+// Router: a component file outside private (_folder) and shared-code folders
+// that default-exports a component. Barrels such as _components/index.ts are
+// not.
+function isMisnamedPage(file, source) {
+  const folders = file.split("/").slice(0, -1);
+  if (
+    folders.some(
+      (folder) => folder.startsWith("_") || NON_ROUTE_FOLDERS.includes(folder)
+    )
+  ) {
+    return false;
+  }
+  return (
+    /\.(tsx|jsx)$/.test(file) &&
+    /export\s+default\s+(async\s+)?(function|class)\b|export\s+default\s+[A-Z]\w*\s*;?\s*$/m.test(
+      source ?? ""
+    )
+  );
+}
+
+// Files named for the other router, which Next.js serves as plain pages or
+// ignores
+function checkRouteFiles({ baseFolder, routerType }) {
+  const appDir = path.join(process.cwd(), baseFolder, "app");
+  const pagesDir = path.join(process.cwd(), baseFolder, "pages");
+  const findings = [];
 
-  // Create files from templates
-  const libTemplates = templates[routerType].lib;
-  Object.entries(libTemplates).forEach(([key, templatePath]) => {
-    const outputFile = path.join(process.cwd(), `${baseFolder}/lib/${key}.ts`);
-    if (!fs.existsSync(outputFile)) {
-      const content = fs.readFileSync(templatePath, "utf-8");
-      fs.writeFileSync(
-        outputFile,
-        `// TODO: Change this file according to your exact requirement.\n\n${content}`
-      );
-      console.log(chalk.green(`Created: ${outputFile}`));
-    } else {
-      console.log(chalk.yellow(`Skipped: ${outputFile} (already exists)`));
+  listFiles(appDir).forEach((file) => {
+    const fullPath = path.join(appDir, file);
+    const { dir, name } = path.posix.parse(file);
+    if (!/\.(tsx?|jsx?)$/.test(file)) return;
+
+    if (file.startsWith("api/") && name !== "route") {
+      if (!/export\s+default\b/.test(readProjectFile(fullPath))) return;
+      findings.push({
+        level: "error",
+        message: `${displayPath(
+          fullPath
+        )} is a Pages Router API handler; the App Router only serves route.ts files.`,
+        fix: `Move it to ${displayPath(
+          path.join(appDir, dir, name === "index" ? "" : name, "route.ts")
+        )} with named GET/POST exports.`,
+      });
+    } else if (
+      name === "index" &&
+      !file.startsWith("api/") &&
+      isMisnamedPage(file, readProjectFile(fullPath))
+    ) {
+      // Not applied by --fix: the file may be imported under its old name
+      const target = path.join(appDir, dir, file.replace(/^.*index/, "page"));
+      findings.push({
+        level: "error",
+        message: `${displayPath(
+          fullPath
+        )} is not served; App Router pages are named page.tsx.`,
+        fix: `mv ${displayPath(fullPath)} ${displayPath(target)}`,
+      });
+    } else if (["_app", "_document"].includes(name) && !dir) {
+      findings.push({
+        level: "error",
+        message: `${displayPath(
+          fullPath
+        )} is a Pages Router file and has no effect in the app directory.`,
+        fix: `Move its markup into ${displayPath(
+          appEntryPath({ baseFolder, routerType: "App Router" })
+        )}.`,
+      });
     }
   });
 
-  Object.entries(templates[routerType]).forEach(([key, templatePath]) => {
-    if (key === "lib") return; // Skip lib files already processed
-    const outputFile = path.join(
-      process.cwd(),
-      `${baseFolder}/${routerType === "App Router" ? "app" : "pages"}`,
-      `${key}.tsx`
-    );
-    if (!fs.existsSync(outputFile)) {
-      const content = fs.readFileSync(templatePath, "utf-8");
-      fs.writeFileSync(
-        outputFile,
-        `// TODO: Change this file according to your exact requirement.\n\n${content}`
-      );
-      console.log(chalk.green(`Created: ${outputFile}`));
-    } else {
-      console.log(chalk.yellow(`Skipped: ${outputFile} (already exists)`));
+  listFiles(pagesDir).forEach((file) => {
+    const fullPath = path.join(pagesDir, file);
+    const { dir, name, ext } = path.posix.parse(file);
+    if (!/\.(tsx?|jsx?)$/.test(file)) return;
+    const appTarget = path.join(appDir, dir);
+
+    if (
+      ["page", "layout", "loading", "error", "not-found", "template"].includes(
+        name
+      )
+    ) {
+      const target = path.join(pagesDir, dir, `index${ext}`);
+      findings.push({
+        level: "error",
+        message: `${displayPath(
+          fullPath
+        )} uses an App Router file name, so it is served at /${file.replace(
+          /\.\w+$/,
+          ""
+        )}.`,
+        fix:
+          name === "page" && !pathExists(target)
+            ? `mv ${displayPath(fullPath)} ${displayPath(target)}`
+            : `Move it to ${displayPath(
+                path.join(appTarget, `${name}${ext}`)
+              )}.`,
+        apply:
+          name === "page" && !pathExists(target)
+            ? () => moveFile(fullPath, target)
+            : null,
+      });
+    } else if (name === "route") {
+      findings.push({
+        level: "error",
+        message: `${displayPath(
+          fullPath
+        )} is an App Router route handler; the Pages Router serves it at /${file.replace(
+          /\.\w+$/,
+          ""
+        )}.`,
+        fix: `Move it to ${displayPath(path.join(appTarget, `route${ext}`))}.`,
+      });
+    } else if (routerType === "App Router" && file.startsWith("api/")) {
+      findings.push({
+        level: "warning",
+        message: `${displayPath(
+          fullPath
+        )} is a Pages Router API handler in an App Router project.`,
+        fix: `Move it to ${displayPath(
+          path.join(appDir, dir, name === "index" ? "" : name, "route.ts")
+        )} with named GET/POST exports.`,
+      });
     }
   });
 
-  console.log(chalk.green("Project enhanced successfully!"));
-  console.log(
-    chalk.blue(
-      "\nNote: You can modify the structure according to your needs; this is just a starting point to help you get started."
-    )
-  );
+  return findings;
 }
 
-// Command to add boilerplate to an existing project
+// Audit the project against what the generators expect
 program
-  .command("add")
+  .command("doctor")
   .description(
-    "Add detailed boilerplate structure to an existing Next.js project"
+    "Check the project for half-finished setups and suggest a fix for each problem"
   )
-  .action(async () => {
+  .option("--fix", "Apply the fixes that are safe to make automatically", false)
+  .action(async (options) => {
+    const detected = detectProjectSetup({ optional: true });
+    const config = readConfig();
+    // The folders that are really there win over a stale config file
+    const routerType =
+      (config.routerType === "App Router" && detected.hasApp) ||
+      (config.routerType === "Pages Router" && detected.hasPages)
+        ? config.routerType
+        : detected.routerType;
+    const baseFolder = detected.hasSrc ? "src" : "";
+    const routers = [
+      detected.hasApp && "app",
+      detected.hasPages && "pages",
+    ].filter(Boolean);
+
+    console.log(chalk.bold("Project"));
+    console.log(`  Router: ${routerType ?? chalk.red("none found")}`);
     console.log(
-      chalk.blue("Enhancing your Next.js project with boilerplate...")
+      `  Router directories: ${routers.length ? routers.join(", ") : "none"}`
+    );
+    console.log(
+      `  Code folder: ${baseFolder ? `${baseFolder}/` : "project root"}`
     );
 
-    if (!fs.existsSync(path.join(process.cwd(), "package.json"))) {
-      console.log(
-        chalk.red("Error: No package.json found. Are you in a Next.js project?")
+    const findings = [];
+    if (!routerType) {
+      findings.push({
+        level: "error",
+        message: "Neither an app nor a pages directory was found.",
+        fix: `mkdir -p ${baseFolder ? `${baseFolder}/` : ""}app`,
+      });
+    } else {
+      const stylesheet = findGlobalStylesheet({ baseFolder, routerType });
+      const setup = {
+        detected,
+        baseFolder,
+        routerType,
+        stylesheet: (stylesheet && readProjectFile(stylesheet)) ?? "",
+      };
+      findings.push(
+        ...checkProjectSetup(setup),
+        ...checkDependencies(setup),
+        ...checkStore(setup),
+        ...checkEnvVariables(setup),
+        ...checkRouteFiles(setup)
       );
+    }
+
+    if (!findings.length) {
+      console.log(chalk.green("\nNo problems found."));
       return;
     }
 
-    const detectedSetup = detectProjectSetup();
+    console.log(chalk.bold("\nProblems"));
+    findings.forEach(({ level, message, fix, apply }) => {
+      console.log(
+        `  ${
+          level === "error" ? chalk.red("error") : chalk.yellow("warning")
+        } ${message}`
+      );
+      console.log(
+        chalk.gray(
+          `    Fix: ${fix}${apply && !options.fix ? " (applied by --fix)" : ""}`
+        )
+      );
+    });
+
+    let remaining = findings;
+    if (options.fix) {
+      console.log("");
+      remaining = [];
+      for (const finding of findings) {
+        if (finding.apply) {
+          console.log(chalk.blue(`Fixing: ${finding.message}`));
+          await finding.apply();
+        } else {
+          remaining.push(finding);
+        }
+      }
+    }
 
+    const errors = remaining.filter(({ level }) => level === "error").length;
+    const warnings = remaining.length - errors;
+    const fixable = remaining.filter(({ apply }) => apply).length;
+    const summary = `${errors} error(s) and ${warnings} warning(s)${
+      options.fix ? " left" : ""
+    }.${fixable ? ` Run \`doctor --fix\` to fix ${fixable} of them.` : ""}`;
+    if (errors) throw new Error(summary);
     console.log(
-      chalk.blue(
-        `Detected router type: ${detectedSetup.routerType}. Proceeding with the detected setup.`
-      )
+      remaining.length
+        ? chalk.yellow(`\n${summary}`)
+        : chalk.green("\nAll problems fixed.")
     );
+  });
 
-    const answers = await inquirer.prompt([
-      {
-        type: "confirm",
-        name: "useSrc",
-        message: "Does your project use a src/ folder?",
-        default: detectedSetup.hasSrc,
-      },
-      {
-        type: "confirm",
-        name: "createSrc",
-        message: "Do you want to create a src/ folder?",
-        default: true,
-        when: (answers) => !answers.useSrc,
-      },
-    ]);
+// Pages Router files that become App Router special files
+const SPECIAL_PAGES = {
+  _app: "layout",
+  _error: "error",
+  404: "not-found",
+};
 
-    const baseFolder = detectedSetup.hasSrc || answers.createSrc ? "src" : "";
+// import/require specifiers: the text before the quote, the quote and the path
+const IMPORT_SPECIFIER =
+  /(\bfrom\s+|\bimport\s*\(?\s*|\brequire\s*\(\s*)(["'])([^"'\n]+)\2/g;
 
-    enhanceProject({
-      routerType: detectedSetup.routerType,
-      baseFolder,
-    });
+// The path a relative or import-alias specifier points at, or null for a
+// package
+function resolveImport(specifier, fromFile) {
+  const alias = projectSetting("importAlias").replace(/\*$/, "");
+  if (alias && specifier.startsWith(alias)) {
+    return path.join(
+      process.cwd(),
+      projectSetting("baseFolder"),
+      specifier.slice(alias.length)
+    );
+  }
+  return specifier.startsWith(".")
+    ? path.resolve(path.dirname(fromFile), specifier)
+    : null;
+}
 
-    console.log(chalk.blue("Installing Axios dependency..."));
-    const installCommand = fs.existsSync("yarn.lock")
-      ? "yarn add"
-      : "npm install";
-    const dependencies = ["axios"];
-    const result = shell.exec(`${installCommand} ${dependencies.join(" ")}`);
-
-    if (result.code === 0) {
-      console.log(chalk.green("Axios installed successfully!"));
-    } else {
-      console.log(chalk.red("Error installing Axios. Check your setup."));
+// The files an import of `target` can load, with or without an extension
+function importCandidates(target) {
+  return [
+    target,
+    ...[".tsx", ".ts", ".d.ts", ".jsx", ".js"].flatMap((extension) => [
+      `${target}${extension}`,
+      path.join(target, `index${extension}`),
+    ]),
+  ];
+}
+
+// Rewrite the relative and import-alias specifiers of a file moved from
+// `fromFile` to `toFile`. `moved` maps old paths to new ones for the files
+// moved in the same run, so imports between them keep pointing at each other.
+// A file that stays put (`fromFile` === `toFile`) only has its imports of
+// moved files rewritten.
+function rebaseImports(source, fromFile, toFile, moved) {
+  const alias = projectSetting("importAlias").replace(/\*$/, "");
+  const aliasRoot = path.join(process.cwd(), projectSetting("baseFolder"));
+
+  return source.replace(
+    IMPORT_SPECIFIER,
+    (match, keyword, quote, specifier) => {
+      const target = resolveImport(specifier, fromFile);
+      if (!target) return match;
+
+      const isAlias = !specifier.startsWith(".");
+      const movedFrom = importCandidates(target).find((file) =>
+        moved.has(file)
+      );
+      if (!movedFrom && (isAlias || fromFile === toFile)) return match;
+
+      const newTarget = movedFrom ? moved.get(movedFrom) : target;
+      let rebased = isAlias
+        ? `${alias}${path.relative(aliasRoot, newTarget)}`
+        : path.relative(path.dirname(toFile), newTarget);
+      rebased = rebased.split(path.sep).join("/");
+      if (movedFrom && !/\.\w+$/.test(specifier)) {
+        rebased = rebased
+          .replace(/(\.d)?\.(tsx?|jsx?)$/, "")
+          .replace(/\/index$/, "");
+      }
+      if (!isAlias && !rebased.startsWith(".")) rebased = `./${rebased}`;
+      return `${keyword}${quote}${rebased}${quote}`;
     }
+  );
+}
+
+// Data fetching that the App Router no longer calls, and what replaces it
+const PAGES_DATA_FUNCTIONS = {
+  getServerSideProps:
+    "Fetch this data in the page component instead; it is a Server Component.",
+  getStaticProps:
+    "Fetch this data in the page component instead; set `export const revalidate` to keep regenerating it.",
+  getStaticPaths:
+    "Return these params from `export async function generateStaticParams()` instead.",
+};
+
+// The props a data function only copies from the route params, like `id` in
+// `props: { id: params!.id }`
+function propsFromParams(declaration) {
+  const mirrored = new Set();
+  recast.visit(declaration, {
+    visitObjectProperty(nodePath) {
+      const { key, value } = nodePath.node;
+      if (key.name !== "props" || value.type !== "ObjectExpression") {
+        return this.traverse(nodePath);
+      }
+      value.properties.forEach((property) => {
+        let source = property.value;
+        if (source?.type === "TSNonNullExpression") source = source.expression;
+        let object = source?.object;
+        if (object?.type === "TSNonNullExpression") object = object.expression;
+        if (
+          /MemberExpression$/.test(source?.type ?? "") &&
+          object.type === "Identifier" &&
+          object.name === "params" &&
+          source.property.name === property.key.name
+        ) {
+          mirrored.add(property.key.name);
+        }
+      });
+      return false;
+    },
   });
+  return mirrored;
+}
 
-// Command to add Redux setup
-program
-  .command("add-redux")
-  .description("Add Redux Toolkit setup to your Next.js project")
-  .action(async () => {
-    console.log(chalk.blue("Adding Redux Toolkit setup to your project..."));
+// The function a default export declares or names, if any
+function defaultExportFunction(body) {
+  const node = body.find(({ type }) => type === "ExportDefaultDeclaration");
+  const declaration = node?.declaration;
+  if (/Function/.test(declaration?.type ?? "")) return declaration;
+  if (declaration?.type !== "Identifier") return null;
+
+  for (const statement of body) {
+    const candidate = statement.declaration ?? statement;
+    if (
+      candidate.type === "FunctionDeclaration" &&
+      candidate.id.name === declaration.name
+    ) {
+      return candidate;
+    }
+    const init = candidate.declarations?.find(
+      ({ id }) => id.name === declaration.name
+    )?.init;
+    if (/Function/.test(init?.type ?? "")) return init;
+  }
+  return null;
+}
 
-    const detectedSetup = detectProjectSetup();
-    const baseFolder = detectedSetup.hasSrc ? "src" : "";
-    const routerType = detectedSetup.routerType;
+// Make a page component whose props all mirror route params, as in generated
+// dynamic pages, read them from the `params` prop instead. Returns false when
+// some prop does not come from params.
+function readPropsFromParams(component, mirrored) {
+  const [props] = component.params;
+  if (
+    props?.type !== "ObjectPattern" ||
+    !props.properties.every(
+      (property) =>
+        property.type === "ObjectProperty" &&
+        property.shorthand &&
+        mirrored.has(property.key.name)
+    ) ||
+    component.body.type !== "BlockStatement"
+  ) {
+    return false;
+  }
 
-    await setupRedux({ baseFolder, routerType });
-  });
+  const asyncParams = nextMajorVersion() >= 15;
+  const propsType =
+    props.typeAnnotation &&
+    recast.print(props.typeAnnotation.typeAnnotation).code;
+  const paramsType = asyncParams ? `Promise<${propsType}>` : propsType;
+  const names = props.properties.map(({ key }) => key.name).join(", ");
+  const [template] = parseModule(
+    `async function Page({ params }${
+      propsType ? `: { params: ${paramsType} }` : ""
+    }) {
+  const { ${names} } = ${asyncParams ? "await " : ""}params;
+}`
+  ).program.body;
 
-async function setupRedux({ baseFolder, routerType }) {
-  const storeDir = path.join(process.cwd(), `${baseFolder}/store`);
-  const sliceDir = path.join(storeDir, "slices");
-  const typesDir = path.join(process.cwd(), `${baseFolder}/types`);
+  component.params[0] = template.params[0];
+  component.body.body.unshift(template.body.body[0]);
+  if (asyncParams) component.async = true;
+  return true;
+}
 
-  // Ensure the necessary directories exist
-  [storeDir, sliceDir, typesDir].forEach((dir) => {
-    if (!fs.existsSync(dir)) {
-      shell.mkdir("-p", dir);
-      console.log(chalk.green(`Created: ${dir}`));
+// Adapt a Pages Router page to the App Router. getServerSideProps and friends
+// are un-exported under a TODO, and a component that took their props reads
+// them from `params` when they only mirror it, or gets a TODO of its own.
+// next/router becomes next/navigation when only navigation methods are used,
+// and pages that use hooks or event handlers become client components. Returns
+// the new source and what still needs work.
+function convertPage(source) {
+  const ast = parseModule(source);
+  const body = ast.program.body;
+  const notes = [];
+  let propsFunction = null;
+  const mirrored = new Set();
+
+  body.forEach((node, index) => {
+    const declaration =
+      node.type === "ExportNamedDeclaration" && node.declaration;
+    const name =
+      declaration?.id?.name ?? declaration?.declarations?.[0]?.id?.name;
+    if (!PAGES_DATA_FUNCTIONS[name]) return;
+
+    declaration.comments = [
+      ...(node.comments ?? []),
+      recast.types.builders.commentLine(
+        ` TODO(migrate): Next.js does not call ${name} in the App Router. ${PAGES_DATA_FUNCTIONS[name]}`,
+        true,
+        false
+      ),
+    ];
+    body[index] = declaration;
+    notes.push(`${name} is no longer called; see the TODO`);
+    if (name !== "getStaticPaths") {
+      propsFunction = name;
+      propsFromParams(declaration).forEach((prop) => mirrored.add(prop));
     }
   });
 
-  // Create the store/index.ts file
-  const storePath = path.join(storeDir, "index.ts");
-  if (!fs.existsSync(storePath)) {
-    const initialStoreContent = `// Redux store setup\nimport { configureStore } from '@reduxjs/toolkit';\n\nexport const store = configureStore({\n  reducer: {},\n});\n`;
-    fs.writeFileSync(storePath, initialStoreContent);
-    console.log(chalk.green(`Created: ${storePath}`));
+  const component = propsFunction && defaultExportFunction(body);
+  if (component?.params.length && !readPropsFromParams(component, mirrored)) {
+    const exportNode = body.find(
+      ({ type }) => type === "ExportDefaultDeclaration"
+    );
+    exportNode.comments = [
+      ...(exportNode.comments ?? []),
+      recast.types.builders.commentLine(
+        ` TODO(migrate): The App Router passes pages only \`params\` and \`searchParams\`, not the props ${propsFunction} returned. Load them here instead.`,
+        true,
+        false
+      ),
+    ];
+    notes.push(
+      `the page component still takes ${propsFunction}'s props; see the TODO`
+    );
   }
 
-  // Ensure `generalSlice` is always created
-  const generalSlicePath = path.join(sliceDir, "generalSlice.ts");
-  const generalTypePath = path.join(typesDir, "general.d.ts");
+  let updated = printModule(ast, source);
 
-  if (!fs.existsSync(generalSlicePath)) {
-    const generalSliceContent = `import { createSlice } from "@reduxjs/toolkit";\nimport { GeneralState } from "../../types/general";\n\nconst initialState: GeneralState = {\n  data: null,\n};\n\nconst generalSlice = createSlice({\n  name: "general",\n  initialState,\n  reducers: {},\n});\n\nexport const { actions, reducer } = generalSlice;\nexport default reducer;\n`;
-    fs.writeFileSync(generalSlicePath, generalSliceContent);
-    console.log(chalk.green(`Created: ${generalSlicePath}`));
+  if (/from\s+["']next\/router["']/.test(updated)) {
+    if (
+      /\.(query|pathname|asPath|events|isReady|locale|route)\b/.test(updated)
+    ) {
+      updated = updated.replace(
+        /^(import[^;]*from\s+["']next\/router["'];?)$/m,
+        "// TODO(migrate): next/router does not work in the App Router. Use useParams, usePathname and useSearchParams from next/navigation.\n$1"
+      );
+      notes.push("uses next/router; see the TODO");
+    } else {
+      updated = updated.replace(
+        /(from\s+["'])next\/router(["'])/,
+        "$1next/navigation$2"
+      );
+    }
   }
 
-  if (!fs.existsSync(generalTypePath)) {
-    const generalTypeContent = `export interface GeneralState {\n  data: any;\n}`;
-    fs.writeFileSync(generalTypePath, generalTypeContent);
-    console.log(
-      chalk.green(`Created TypeScript interface: ${generalTypePath}`)
+  if (/from\s+["']next\/head["']/.test(updated)) {
+    updated = updated.replace(
+      /^(import[^;]*from\s+["']next\/head["'];?)$/m,
+      "// TODO(migrate): next/head does nothing in the App Router. Export `metadata` or `generateMetadata` instead.\n$1"
     );
+    notes.push("uses next/head; see the TODO");
   }
 
-  // Prompt the user for additional slice names
-  const { sliceNames } = await inquirer.prompt([
-    {
-      type: "input",
-      name: "sliceNames",
-      message:
-        "Enter additional slice names (comma-separated, e.g., user, product):",
-      default: "",
-    },
-  ]);
+  const usesClientFeatures =
+    /\buse[A-Z]\w*\s*\(/.test(updated) || /\son[A-Z]\w*=\{/.test(updated);
+  if (usesClientFeatures && !/^\s*["']use client["']/m.test(updated)) {
+    updated = `"use client";\n\n${updated}`;
+  }
 
-  // Process additional slices
-  const additionalSlices = sliceNames
-    ? sliceNames
-        .split(",")
-        .map((name) => name.trim())
-        .filter((name) => name !== "")
-    : [];
+  return { source: updated, notes };
+}
 
-  additionalSlices.forEach((slice) => {
-    const slicePath = path.join(sliceDir, `${slice}Slice.ts`);
-    const typePath = path.join(typesDir, `${slice}.d.ts`);
-
-    if (!fs.existsSync(slicePath)) {
-      const sliceContent = `import { createSlice } from "@reduxjs/toolkit";\nimport { ${capitalizeFirstLetter(
-        slice
-      )}State } from "../../types/${slice}";\n\nconst initialState: ${capitalizeFirstLetter(
-        slice
-      )}State = {\n  data: null,\n};\n\nconst ${slice}Slice = createSlice({\n  name: "${slice}",\n  initialState,\n  reducers: {},\n});\n\nexport const { actions, reducer } = ${slice}Slice;\nexport default reducer;\n`;
-      fs.writeFileSync(slicePath, sliceContent);
-      console.log(chalk.green(`Created: ${slicePath}`));
-    } else {
-      console.log(chalk.yellow(`Skipped: ${slicePath} (already exists)`));
+// The calls chained on `res` in an expression like res.status(201).json(data)
+function responseCalls(node, res) {
+  const calls = [];
+  let current = node;
+  while (
+    current?.type === "CallExpression" &&
+    current.callee.type === "MemberExpression"
+  ) {
+    calls.unshift({
+      method: current.callee.property.name,
+      args: current.arguments,
+    });
+    current = current.callee.object;
+  }
+  return current?.type === "Identifier" && current.name === res ? calls : null;
+}
+
+// `return NextResponse.json(body, { status })` for a res.status().json() chain
+function toNextResponse(calls) {
+  const b = recast.types.builders;
+  const status = calls.find(({ method }) => method === "status")?.args[0];
+  const send = calls.find(({ method }) =>
+    ["json", "send", "end"].includes(method)
+  );
+  if (!send) return null;
+  const options =
+    status && !(status.type === "NumericLiteral" && status.value === 200)
+      ? [b.objectExpression([b.objectProperty(b.identifier("status"), status)])]
+      : [];
+  const response =
+    send.method === "json"
+      ? b.callExpression(
+          b.memberExpression(
+            b.identifier("NextResponse"),
+            b.identifier("json")
+          ),
+          [send.args[0] ?? b.nullLiteral(), ...options]
+        )
+      : b.newExpression(b.identifier("NextResponse"), [
+          send.args[0] ?? b.nullLiteral(),
+          ...options,
+        ]);
+  return b.returnStatement(response);
+}
+
+// Convert a Pages Router API handler that switches on req.method into App
+// Router route handlers, one named export per method. Returns null when the
+// handler has another shape.
+function convertApiHandler(source) {
+  const b = recast.types.builders;
+  const ast = parseModule(source);
+  const body = ast.program.body;
+  const notes = [];
+
+  const exportIndex = body.findIndex(
+    (node) => node.type === "ExportDefaultDeclaration"
+  );
+  const exportNode = body[exportIndex];
+  const comments = [...(exportNode?.comments ?? [])];
+  let handler = exportNode?.declaration;
+  if (handler?.type === "Identifier") {
+    const name = handler.name;
+    const declarationIndex = body.findIndex(
+      (node) =>
+        node.id?.name === name ||
+        node.declarations?.some((declarator) => declarator.id.name === name)
+    );
+    const declaration = body[declarationIndex];
+    handler =
+      declaration?.type === "FunctionDeclaration"
+        ? declaration
+        : declaration?.declarations.find(
+            (declarator) => declarator.id.name === name
+          ).init;
+    if (declarationIndex !== -1) {
+      comments.unshift(...(declaration.comments ?? []));
+      body.splice(declarationIndex, 1);
     }
+  }
+  if (handler?.body?.type !== "BlockStatement") return null;
 
-    if (!fs.existsSync(typePath)) {
-      const typeContent = `export interface ${capitalizeFirstLetter(
-        slice
-      )}State {\n  data: any;\n}`;
-      fs.writeFileSync(typePath, typeContent);
-      console.log(chalk.green(`Created TypeScript interface: ${typePath}`));
-    } else {
-      console.log(chalk.yellow(`Skipped: ${typePath} (already exists)`));
+  const [req, res] = handler.params.map((param) => param.name);
+  const statements = handler.body.body;
+  const switchStatement = statements[0];
+  if (
+    statements.length !== 1 ||
+    switchStatement.type !== "SwitchStatement" ||
+    switchStatement.discriminant.type !== "MemberExpression" ||
+    switchStatement.discriminant.object.name !== req ||
+    switchStatement.discriminant.property.name !== "method"
+  ) {
+    return null;
+  }
+
+  const handlers = [];
+  let methods = [];
+  for (const switchCase of switchStatement.cases) {
+    if (!switchCase.test) continue;
+    methods.push(String(switchCase.test.value).toUpperCase());
+    if (!switchCase.consequent.length) continue;
+
+    let block = switchCase.consequent;
+    if (block.length === 1 && block[0].type === "BlockStatement") {
+      block = block[0].body;
     }
-  });
+    const functionBody = b.blockStatement(block);
+    let usesRequest = false;
+    let unconverted = false;
+    let bodyReads = 0;
 
-  // Update store/index.ts to include all reducers
-  const reducerImports = [`import generalReducer from './slices/generalSlice';`]
-    .concat(
-      additionalSlices.map(
-        (slice) => `import ${slice}Reducer from './slices/${slice}Slice';`
-      )
-    )
-    .join("\n");
+    recast.visit(functionBody, {
+      visitStatement(nodePath) {
+        const { node } = nodePath;
+        const expression =
+          node.type === "ExpressionStatement" ? node.expression : node.argument;
+        const calls =
+          ["ExpressionStatement", "ReturnStatement"].includes(node.type) &&
+          responseCalls(expression, res);
+        if (calls) {
+          const replacement = toNextResponse(calls);
+          if (replacement) {
+            replacement.comments = node.comments;
+            nodePath.replace(replacement);
+          } else if (calls.every(({ method }) => method === "setHeader")) {
+            nodePath.prune();
+          } else {
+            unconverted = true;
+          }
+          return false;
+        }
+        this.traverse(nodePath);
+      },
+      visitMemberExpression(nodePath) {
+        const { object, property } = nodePath.node;
+        if (object.type === "Identifier" && object.name === req) {
+          usesRequest = true;
+          if (property.name === "body") {
+            bodyReads++;
+            nodePath.replace(
+              b.awaitExpression(
+                b.callExpression(
+                  b.memberExpression(
+                    b.identifier("request"),
+                    b.identifier("json")
+                  ),
+                  []
+                )
+              )
+            );
+            return false;
+          }
+          if (["query", "headers", "cookies"].includes(property.name)) {
+            notes.push(
+              `${methods.join("/")} reads req.${
+                property.name
+              }; NextRequest has request.nextUrl.searchParams, request.headers.get() and request.cookies.get()`
+            );
+          }
+          object.name = "request";
+        }
+        this.traverse(nodePath);
+      },
+      visitIdentifier(nodePath) {
+        if (nodePath.node.name === res) unconverted = true;
+        this.traverse(nodePath);
+      },
+    });
+    if (unconverted) return null;
+    if (bodyReads > 1) {
+      notes.push(
+        `${methods.join(
+          "/"
+        )} reads req.body more than once; read it once into a variable`
+      );
+    }
 
-  const reducerMapping = [`  general: generalReducer,`]
-    .concat(additionalSlices.map((slice) => `  ${slice}: ${slice}Reducer,`))
-    .join("\n");
+    // The returns that followed res.json() calls are unreachable now
+    recast.visit(functionBody, {
+      visitBlockStatement(nodePath) {
+        nodePath.node.body = nodePath.node.body.filter(
+          (statement, index, all) =>
+            !(
+              statement.type === "ReturnStatement" &&
+              !statement.argument &&
+              all[index - 1]?.type === "ReturnStatement"
+            )
+        );
+        this.traverse(nodePath);
+      },
+    });
 
-  const storeContent = `// Redux store setup\nimport { configureStore } from '@reduxjs/toolkit';\n\n${reducerImports}\n\nexport const store = configureStore({\n  reducer: {\n${reducerMapping}\n  },\n});\n`;
-  fs.writeFileSync(storePath, storeContent);
-  console.log(chalk.green(`Updated: ${storePath}`));
+    methods.forEach((method) => {
+      const param = b.identifier("request");
+      param.typeAnnotation = b.tsTypeAnnotation(
+        b.tsTypeReference(b.identifier("NextRequest"))
+      );
+      const declaration = b.functionDeclaration(
+        b.identifier(method),
+        usesRequest ? [param] : [],
+        functionBody
+      );
+      declaration.async = true;
+      handlers.push({
+        method,
+        usesRequest,
+        node: b.exportNamedDeclaration(declaration),
+      });
+    });
+    methods = [];
+  }
+  if (!handlers.length) return null;
 
-  // Display helpful note to the user
-  console.log(
-    chalk.yellow(
-      "\nNote: Don't forget to wrap your app with the Redux Provider.\n"
-    )
-  );
-  console.log(
-    chalk.blue(
-      routerType === "App Router"
-        ? `For App Router, update your \`layout.tsx\` as follows:\n\nimport { Provider } from 'react-redux';\nimport { store } from '../store';\n\nexport default function RootLayout({ children }) {\n  return (\n    <html lang="en">\n      <body>\n        <Provider store={store}>\n          {children}\n        </Provider>\n      </body>\n    </html>\n  );\n}`
-        : `For Pages Router, update your \`_app.tsx\` as follows:\n\nimport { Provider } from 'react-redux';\nimport { store } from '../store';\n\nfunction MyApp({ Component, pageProps }) {\n  return (\n    <Provider store={store}>\n      <Component {...pageProps} />\n    </Provider>\n  );\n}\n\nexport default MyApp;`
-    )
+  handlers[0].node.comments = comments;
+  body.splice(body.indexOf(exportNode), 1, ...handlers.map(({ node }) => node));
+
+  // NextApiRequest and NextApiResponse have no use any more
+  ast.program.body = body.filter((node) => {
+    if (node.type !== "ImportDeclaration" || node.source.value !== "next") {
+      return true;
+    }
+    node.specifiers = node.specifiers.filter(
+      (specifier) =>
+        !["NextApiRequest", "NextApiResponse"].includes(
+          specifier.imported?.name
+        )
+    );
+    return node.specifiers.length > 0;
+  });
+
+  const imports = [
+    ...(handlers.some(({ usesRequest }) => usesRequest) ? ["NextRequest"] : []),
+    "NextResponse",
+  ];
+  return {
+    source: addImports(printModule(ast, source), [
+      { name: imports.join(", "), named: true, from: "next/server" },
+    ]),
+    methods: handlers.map(({ method }) => method),
+    notes,
+  };
+}
+
+// Turn pages/_app into the root layout: the JSX App returns, with
+// <Component {...pageProps} /> replaced by {children}, inside <html> and
+// <body>. Returns null unless App is a single return statement.
+function convertAppToLayout(source) {
+  const b = recast.types.builders;
+  const ast = parseModule(source);
+  const body = ast.program.body;
+  const exportIndex = body.findIndex(
+    (node) => node.type === "ExportDefaultDeclaration"
   );
+  const app = body[exportIndex]?.declaration;
+  const statements = app?.body?.body ?? [];
+  if (statements.length !== 1 || statements[0].type !== "ReturnStatement") {
+    return null;
+  }
 
-  // Install Redux dependencies
-  console.log(chalk.blue("Installing Redux dependencies..."));
-  const installCommand = fs.existsSync("yarn.lock")
-    ? "yarn add"
-    : "npm install";
-  const dependencies = ["@reduxjs/toolkit", "react-redux"];
-  const result = shell.exec(`${installCommand} ${dependencies.join(" ")}`);
+  const component = findJSX(ast, (node) => jsxName(node) === "Component");
+  if (!component) return null;
+  component.replace(b.jsxExpressionContainer(b.identifier("children")));
 
-  if (result.code === 0) {
-    console.log(chalk.green("Redux Toolkit setup completed successfully!"));
-  } else {
-    console.log(chalk.red("Error installing dependencies. Check your setup."));
+  const notes = [];
+  if (findJSX(ast, (node) => jsxName(node) === "Provider")) {
+    notes.push(
+      "<Provider> from react-redux needs a client component; run `add-redux --wire-provider` to use StoreProvider"
+    );
   }
-}
 
-// Command to add a new module
-program
-  .command("add-module <moduleNames>")
-  .description(
-    "Add one or more modules (comma-separated, e.g., auth,dashboard) to your Next.js project"
+  // Re-indent each top-level element for its new place inside <body>
+  const returned = statements[0].argument;
+  const jsx = (
+    returned.type === "JSXFragment"
+      ? returned.children.filter(
+          (child) => child.type !== "JSXText" || child.value.trim()
+        )
+      : [returned]
   )
-  .option("--with-api", "Generate API routes for the modules", false)
-  .option("--with-redux", "Generate Redux slices for the modules", false)
-  .action(async (moduleNames, options) => {
-    console.log(chalk.blue("Adding modules to your Next.js project..."));
-
-    const detectedSetup = detectProjectSetup();
-    const baseFolder = detectedSetup.hasSrc ? "src" : "";
+    .map((child) => {
+      const lines = recast.print(child).code.split("\n");
+      const base = lines.length > 1 ? lines[lines.length - 1].search(/\S/) : 0;
+      return lines
+        .map((line, index) =>
+          index
+            ? `        ${line.slice(Math.min(base, line.search(/\S|$/)))}`
+            : `        ${line}`
+        )
+        .join("\n");
+    })
+    .join("\n");
+  const imports = body
+    .filter(
+      (node) =>
+        node.type === "ImportDeclaration" &&
+        !["next/app", "next/head"].includes(node.source.value)
+    )
+    .map((node) => recast.print(node).code);
+  return {
+    source: `${imports.join("\n")}${
+      imports.length ? "\n\n" : ""
+    }export default function RootLayout({
+  children,
+}: {
+  children: React.ReactNode;
+}) {
+  return (
+    <html lang="en">
+      <body>
+${jsx}
+      </body>
+    </html>
+  );
+}
+`,
+    notes,
+  };
+}
 
-    // Split module names and trim whitespace
-    const modules = moduleNames
-      .split(",")
-      .map((name) => name.trim())
-      .filter((name) => name);
+// Where a Pages Router file goes in the App Router. Pages of a module move
+// into an app/(<module>) route group, or app/<module> with `nested`.
+function appRouterTarget(file, { nested }) {
+  const extension = path.extname(file);
+  const segments = file.slice(0, -extension.length).split("/");
+  if (segments[segments.length - 1] === "index") segments.pop();
 
-    if (modules.length === 0) {
-      console.log(chalk.red("Error: No valid module names provided."));
-      return;
-    }
+  if (segments[0] === "api") {
+    return path.join("app", ...segments, `route${extension.replace("x", "")}`);
+  }
+  if (segments.length > 1 && !nested) {
+    const [moduleName, ...route] = segments;
+    return path.join(
+      "app",
+      `(${moduleName})`,
+      ...(route.length ? route : [moduleName]),
+      `page${extension}`
+    );
+  }
+  return path.join("app", ...segments, `page${extension}`);
+}
 
-    for (const moduleName of modules) {
-      console.log(chalk.blue(`Adding '${moduleName}' module...`));
+// The URL a page is served at, e.g. "pages/blog/index.tsx" -> "/blog"
+function pageUrl(file) {
+  const url = file
+    .replace(/^(pages|app)\//, "")
+    .replace(/\.\w+$/, "")
+    .split("/")
+    .filter(
+      (segment) =>
+        !/^\(.+\)$/.test(segment) && !["index", "page"].includes(segment)
+    )
+    .join("/");
+  return `/${url}`;
+}
 
-      const folderPath =
-        detectedSetup.routerType === "App Router"
-          ? `${baseFolder}/app/(${moduleName})`
-          : `${baseFolder}/pages/${moduleName}`;
+const migrateCommand = program
+  .command("migrate")
+  .description("Move generated code from one Next.js router to the other");
 
-      const isAuthModule = moduleName.toLowerCase() === "auth";
+migrateCommand
+  .command("pages-to-app [module]")
+  .description(
+    "Move Pages Router pages and API routes (all, or one module's) to the App Router"
+  )
+  .option(
+    "--nested",
+    "Keep the module in the URL (app/<module>/...) instead of an app/(<module>) route group",
+    false
+  )
+  .action((moduleName, options) => {
+    const baseFolder = projectSetting("baseFolder");
+    const root = path.join(process.cwd(), baseFolder);
+    const pagesDir = path.join(root, "pages");
+    const testsDir = path.join(process.cwd(), "__tests__", "pages");
+    if (!pathExists(pagesDir)) {
+      throw new Error(
+        `There is no ${displayPath(pagesDir)} directory to migrate.`
+      );
+    }
 
-      if (isAuthModule) {
-        console.log(
-          chalk.yellow(
-            "Note: Since you chose 'auth', we will auto-generate 'login' and 'register' sub-routes using predefined templates."
-          )
-        );
-      }
+    const special = (file) =>
+      /^(_app|_document|_error|404|500)\.\w+$/.test(file);
+    const inModule = (file) =>
+      !moduleName ||
+      [moduleName, `api/${moduleName}`].some(
+        (prefix) =>
+          file.startsWith(`${prefix}/`) || file.replace(/\.\w+$/, "") === prefix
+      );
+    const files = listFiles(pagesDir).filter(
+      (file) => /\.(tsx?|jsx?)$/.test(file) && !special(file) && inModule(file)
+    );
+    if (!files.length) {
+      throw new Error(
+        moduleName
+          ? `No pages or API routes found for "${moduleName}" in ${displayPath(
+              pagesDir
+            )}.`
+          : `No pages or API routes found in ${displayPath(pagesDir)}.`
+      );
+    }
 
-      const { subRoutes } = await inquirer.prompt([
-        {
-          type: "input",
-          name: "subRoutes",
-          message: isAuthModule
-            ? `Enter additional sub-route names for '${moduleName}' (comma-separated, e.g., profile):`
-            : `Enter sub-route names for '${moduleName}' (comma-separated, e.g., login, register):`,
-          validate: (input) =>
-            input.trim() !== "" || "Sub-route names cannot be empty!",
-          when: !isAuthModule,
-        },
-      ]);
+    const migrated = [];
+    const attention = [];
+    const moved = new Map();
+    const testOf = new Map();
+    files.forEach((file) => {
+      moved.set(
+        path.join(pagesDir, file),
+        path.join(root, appRouterTarget(file, options))
+      );
+    });
+    // Generated Pages Router tests live in __tests__/pages; App Router tests
+    // sit next to the page
+    files.forEach((file) => {
+      const test = path.join(testsDir, file.replace(/\.(\w+)$/, ".test.$1"));
+      if (!pathExists(test)) return;
+      const page = moved.get(path.join(pagesDir, file));
+      moved.set(test, page.replace(/\.(\w+)$/, ".test.$1"));
+      testOf.set(path.join(pagesDir, file), test);
+    });
 
-      const subRouteNames = isAuthModule
-        ? ["login", "register"]
-        : subRoutes
-            .split(",")
-            .map((name) => name.trim())
-            .filter((name) => name !== "");
-      if (subRouteNames.length === 0) {
-        console.log(
-          chalk.red(`Error: No valid sub-route names for '${moduleName}'.`)
+    moved.forEach((target, file) => {
+      const relativeFile = path
+        .relative(pagesDir, file)
+        .split(path.sep)
+        .join("/");
+      if (pathExists(target)) {
+        attention.push(
+          `${displayPath(file)}: ${displayPath(
+            target
+          )} already exists, so it was left in place`
         );
-        continue;
+        moved.delete(file);
+        moved.delete(testOf.get(file));
+        return;
       }
 
-      // Create module folder
-      if (!fs.existsSync(path.join(process.cwd(), folderPath))) {
-        shell.mkdir("-p", path.join(process.cwd(), folderPath));
-        console.log(chalk.green(`Created: ${folderPath}`));
+      let source = readProjectFile(file);
+      let notes = [];
+      let detail = "";
+      if (relativeFile.startsWith("api/")) {
+        const converted = convertApiHandler(source);
+        if (!converted) {
+          attention.push(
+            `${displayPath(
+              file
+            )}: not converted; only default handlers that switch on req.method are. Move it to ${displayPath(
+              target
+            )} by hand`
+          );
+          moved.delete(file);
+          return;
+        }
+        ({ source, notes } = converted);
+        detail = ` (${converted.methods.join(", ")})`;
+      } else if (!file.startsWith(testsDir)) {
+        ({ source, notes } = convertPage(source));
+        const before = pageUrl(`pages/${relativeFile}`);
+        const after = pageUrl(
+          path.relative(root, target).split(path.sep).join("/")
+        );
+        if (before !== after) detail = ` (now ${after}, was ${before})`;
       }
 
-      // Define templates for auth module
-      const authTemplates = {
-        "App Router": {
-          login: path.join(
-            __dirname,
-            "templates/app/(auth)/login/page.template.tsx"
-          ),
-          register: path.join(
-            __dirname,
-            "templates/app/(auth)/register/page.template.tsx"
-          ),
-        },
-        "Pages Router": {
-          login: path.join(
-            __dirname,
-            "templates/pages/auth/login/page.template.tsx"
-          ),
-          register: path.join(
-            __dirname,
-            "templates/pages/auth/register/page.template.tsx"
-          ),
-        },
-      };
+      writeFile(target, rebaseImports(source, file, target, moved));
+      removeFile(file);
+      migrated.push(`${displayPath(file)} -> ${displayPath(target)}${detail}`);
+      [...new Set(notes)].forEach((note) =>
+        attention.push(`${displayPath(target)}: ${note}`)
+      );
+    });
+
+    // The App Router needs a root layout; pages/_app is the closest thing
+    const remaining = listFiles(pagesDir).filter(
+      (file) =>
+        /\.(tsx?|jsx?)$/.test(file) &&
+        !file.startsWith("api/") &&
+        !special(file) &&
+        pathExists(path.join(pagesDir, file))
+    );
+    const layoutPath = appEntryPath({ baseFolder, routerType: "App Router" });
+    const specials = listFiles(pagesDir).filter(special);
+    specials.forEach((file) => {
+      const name = file.replace(/\.\w+$/, "");
+      const source = path.join(pagesDir, file);
+      const target =
+        name === "_app"
+          ? layoutPath
+          : path.join(
+              root,
+              "app",
+              `${SPECIAL_PAGES[name]}${path.extname(file)}`
+            );
 
-      // Generate sub-routes
-      subRouteNames.forEach((route) => {
-        const routePath =
-          detectedSetup.routerType === "App Router"
-            ? `${folderPath}/${route}`
-            : `${folderPath}/${route}`;
-        const filePath = `${routePath}/page.tsx`;
-
-        if (!fs.existsSync(path.join(process.cwd(), routePath))) {
-          shell.mkdir("-p", path.join(process.cwd(), routePath));
-          console.log(chalk.green(`Created: ${routePath}`));
+      // Error pages only move once the whole router has been migrated
+      if (!SPECIAL_PAGES[name] || (name !== "_app" && moduleName)) {
+        if (!moduleName) {
+          attention.push(
+            `${displayPath(source)}: no App Router equivalent; ${
+              name === "_document"
+                ? "move its <html> and <body> changes into the root layout"
+                : "app/error.tsx covers server errors"
+            }`
+          );
         }
+        return;
+      }
 
-        // Use templates for auth module routes if available, else use a default template
-        if (isAuthModule && ["login", "register"].includes(route)) {
-          const templatePath = authTemplates[detectedSetup.routerType][route];
-          if (fs.existsSync(templatePath)) {
-            const content = fs.readFileSync(templatePath, "utf-8");
-            fs.writeFileSync(path.join(process.cwd(), filePath), content);
-            console.log(chalk.green(`Created: ${filePath} using template`));
-          } else {
-            console.log(chalk.red(`Template missing for ${route}!`));
-          }
+      if (!pathExists(target)) {
+        let converted = null;
+        const original = readProjectFile(source);
+        if (name === "_app") {
+          converted = convertAppToLayout(original);
         } else {
-          const content = `// TODO: Customize this ${route} page\n\nexport default function ${capitalizeFirstLetter(
-            route
-          )}Page() {\n  return <div>${capitalizeFirstLetter(
-            route
-          )} Page</div>;\n}`;
-          fs.writeFileSync(path.join(process.cwd(), filePath), content);
-          console.log(chalk.green(`Created: ${filePath}`));
+          converted = convertPage(original);
+          if (
+            name === "_error" &&
+            !/^\s*["']use client["']/m.test(converted.source)
+          ) {
+            converted.source = `"use client";\n\n${converted.source}`;
+          }
         }
-      });
-
-      // Handle API routes if --with-api is passed
-      if (options.withApi) {
-        const apiDir = `${baseFolder}/${
-          detectedSetup.routerType === "App Router" ? "app/api" : "pages/api"
-        }/${moduleName}`;
-
-        if (!fs.existsSync(apiDir)) {
-          shell.mkdir("-p", apiDir);
-          console.log(chalk.green(`Created API directory: ${apiDir}`));
+        if (!converted) {
+          attention.push(
+            `${displayPath(source)}: could not turn it into ${displayPath(
+              target
+            )}; App must return its JSX directly`
+          );
+          return;
         }
-
-        subRouteNames.forEach((route) => {
-          const apiPath = `${apiDir}/${route}.ts`;
-          if (!fs.existsSync(apiPath)) {
-            const apiContent = `// API handler for ${route}\n\nexport default function handler(req, res) {\n  if (req.method === "POST") {\n    res.status(200).json({ message: "${capitalizeFirstLetter(
-              route
-            )} successful!" });\n  } else {\n    res.status(405).json({ error: "Method not allowed" });\n  }\n}`;
-            fs.writeFileSync(apiPath, apiContent);
-            console.log(chalk.green(`Created: ${apiPath}`));
-          } else {
-            console.log(chalk.yellow(`Skipped: ${apiPath} (already exists)`));
-          }
-        });
+        writeFile(
+          target,
+          rebaseImports(converted.source, source, target, moved)
+        );
+        migrated.push(`${displayPath(source)} -> ${displayPath(target)}`);
+        converted.notes.forEach((note) =>
+          attention.push(`${displayPath(target)}: ${note}`)
+        );
       }
+      // Pages that are still in pages/ keep using _app and _error
+      if (!remaining.length) removeFile(source);
+    });
+    if (
+      !pathExists(layoutPath) &&
+      !specials.some((file) => file.startsWith("_app."))
+    ) {
+      attention.push(
+        `${displayPath(
+          layoutPath
+        )}: missing; next dev creates a root layout the first time it runs`
+      );
+    }
 
-      // Handle Redux slice if --with-redux is passed
-      if (options.withRedux) {
-        const sliceDir = `${baseFolder}/store/slices`;
-
-        if (!fs.existsSync(sliceDir)) {
-          shell.mkdir("-p", sliceDir);
-          console.log(chalk.green(`Created: ${sliceDir}`));
-        }
+    // Clean up the folders the files moved out of
+    removeEmptyDirs([...moved.keys()], [pagesDir, testsDir]);
 
-        const slicePath = `${sliceDir}/${moduleName}Slice.ts`;
-        if (!fs.existsSync(slicePath)) {
-          const sliceContent = `import { createSlice } from "@reduxjs/toolkit";\n\nconst initialState = {};\n\nconst ${moduleName}Slice = createSlice({\n  name: "${moduleName}",\n  initialState,\n  reducers: {},\n});\n\nexport const {} = ${moduleName}Slice.actions;\nexport default ${moduleName}Slice.reducer;\n`;
-          fs.writeFileSync(slicePath, sliceContent);
-          console.log(chalk.green(`Created: ${slicePath}`));
-        } else {
-          console.log(chalk.yellow(`Skipped: ${slicePath} (already exists)`));
-        }
+    if (
+      !pathExists(pagesDir) ||
+      !listFiles(pagesDir).some((file) => pathExists(path.join(pagesDir, file)))
+    ) {
+      if (readConfig().routerType === "Pages Router") {
+        writeConfig({ ...readConfig(), routerType: "App Router" });
+        migrated.push(`${CONFIG_FILE}: routerType is now "App Router"`);
       }
+    }
 
+    console.log(chalk.bold("\nMigration report"));
+    console.log(chalk.green(`  Migrated (${migrated.length})`));
+    migrated.forEach((line) => console.log(`    ${line}`));
+    if (attention.length) {
+      console.log(chalk.yellow(`  Needs attention (${attention.length})`));
+      attention.forEach((line) => console.log(`    ${line}`));
+    }
+    if (remaining.length && !moduleName) {
       console.log(
-        chalk.blue(
-          `Module '${moduleName}' has been added with sub-routes: ${subRouteNames.join(
-            ", "
-          )}`
+        chalk.gray(
+          `  Still in ${displayPath(pagesDir)}: ${remaining.join(", ")}`
         )
       );
     }
   });
 
-// Add Environment Variables Management
+// Folders skipped when looking for the project's source files
+const IGNORED_DIRS = [
+  "node_modules",
+  ".next",
+  ".git",
+  "out",
+  "dist",
+  "coverage",
+  ".nextjs-boilerplate",
+];
+
+// The JavaScript and TypeScript files of the project, as absolute paths
+function listSourceFiles(dir = process.cwd()) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return IGNORED_DIRS.includes(entry.name)
+          ? []
+          : listSourceFiles(fullPath);
+      }
+      return /\.(tsx?|jsx?|mjs|cjs)$/.test(entry.name) ? [fullPath] : [];
+    })
+    .sort();
+}
+
+// Where add-module puts a module, for either router and with or without
+// --nested: the route and API folders, Pages Router tests, and the slice and
+// type files
+function modulePaths(name, { baseFolder }) {
+  const root = path.join(process.cwd(), baseFolder);
+  return {
+    dirs: [
+      path.join(root, "app", `(${name})`),
+      path.join(root, "app", name),
+      path.join(root, "pages", name),
+      path.join(root, "app", "api", name),
+      path.join(root, "pages", "api", name),
+      path.join(process.cwd(), "__tests__", "pages", name),
+    ],
+    files: [
+      path.join(root, "store", "slices", `${name}Slice.ts`),
+      path.join(root, "store", "slices", `${name}Slice.test.ts`),
+      path.join(root, "types", `${name}.d.ts`),
+    ],
+  };
+}
+
+// The existing files of a module, as absolute paths
+function moduleFiles(name, { baseFolder }) {
+  const { dirs, files } = modulePaths(name, { baseFolder });
+  return [
+    ...dirs.flatMap((dir) =>
+      listFiles(dir).map((file) => path.join(dir, file))
+    ),
+    ...files.filter((file) => pathExists(file)),
+  ];
+}
+
+// Source files that mention a module's URLs, e.g. "/blog/posts" in a nav
+// link or "/api/blog/posts" in a fetch call
+function moduleUrlReferences(name) {
+  const url = new RegExp(`["'\`]/(api/)?${name}(/|["'\`?#])`);
+  return listSourceFiles().filter((file) =>
+    url.test(readProjectFile(file) ?? "")
+  );
+}
+
+// Remove a slice from store/index.ts, or register it under a new name,
+// renaming its reducer key, its import and a `<slice>Reducer` local name.
+// Returns false when the store does not register the slice.
+function updateSliceRegistration(storePath, slice, newSlice) {
+  const source = readProjectFile(storePath);
+  if (source === null) return false;
+
+  const b = recast.types.builders;
+  const ast = parseModule(source);
+  const reducerMap = findReducerMap(ast, storePath);
+  const body = ast.program.body;
+
+  const importSource = `./slices/${slice}Slice`;
+  const importDeclaration = body.find(
+    (node) =>
+      node.type === "ImportDeclaration" &&
+      node.source.value.replace(/\.(ts|js)$/, "") === importSource
+  );
+  const localName = importDeclaration?.specifiers.find(
+    (specifier) => specifier.type === "ImportDefaultSpecifier"
+  )?.local.name;
+  const property = reducerMap.properties.find(
+    (entry) =>
+      propertyName(entry) === slice ||
+      (localName && entry.value?.name === localName)
+  );
+  if (!importDeclaration && !property) return false;
+
+  if (!newSlice) {
+    body.splice(body.indexOf(importDeclaration), importDeclaration ? 1 : 0);
+    reducerMap.properties.splice(
+      reducerMap.properties.indexOf(property),
+      property ? 1 : 0
+    );
+  } else {
+    const newLocalName = [slice, `${slice}Reducer`].includes(localName)
+      ? localName.replace(slice, newSlice)
+      : localName;
+    if (importDeclaration) {
+      importDeclaration.source = b.stringLiteral(
+        importDeclaration.source.value.replace(
+          `${slice}Slice`,
+          `${newSlice}Slice`
+        )
+      );
+      importDeclaration.specifiers.forEach((specifier) => {
+        if (specifier.local.name === localName) {
+          specifier.local = b.identifier(newLocalName);
+        }
+      });
+    }
+    if (property) {
+      property.key = b.identifier(newSlice);
+      property.shorthand = false;
+      if (localName && property.value.name === localName) {
+        property.value = b.identifier(newLocalName);
+      }
+    }
+  }
+
+  writeFile(storePath, `${printModule(ast, source).trimEnd()}\n`);
+  return true;
+}
+
+// Print what a module command changed and what is left to check by hand
+function printModuleReport(title, { done, attention }) {
+  console.log(chalk.bold(`\n${title}`));
+  console.log(chalk.green(`  Done (${done.length})`));
+  done.forEach((line) => console.log(`    ${line}`));
+  if (attention.length) {
+    console.log(chalk.yellow(`  Needs attention (${attention.length})`));
+    attention.forEach((line) => console.log(`    ${line}`));
+  }
+}
+
+// Command to delete a module generated by add-module
 program
-  .command("add-env")
+  .command("remove-module <name>")
   .description(
-    "Add or manage environment variables for different environments (e.g., development, production)"
+    "Remove a module's pages, API routes, slice, types and store registration"
   )
-  .action(async () => {
-    console.log(chalk.blue("Managing environment variables..."));
-
-    // Prompt user to choose or specify the environment
-    const { envType } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "envType",
-        message: "Select the environment:",
-        choices: [
-          { name: "Default (.env)", value: ".env" },
-          { name: "Development (.env.development)", value: ".env.development" },
-          { name: "Production (.env.production)", value: ".env.production" },
-          { name: "Custom (e.g., .env.staging)", value: "custom" },
-        ],
-      },
-    ]);
-
-    let envFilePath = "";
-    if (envType === "custom") {
-      const { customEnvFile } = await inquirer.prompt([
-        {
-          type: "input",
-          name: "customEnvFile",
-          message:
-            "Enter the custom environment file name (e.g., .env.staging):",
-          validate: (input) =>
-            input.trim() !== "" ||
-            "Custom environment file name cannot be empty!",
-        },
-      ]);
-      envFilePath = path.join(process.cwd(), customEnvFile);
-    } else {
-      envFilePath = path.join(process.cwd(), envType);
+  .option("--force", "Remove without asking for confirmation", false)
+  .action(async (name, options) => {
+    const baseFolder = projectSetting("baseFolder");
+    const storePath = path.join(process.cwd(), `${baseFolder}/store/index.ts`);
+    const files = moduleFiles(name, { baseFolder });
+    const registered =
+      pathExists(storePath) &&
+      new RegExp(`["']\\./slices/${name}Slice(\\.\\w+)?["']`).test(
+        readProjectFile(storePath)
+      );
+    if (!files.length && !registered) {
+      throw new Error(`No files found for the "${name}" module.`);
     }
 
-    // Check if the environment file exists
-    if (fs.existsSync(envFilePath)) {
-      console.log(chalk.yellow(`${envFilePath} already exists.`));
-      const { shouldAppend } = await inquirer.prompt([
+    console.log(chalk.blue(`Files of the '${name}' module:`));
+    files.forEach((file) => console.log(`  ${displayPath(file)}`));
+    if (registered) {
+      console.log(`  ${displayPath(storePath)} (the ${name} reducer)`);
+    }
+    const { confirmRemove } = await ask(
+      [
         {
           type: "confirm",
-          name: "shouldAppend",
-          message: `Would you like to add new environment variables to the existing ${envFilePath} file?`,
+          name: "confirmRemove",
+          message: `Delete the '${name}' module?`,
+          default: false,
+          when: !changePlan.dryRun,
+          flag: "--force",
         },
-      ]);
-
-      if (!shouldAppend) {
-        console.log(chalk.green(`No changes made to ${envFilePath}.`));
-        return;
-      }
-    } else {
-      console.log(chalk.green(`Creating a new ${envFilePath} file...`));
-      fs.writeFileSync(envFilePath, `# ${envType} Environment Variables\n`);
+      ],
+      { confirmRemove: options.force || undefined }
+    );
+    if (!changePlan.dryRun && !confirmRemove) {
+      console.log(chalk.yellow("Nothing was removed."));
+      return;
     }
 
-    // Prompt user for environment variables
-    const { envVariables } = await inquirer.prompt([
-      {
-        type: "input",
-        name: "envVariables",
-        message: `Enter environment variables (key=value), separated by commas for ${envFilePath}:`,
-        validate: (input) =>
-          input.trim()
-            ? true
-            : "Please provide at least one environment variable.",
-      },
-    ]);
-
-    // Parse and write environment variables
-    const variables = envVariables.split(",").map((pair) => pair.trim());
-    const formattedVariables = variables.map((v) => `${v}\n`).join("");
-
-    fs.appendFileSync(envFilePath, formattedVariables);
+    const done = [];
+    const attention = [];
+    files.forEach((file) => {
+      removeFile(file);
+      done.push(`Deleted ${displayPath(file)}`);
+    });
+    removeEmptyDirs(files, modulePaths(name, { baseFolder }).dirs);
+    if (registered && updateSliceRegistration(storePath, name, null)) {
+      done.push(`Removed the ${name} reducer from ${displayPath(storePath)}`);
+    }
 
-    console.log(
-      chalk.green(`Environment variables added to ${envFilePath}:\n`)
+    // Anything that still imports a deleted file or reads the reducer's state
+    // no longer compiles
+    const removed = new Set(files);
+    const stateRead = new RegExp(`\\bstate\\??\\.${name}\\b`);
+    listSourceFiles()
+      .filter((file) => pathExists(file))
+      .forEach((file) => {
+        const source = readProjectFile(file);
+        [...source.matchAll(IMPORT_SPECIFIER)].forEach(([, , , specifier]) => {
+          const target = resolveImport(specifier, file);
+          if (
+            target &&
+            importCandidates(target).some((candidate) => removed.has(candidate))
+          ) {
+            attention.push(
+              `${displayPath(file)}: still imports "${specifier}"`
+            );
+          }
+        });
+        if (registered && stateRead.test(source)) {
+          attention.push(`${displayPath(file)}: reads state.${name}`);
+        }
+      });
+    moduleUrlReferences(name).forEach((file) =>
+      attention.push(`${displayPath(file)}: links to a /${name} URL`)
     );
-    console.log(chalk.blue(formattedVariables));
+
+    printModuleReport(`Removed the '${name}' module`, { done, attention });
   });
 
+// Command to rename a module generated by add-module
 program
-  .command("add-component")
-  .description("Generate a modular React component")
-  .option("--name <name>", "Name of the component")
-  .option("--dir <dir>", "Target directory under components")
-  .option("--with-tests", "Generate a test file", false)
-  .action(async (options) => {
-    const baseFolder = fs.existsSync("src") ? "src/components" : "components";
-
-    if (!fs.existsSync(baseFolder)) {
-      console.log(chalk.red(`Error: ${baseFolder} folder does not exist.`));
-      return;
+  .command("rename-module <oldName> <newName>")
+  .description(
+    "Rename a module: move its folders and update its slice, reducer key, types and imports"
+  )
+  .action((oldName, newName) => {
+    if (!/^[A-Za-z][\w-]*$/.test(newName)) {
+      throw new Error(
+        `Invalid module name "${newName}". Use letters, digits, - and _.`
+      );
+    }
+    const baseFolder = projectSetting("baseFolder");
+    const storePath = path.join(process.cwd(), `${baseFolder}/store/index.ts`);
+    const oldPaths = modulePaths(oldName, { baseFolder });
+    const newPaths = modulePaths(newName, { baseFolder });
+    const files = moduleFiles(oldName, { baseFolder });
+    if (!files.length) {
+      throw new Error(`No files found for the "${oldName}" module.`);
+    }
+    const taken = [...newPaths.dirs, ...newPaths.files].find((target) =>
+      pathExists(target)
+    );
+    if (taken) {
+      throw new Error(
+        `${displayPath(
+          taken
+        )} already exists. Pick another name for "${oldName}".`
+      );
     }
 
-    // Directories in the components folder
-    const directories = fs
-      .readdirSync(baseFolder, { withFileTypes: true })
-      .filter((dirent) => dirent.isDirectory())
-      .map((dirent) => dirent.name);
+    // Each folder and file keeps its place, e.g. app/(blog)/posts/page.tsx
+    // moves to app/(news)/posts/page.tsx
+    const moved = new Map();
+    files.forEach((file) => {
+      const index = oldPaths.files.indexOf(file);
+      if (index !== -1) {
+        moved.set(file, newPaths.files[index]);
+        return;
+      }
+      const dirIndex = oldPaths.dirs.findIndex((dir) =>
+        file.startsWith(`${dir}${path.sep}`)
+      );
+      moved.set(
+        file,
+        path.join(
+          newPaths.dirs[dirIndex],
+          path.relative(oldPaths.dirs[dirIndex], file)
+        )
+      );
+    });
 
-    // Use flags or prompts for directory and name
-    const selectedDirectory =
-      options.dir ||
-      (
-        await inquirer.prompt([
-          {
-            type: "list",
-            name: "targetDirectory",
-            message: "Select the directory for your component:",
-            choices: [...directories, "Create new directory"],
-          },
-        ])
-      ).targetDirectory;
+    // Names declared in the module that start with or contain its name, e.g.
+    // blogSlice, BlogState, fetchBlogs and BlogIdPage
+    const variants = Object.fromEntries(
+      [
+        [pluralize(oldName), pluralize(newName)],
+        [oldName, newName],
+      ].flatMap(([from, to]) => [
+        [from, to],
+        [toPascalCase(from), toPascalCase(to)],
+      ])
+    );
+    const namePart = new RegExp(
+      `^(${pluralize(
+        oldName
+      )}|${oldName})(?![a-z])|(?<=^|[a-z0-9])(${toPascalCase(
+        pluralize(oldName)
+      )}|${toPascalCase(oldName)})(?![a-z])`,
+      "g"
+    );
+    const renames = new Map();
+    files
+      .filter((file) => /\.(tsx?|jsx?)$/.test(file))
+      .forEach((file) =>
+        [
+          ...readProjectFile(file).matchAll(
+            /\b(?:interface|type|function|class|const|let|var|enum)\s+([A-Za-z_$][\w$]*)/g
+          ),
+        ].forEach(([, declared]) => {
+          const renamed = declared.replace(namePart, (part) => variants[part]);
+          if (renamed !== declared) renames.set(declared, renamed);
+        })
+      );
+    const renameDeclared = (source) =>
+      renames.size
+        ? source.replace(
+            new RegExp(`\\b(${[...renames.keys()].join("|")})\\b`, "g"),
+            (declared) => renames.get(declared)
+          )
+        : source;
 
-    if (selectedDirectory === "Create new directory") {
-      const { newDirectory } = await inquirer.prompt([
-        {
-          type: "input",
-          name: "newDirectory",
-          message: "Enter the name of the new directory:",
-          validate: (input) =>
-            input.trim() !== "" || "Directory name cannot be empty!",
-        },
-      ]);
+    const apiUrl = new RegExp(`/api/${oldName}(?![\\w-])`, "g");
+    const done = [];
+    const attention = [];
+    const registered = updateSliceRegistration(storePath, oldName, newName);
 
-      options.dir = newDirectory;
-      const newDirPath = path.join(baseFolder, newDirectory);
-      if (!fs.existsSync(newDirPath)) {
-        shell.mkdir("-p", newDirPath);
-        console.log(chalk.green(`Created new directory: ${newDirectory}`));
+    moved.forEach((target, file) => {
+      let source = readProjectFile(file);
+      if (/\.(tsx?|jsx?)$/.test(file)) {
+        source = renameDeclared(rebaseImports(source, file, target, moved))
+          // The API routes moved too, e.g. "// Request body for /api/blog/posts"
+          .replace(apiUrl, `/api/${newName}`);
       }
+      // The slice's name prefixes its action types, e.g. "blog/fetchAll"
+      if (file === oldPaths.files[0]) {
+        source = source.replace(
+          new RegExp(`(["'])${oldName}(?=\\1|/)`, "g"),
+          `$1${newName}`
+        );
+      }
+      writeFile(target, source);
+      removeFile(file);
+      done.push(`${displayPath(file)} -> ${displayPath(target)}`);
+    });
+    removeEmptyDirs(files, oldPaths.dirs);
+    if (registered) {
+      done.push(
+        `${displayPath(storePath)}: the ${oldName} reducer is now ${newName}`
+      );
     }
 
-    const componentName =
-      options.name ||
-      (
-        await inquirer.prompt([
-          {
-            type: "input",
-            name: "componentName",
-            message: "Enter the component name:",
-            validate: (input) =>
-              input.trim() !== "" || "Component name cannot be empty!",
-          },
-        ])
-      ).componentName;
+    // Imports of the moved files, names declared in them and state.<module>
+    // reads elsewhere in the project
+    const stateRead = new RegExp(`(\\bstate\\??\\.)${oldName}\\b`, "g");
+    listSourceFiles()
+      .filter((file) => pathExists(file) && !moved.has(file))
+      .forEach((file) => {
+        const source = readProjectFile(file);
+        let updated = rebaseImports(source, file, file, moved);
+        if (updated !== source) updated = renameDeclared(updated);
+        updated = updated.replace(stateRead, `$1${newName}`);
+        if (updated !== source) {
+          writeFile(file, updated);
+          done.push(`Updated ${displayPath(file)}`);
+        }
+      });
 
-    const componentDir = path.join(
-      baseFolder,
-      options.dir || "",
-      componentName
+    moduleUrlReferences(oldName).forEach((file) =>
+      attention.push(
+        `${displayPath(
+          file
+        )}: links to a /${oldName} URL; the module's URLs may have changed`
+      )
     );
 
-    if (!fs.existsSync(componentDir)) {
-      shell.mkdir("-p", componentDir);
+    printModuleReport(`Renamed the '${oldName}' module to '${newName}'`, {
+      done,
+      attention,
+    });
+  });
 
-      // Create the .tsx file
-      const tsxContent = `// TODO: Customize this component\n\nimport styles from "./${componentName}.module.css";\n\nexport default function ${componentName}() {\n  return <div className={styles.${componentName.toLowerCase()}}>${componentName} Component</div>;\n}`;
-      fs.writeFileSync(
-        path.join(componentDir, `${componentName}.tsx`),
-        tsxContent
-      );
+// List the runs recorded in the manifest
+program
+  .command("history")
+  .description("List the changes made by previous runs of this CLI")
+  .action(() => {
+    const { runs } = readManifest();
+    if (!runs.length) {
+      console.log(chalk.yellow("No runs recorded yet."));
+      return;
+    }
 
-      // Create the CSS module file
-      const cssContent = `/* Styles for ${componentName} Component */\n\n.${componentName.toLowerCase()} {\n  background-color: #f4f4f4;\n  padding: 16px;\n  border-radius: 8px;\n  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);\n}`;
-      fs.writeFileSync(
-        path.join(componentDir, `${componentName}.module.css`),
-        cssContent
+    runs.forEach((run) => {
+      const status = run.undoneAt ? chalk.gray(" (undone)") : "";
+      console.log(
+        `${chalk.blue(`#${run.id}`)} ${run.date} ${run.args.join(" ")}${status}`
       );
-
-      // Create a test file if requested
-      if (options.withTests) {
-        const testContent = `import { render } from "@testing-library/react";\nimport ${componentName} from "./${componentName}";\n\ntest("renders ${componentName} component", () => {\n  const { getByText } = render(<${componentName} />);\n  expect(getByText("${componentName} Component")).toBeInTheDocument();\n});`;
-        fs.writeFileSync(
-          path.join(componentDir, `${componentName}.test.tsx`),
-          testContent
-        );
+      run.files.forEach((file) =>
         console.log(
-          chalk.green(`Created test file: ${componentName}.test.tsx`)
-        );
-      }
-
-      console.log(
-        chalk.green(
-          `Component ${componentName} created successfully in ${
-            options.dir || ""
-          } directory!`
+          `    ${
+            { create: "created", overwrite: "modified", delete: "deleted" }[
+              file.action
+            ]
+          } ${file.path}`
         )
       );
-    } else {
-      console.log(
-        chalk.yellow(
-          `Component ${componentName} already exists in ${
-            options.dir || ""
-          } directory.`
-        )
+      run.dependencies.forEach((dependency) =>
+        console.log(`    installed ${dependency.name}`)
       );
-    }
+    });
   });
 
-//Adding tailwind setup
+// Roll back a recorded run
 program
-  .command("add-tailwind")
-  .description("Set up Tailwind CSS for your Next.js project")
-  .action(async () => {
-    console.log(chalk.blue("Setting up Tailwind CSS..."));
-
-    const baseFolder = fs.existsSync("src") ? "src" : "";
-    const stylesDir = path.join(process.cwd(), `${baseFolder}/styles`);
-    const globalCSS = path.join(stylesDir, "globals.css");
-
-    // Detect existing Tailwind configuration
-    if (fs.existsSync("tailwind.config.js")) {
-      const { shouldContinue } = await inquirer.prompt([
-        {
-          type: "confirm",
-          name: "shouldContinue",
-          message:
-            "Tailwind CSS is already configured. Do you want to reconfigure it?",
-          default: false,
-        },
-      ]);
+  .command("undo [runId]")
+  .description(
+    "Restore the project to its state before a run (defaults to the last run)"
+  )
+  .option("--force", "Undo even if generated files were edited since", false)
+  .action((runId, options) => {
+    const manifest = readManifest();
+    const run = runId
+      ? manifest.runs.find((entry) => entry.id === Number(runId))
+      : [...manifest.runs].reverse().find((entry) => !entry.undoneAt);
 
-      if (!shouldContinue) {
-        console.log(chalk.green("Skipped Tailwind CSS setup."));
-        return;
-      }
+    if (!run) {
+      throw new Error(
+        runId ? `No run #${runId} in the manifest.` : "Nothing to undo."
+      );
+    }
+    if (run.undoneAt) {
+      throw new Error(`Run #${run.id} has already been undone.`);
     }
 
-    // Install dependencies
-    console.log(chalk.blue("Installing Tailwind CSS dependencies..."));
-    const installCommand = fs.existsSync("yarn.lock")
-      ? "yarn add"
-      : "npm install";
-    const dependencies = ["tailwindcss", "postcss", "autoprefixer"];
-    shell.exec(`${installCommand} -D ${dependencies.join(" ")}`);
-
-    // Initialize Tailwind CSS configuration
-    console.log(chalk.blue("Initializing Tailwind CSS configuration..."));
-    shell.exec("npx tailwindcss init -p");
-
-    // Update tailwind.config.js
-    const tailwindConfig = path.join(process.cwd(), "tailwind.config.js");
-    const contentPaths = [
-      "./pages/**/*.{js,ts,jsx,tsx}",
-      "./components/**/*.{js,ts,jsx,tsx}",
-    ];
-    if (fs.existsSync(`${baseFolder}/app`)) {
-      contentPaths.push(`./${baseFolder}/app/**/*.{js,ts,jsx,tsx}`);
+    // Refuse to throw away edits made after the run, including files that
+    // were created again after the run deleted them
+    const edited = run.files.filter((file) => {
+      const content = readProjectFile(file.path);
+      if (file.action === "delete") return content !== null;
+      return content === null || hashContent(content) !== file.hash;
+    });
+    if (edited.length && !options.force) {
+      throw new Error(
+        `These files changed after run #${run.id}:\n${edited
+          .map((file) => `  ${file.path}`)
+          .join("\n")}\nRevert your edits or pass --force to undo anyway.`
+      );
     }
 
-    const tailwindConfigContent = `module.exports = {
-  content: ${JSON.stringify(contentPaths, null, 2)},
-  theme: {
-    extend: {},
-  },
-  plugins: [],
-};`;
+    console.log(chalk.blue(`Undoing run #${run.id}: ${run.args.join(" ")}`));
 
-    fs.writeFileSync(tailwindConfig, tailwindConfigContent);
-    console.log(chalk.green("Updated: tailwind.config.js"));
+    run.files.forEach((file) => {
+      if (file.unjournaled) {
+        skipPath(
+          file.path,
+          "its earlier contents were not journaled; restore them by hand"
+        );
+      } else if (["overwrite", "delete"].includes(file.action)) {
+        writeFile(file.path, file.previous);
+      } else {
+        removeFile(file.path);
+      }
+    });
 
-    // Ensure styles directory exists
-    if (!fs.existsSync(stylesDir)) {
-      shell.mkdir("-p", stylesDir);
-      console.log(chalk.green(`Created: ${stylesDir}`));
-    }
+    // Remove created folders deepest first, keeping any that are not empty
+    [...run.dirs]
+      .sort((a, b) => b.length - a.length)
+      .forEach((dir) => removeEmptyDir(dir));
 
-    // Add Tailwind directives to globals.css
-    if (!fs.existsSync(globalCSS)) {
-      fs.writeFileSync(
-        globalCSS,
-        `@tailwind base;\n@tailwind components;\n@tailwind utilities;`
-      );
-      console.log(chalk.green(`Created: ${globalCSS}`));
-    } else {
-      console.log(
-        chalk.yellow(`${globalCSS} already exists. Skipping file creation.`)
-      );
+    if (run.dependencies.length) {
+      console.log(chalk.blue("Uninstalling dependencies added by this run..."));
+      if (!uninstallDependencies(run.dependencies.map(({ name }) => name))) {
+        console.log(chalk.red("Error uninstalling dependencies."));
+      }
     }
 
-    // Optional Prettier Plugin Setup
-    const { installPrettierPlugin } = await inquirer.prompt([
-      {
-        type: "confirm",
-        name: "installPrettierPlugin",
-        message:
-          "Would you like to install prettier-plugin-tailwindcss for class sorting?",
-        default: true,
-      },
-    ]);
-
-    if (installPrettierPlugin) {
-      shell.exec(`${installCommand} -D prettier-plugin-tailwindcss`);
-      console.log(chalk.green("Installed: prettier-plugin-tailwindcss"));
+    if (!changePlan.dryRun) {
+      run.undoneAt = new Date().toISOString();
+      writeManifest(manifest);
+      console.log(chalk.green(`Run #${run.id} has been undone.`));
     }
-
-    console.log(chalk.green("Tailwind CSS setup completed successfully!"));
   });
 
-program.parse(process.argv);
+program.parseAsync(process.argv).catch((error) => {
+  // Keep a journal of whatever was changed before the failure
+  recordRun();
+  console.log(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+});
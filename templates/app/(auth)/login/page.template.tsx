@@ -1,33 +1,11 @@
-// TODO: Change this file according to your exact requirement.
-"use client";
-
-import { useState } from "react";
+{{> fileHeader}}
+import LoginForm from "{{formImport}}";
 
 export default function LoginPage() {
-  const [email, setEmail] = useState("");
-  const [password, setPassword] = useState("");
-
-  const handleLogin = () => {
-    // Add login logic here
-    console.log("Logging in:", { email, password });
-  };
-
   return (
-    <div>
+    <main>
       <h1>Login</h1>
-      <input
-        type="email"
-        value={email}
-        onChange={(e) => setEmail(e.target.value)}
-        placeholder="Email"
-      />
-      <input
-        type="password"
-        value={password}
-        onChange={(e) => setPassword(e.target.value)}
-        placeholder="Password"
-      />
-      <button onClick={handleLogin}>Login</button>
-    </div>
+      <LoginForm />
+    </main>
   );
 }
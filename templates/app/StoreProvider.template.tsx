@@ -0,0 +1,20 @@
+{{> fileHeader}}
+"use client";
+
+import { useRef } from "react";
+import { Provider } from "react-redux";
+import { makeStore, AppStore } from "{{storeImport}}";
+
+export default function StoreProvider({
+  children,
+}: {
+  children: React.ReactNode;
+}) {
+  const storeRef = useRef<AppStore | null>(null);
+  if (!storeRef.current) {
+    // Create the store once per request / browser session
+    storeRef.current = makeStore();
+  }
+
+  return <Provider store={storeRef.current}>{children}</Provider>;
+}
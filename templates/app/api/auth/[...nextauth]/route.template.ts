@@ -0,0 +1,7 @@
+{{> fileHeader}}
+import NextAuth from "next-auth";
+import { authOptions } from "{{authOptionsImport}}";
+
+const handler = NextAuth(authOptions);
+
+export { handler as GET, handler as POST };
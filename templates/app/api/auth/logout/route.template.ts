@@ -0,0 +1,10 @@
+{{> fileHeader}}
+import { NextResponse } from "next/server";
+import { TOKEN_COOKIE } from "{{tokenImport}}";
+
+// POST /api/auth/logout: clear the token cookie checked by middleware.ts
+export async function POST() {
+  const res = NextResponse.json({ message: "Logged out" });
+  res.cookies.delete(TOKEN_COOKIE);
+  return res;
+}
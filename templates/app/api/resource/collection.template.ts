@@ -0,0 +1,14 @@
+{{> fileHeader}}
+import { NextRequest, NextResponse } from "next/server";
+import { create{{PascalName}}, list{{PluralName}} } from "{{dataImport}}";
+import { {{PascalName}}Input } from "{{typesImport}}";
+
+export async function GET() {
+  return NextResponse.json(list{{PluralName}}());
+}
+
+export async function POST(request: NextRequest) {
+  const input: {{PascalName}}Input = await request.json();
+  // TODO: Validate the request body
+  return NextResponse.json(create{{PascalName}}(input), { status: 201 });
+}
@@ -0,0 +1,41 @@
+{{> fileHeader}}
+import { NextRequest, NextResponse } from "next/server";
+import {
+  delete{{PascalName}},
+  get{{PascalName}},
+  update{{PascalName}},
+} from "{{dataImport}}";
+import { {{PascalName}}Input } from "{{typesImport}}";
+
+{{#if asyncParams}}
+// Next.js 15 passes route params as a promise
+type RouteContext = { params: Promise<{ id: string }> };
+{{else}}
+type RouteContext = { params: { id: string } };
+{{/if}}
+
+function notFound() {
+  return NextResponse.json({ error: "{{label}} not found" }, { status: 404 });
+}
+
+export async function GET(_request: NextRequest, { params }: RouteContext) {
+  const { id } = {{#if asyncParams}}await {{/if}}params;
+  const item = get{{PascalName}}(id);
+  if (!item) return notFound();
+  return NextResponse.json(item);
+}
+
+export async function PUT(request: NextRequest, { params }: RouteContext) {
+  const { id } = {{#if asyncParams}}await {{/if}}params;
+  const input: Partial<{{PascalName}}Input> = await request.json();
+  // TODO: Validate the request body
+  const item = update{{PascalName}}(id, input);
+  if (!item) return notFound();
+  return NextResponse.json(item);
+}
+
+export async function DELETE(_request: NextRequest, { params }: RouteContext) {
+  const { id } = {{#if asyncParams}}await {{/if}}params;
+  if (!delete{{PascalName}}(id)) return notFound();
+  return new NextResponse(null, { status: 204 });
+}
@@ -0,0 +1,39 @@
+{{> fileHeader}}
+import { {{#if usesRequest}}NextRequest, {{/if}}NextResponse } from "next/server";
+import { {{requestType}}, {{responseType}} } from "{{typesImport}}";
+{{#if methods.GET}}
+
+export async function GET() {
+  // TODO: Replace with your own logic
+  return NextResponse.json<{{responseType}}>({ message: "{{label}} fetched" });
+}
+{{/if}}
+{{#if methods.POST}}
+
+export async function POST(request: NextRequest) {
+  const body: {{requestType}} = await request.json();
+  // TODO: Validate and handle the request body
+  return NextResponse.json<{{responseType}}>(
+    { message: "{{label}} successful!", data: body },
+    { status: 201 }
+  );
+}
+{{/if}}
+{{#if methods.PUT}}
+
+export async function PUT(request: NextRequest) {
+  const body: {{requestType}} = await request.json();
+  // TODO: Validate and handle the request body
+  return NextResponse.json<{{responseType}}>({
+    message: "{{label}} updated",
+    data: body,
+  });
+}
+{{/if}}
+{{#if methods.DELETE}}
+
+export async function DELETE() {
+  // TODO: Replace with your own logic
+  return NextResponse.json<{{responseType}}>({ message: "{{label}} deleted" });
+}
+{{/if}}
@@ -1,12 +1,29 @@
+{{> fileHeader}}
 // TODO: Change this file according to your exact requirement.
 
-export default function Layout({ children }: { children: React.ReactNode }) {
+import type { Metadata } from "next";
+import Header from "{{headerImport}}";
+import Footer from "{{footerImport}}";
+{{#if globalCssImport}}
+import "{{globalCssImport}}";
+{{/if}}
+
+export const metadata: Metadata = {
+  title: "{{siteName}}",
+};
+
+export default function RootLayout({
+  children,
+}: {
+  children: React.ReactNode;
+}) {
   return (
-    <div className="layout">
-      <header>
-        <h1>Global Layout</h1>
-      </header>
-      <main>{children}</main>
-    </div>
+    <html lang="en">
+      <body>
+        <Header />
+        <main>{children}</main>
+        <Footer />
+      </body>
+    </html>
   );
 }
@@ -0,0 +1,10 @@
+{{> fileHeader}}
+export default function Footer() {
+  return (
+    <footer>
+      <p>
+        &copy; {new Date().getFullYear()} {{siteName}}. All rights reserved.
+      </p>
+    </footer>
+  );
+}
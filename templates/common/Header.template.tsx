@@ -0,0 +1,60 @@
+{{> fileHeader}}
+import Link from "next/link";
+
+type NavItem = {
+  label: string;
+  href?: string;
+  links?: { label: string; href: string }[];
+};
+
+// TODO: Keep this menu in sync with your routes
+{{#if navItems}}
+const NAV_ITEMS: NavItem[] = [
+{{#each navItems}}
+{{#if links}}
+  {
+    label: "{{label}}",
+    links: [
+{{#each links}}
+      { label: "{{label}}", href: "{{href}}" },
+{{/each}}
+    ],
+  },
+{{else}}
+  { label: "{{label}}", href: "{{href}}" },
+{{/if}}
+{{/each}}
+];
+{{else}}
+const NAV_ITEMS: NavItem[] = [];
+{{/if}}
+
+export default function Header() {
+  return (
+    <header>
+      <Link href="/">{{siteName}}</Link>
+      <nav>
+        <ul>
+          {NAV_ITEMS.map((item) => (
+            <li key={item.label}>
+              {item.href ? (
+                <Link href={item.href}>{item.label}</Link>
+              ) : (
+                <span>{item.label}</span>
+              )}
+              {item.links && (
+                <ul>
+                  {item.links.map((link) => (
+                    <li key={link.href}>
+                      <Link href={link.href}>{link.label}</Link>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      </nav>
+    </header>
+  );
+}
@@ -1,9 +0,0 @@
-import React from "react";
-
-export default function Footer() {
-  return (
-    <footer>
-      <p>&copy; 2024 Your Project Name. All rights reserved.</p>
-    </footer>
-  );
-}
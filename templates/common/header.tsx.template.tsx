@@ -1,9 +0,0 @@
-import React from "react";
-
-export default function Header() {
-  return (
-    <header>
-      <h1>Site Header</h1>
-    </header>
-  );
-}
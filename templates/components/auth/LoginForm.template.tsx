@@ -0,0 +1,100 @@
+{{> fileHeader}}
+"use client";
+
+import { FormEvent, useState } from "react";
+import Link from "next/link";
+{{#if isAppRouter}}
+import { useRouter } from "next/navigation";
+{{else}}
+import { useRouter } from "next/router";
+{{/if}}
+import { useAuth } from "./AuthProvider";
+import { authErrorMessage } from "{{serviceImport}}";
+import { LoginCredentials } from "{{typesImport}}";
+
+type FieldErrors = Partial<Record<keyof LoginCredentials, string>>;
+
+function validate({ email, password }: LoginCredentials): FieldErrors {
+  const errors: FieldErrors = {};
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    errors.email = "Enter a valid email address.";
+  }
+  if (!password) {
+    errors.password = "Enter your password.";
+  }
+  return errors;
+}
+
+// The page the middleware redirected from, when it is on this site
+function redirectTarget(): string {
+  const from = new URLSearchParams(window.location.search).get("from");
+  return from?.startsWith("/") && !from.startsWith("//") ? from : "/";
+}
+
+export default function LoginForm() {
+  const router = useRouter();
+  const { login } = useAuth();
+  const [values, setValues] = useState<LoginCredentials>({
+    email: "",
+    password: "",
+  });
+  const [fieldErrors, setFieldErrors] = useState<FieldErrors>({});
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const update = (field: keyof LoginCredentials, value: string) =>
+    setValues((current) => ({ ...current, [field]: value }));
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const errors = validate(values);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await login(values);
+      router.replace(redirectTarget());
+    } catch (err) {
+      setError(authErrorMessage(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      {error && <p role="alert">{error}</p>}
+
+      <label htmlFor="email">Email</label>
+      <input
+        id="email"
+        type="email"
+        autoComplete="email"
+        value={values.email}
+        onChange={(e) => update("email", e.target.value)}
+        aria-invalid={Boolean(fieldErrors.email)}
+      />
+      {fieldErrors.email && <p>{fieldErrors.email}</p>}
+
+      <label htmlFor="password">Password</label>
+      <input
+        id="password"
+        type="password"
+        autoComplete="current-password"
+        value={values.password}
+        onChange={(e) => update("password", e.target.value)}
+        aria-invalid={Boolean(fieldErrors.password)}
+      />
+      {fieldErrors.password && <p>{fieldErrors.password}</p>}
+
+      <button type="submit" disabled={submitting}>
+        {submitting ? "Logging in..." : "Login"}
+      </button>
+      <p>
+        No account yet? <Link href="{{registerPath}}">Register</Link>
+      </p>
+    </form>
+  );
+}
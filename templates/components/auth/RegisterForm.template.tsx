@@ -0,0 +1,121 @@
+{{> fileHeader}}
+"use client";
+
+import { FormEvent, useState } from "react";
+import Link from "next/link";
+{{#if isAppRouter}}
+import { useRouter } from "next/navigation";
+{{else}}
+import { useRouter } from "next/router";
+{{/if}}
+import { useAuth } from "./AuthProvider";
+import { authErrorMessage } from "{{serviceImport}}";
+import { RegisterData } from "{{typesImport}}";
+
+type RegisterValues = RegisterData & { confirmPassword: string };
+type FieldErrors = Partial<Record<keyof RegisterValues, string>>;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function validate(values: RegisterValues): FieldErrors {
+  const errors: FieldErrors = {};
+  if (!values.name.trim()) {
+    errors.name = "Enter your name.";
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+    errors.email = "Enter a valid email address.";
+  }
+  if (values.password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Use at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  if (values.confirmPassword !== values.password) {
+    errors.confirmPassword = "Passwords do not match.";
+  }
+  return errors;
+}
+
+export default function RegisterForm() {
+  const router = useRouter();
+  const { register } = useAuth();
+  const [values, setValues] = useState<RegisterValues>({
+    name: "",
+    email: "",
+    password: "",
+    confirmPassword: "",
+  });
+  const [fieldErrors, setFieldErrors] = useState<FieldErrors>({});
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const update = (field: keyof RegisterValues, value: string) =>
+    setValues((current) => ({ ...current, [field]: value }));
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const errors = validate(values);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      const { name, email, password } = values;
+      await register({ name, email, password });
+      router.replace("/");
+    } catch (err) {
+      setError(authErrorMessage(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const fields: {
+    name: keyof RegisterValues;
+    label: string;
+    type: string;
+    autoComplete: string;
+  }[] = [
+    { name: "name", label: "Name", type: "text", autoComplete: "name" },
+    { name: "email", label: "Email", type: "email", autoComplete: "email" },
+    {
+      name: "password",
+      label: "Password",
+      type: "password",
+      autoComplete: "new-password",
+    },
+    {
+      name: "confirmPassword",
+      label: "Confirm Password",
+      type: "password",
+      autoComplete: "new-password",
+    },
+  ];
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      {error && <p role="alert">{error}</p>}
+
+      {fields.map(({ name, label, type, autoComplete }) => (
+        <div key={name}>
+          <label htmlFor={name}>{label}</label>
+          <input
+            id={name}
+            type={type}
+            autoComplete={autoComplete}
+            value={values[name]}
+            onChange={(e) => update(name, e.target.value)}
+            aria-invalid={Boolean(fieldErrors[name])}
+          />
+          {fieldErrors[name] && <p>{fieldErrors[name]}</p>}
+        </div>
+      ))}
+
+      <button type="submit" disabled={submitting}>
+        {submitting ? "Creating account..." : "Register"}
+      </button>
+      <p>
+        Already registered? <Link href="{{loginPath}}">Login</Link>
+      </p>
+    </form>
+  );
+}
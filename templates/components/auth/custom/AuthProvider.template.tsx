@@ -0,0 +1,77 @@
+{{> fileHeader}}
+"use client";
+
+import {
+  createContext,
+  ReactNode,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import authService from "{{serviceImport}}";
+import { clearToken, getToken, setToken } from "{{tokenImport}}";
+import { LoginCredentials, RegisterData, User } from "{{typesImport}}";
+
+interface AuthContextValue {
+  user: User | null;
+  // True while the session saved in a previous visit is being restored
+  loading: boolean;
+  login: (credentials: LoginCredentials) => Promise<void>;
+  register: (input: RegisterData) => Promise<void>;
+  logout: () => Promise<void>;
+}
+
+const AuthContext = createContext<AuthContextValue | null>(null);
+
+export function AuthProvider({ children }: { children: ReactNode }) {
+  const [user, setUser] = useState<User | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  // Restore the signed-in user from the saved token
+  useEffect(() => {
+    if (!getToken()) {
+      setLoading(false);
+      return;
+    }
+    authService
+      .me()
+      .then(setUser)
+      .catch(clearToken)
+      .finally(() => setLoading(false));
+  }, []);
+
+  const login = useCallback(async (credentials: LoginCredentials) => {
+    const { token, user } = await authService.login(credentials);
+    setToken(token);
+    setUser(user);
+  }, []);
+
+  const register = useCallback(async (input: RegisterData) => {
+    const { token, user } = await authService.register(input);
+    setToken(token);
+    setUser(user);
+  }, []);
+
+  const logout = useCallback(async () => {
+    clearToken();
+    setUser(null);
+    await authService.logout();
+  }, []);
+
+  const value = useMemo(
+    () => ({ user, loading, login, register, logout }),
+    [user, loading, login, register, logout]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used inside <AuthProvider>");
+  }
+  return context;
+}
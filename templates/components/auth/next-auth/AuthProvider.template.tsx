@@ -0,0 +1,47 @@
+{{> fileHeader}}
+"use client";
+
+import { ReactNode, useCallback } from "react";
+import { SessionProvider, signIn, signOut, useSession } from "next-auth/react";
+import authService from "{{serviceImport}}";
+import { LoginCredentials, RegisterData } from "{{typesImport}}";
+
+export function AuthProvider({ children }: { children: ReactNode }) {
+  return <SessionProvider>{children}</SessionProvider>;
+}
+
+// The session from NextAuth with the same login/register/logout calls as the
+// token-based provider
+export function useAuth() {
+  const { data: session, status } = useSession();
+
+  const login = useCallback(async (credentials: LoginCredentials) => {
+    const result = await signIn("credentials", {
+      ...credentials,
+      redirect: false,
+    });
+    if (!result?.ok) {
+      throw new Error("Invalid email or password.");
+    }
+  }, []);
+
+  const register = useCallback(
+    async (input: RegisterData) => {
+      await authService.register(input);
+      await login({ email: input.email, password: input.password });
+    },
+    [login]
+  );
+
+  const logout = useCallback(async () => {
+    await signOut({ redirect: false });
+  }, []);
+
+  return {
+    user: session?.user ?? null,
+    loading: status === "loading",
+    login,
+    register,
+    logout,
+  };
+}
@@ -0,0 +1,23 @@
+{{> fileHeader}}
+import type { Meta, StoryObj } from "{{storybookPackage}}";
+import {{name}} from "./{{name}}";
+
+const meta = {
+  title: "{{storyTitle}}",
+  component: {{name}},
+} satisfies Meta<typeof {{name}}>;
+
+export default meta;
+type Story = StoryObj<typeof meta>;
+
+{{#if requiredProps}}
+export const Default: Story = {
+  args: {
+{{#each requiredProps}}
+    {{name}}: {{sample}},
+{{/each}}
+  },
+};
+{{else}}
+export const Default: Story = {};
+{{/if}}
@@ -0,0 +1,36 @@
+{{> fileHeader}}
+{{#if client}}
+"use client";
+
+{{/if}}
+// TODO: Customize this component
+
+{{#if styleImport}}
+import styles from "./{{styleImport}}";
+
+{{/if}}
+{{#if props}}
+export interface {{name}}Props {
+{{#each props}}
+  {{name}}{{#if optional}}?{{/if}}: {{type}};
+{{/each}}
+}
+
+export default function {{name}}({ {{propNames}} }: {{name}}Props) {
+{{else}}
+export default function {{name}}() {
+{{/if}}
+{{#if styleImport}}
+  return <div className={styles.{{className}}}>{{name}} Component</div>;
+{{else}}
+{{#if tailwind}}
+  return (
+    <div className="rounded-lg bg-gray-100 p-4 shadow-md">
+      {{name}} Component
+    </div>
+  );
+{{else}}
+  return <div>{{name}} Component</div>;
+{{/if}}
+{{/if}}
+}
@@ -0,0 +1,11 @@
+{{> fileHeader}}
+{{> testImports}}
+import { render, screen } from "@testing-library/react";
+import {{name}} from "./{{name}}";
+
+describe("{{name}}", () => {
+  it("renders", () => {
+    render(<{{name}}{{#each requiredProps}} {{jsxAttribute}}{{/each}} />);
+    expect(screen.getByText("{{name}} Component")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,5 @@
+{{> fileHeader}}
+export { default } from "./{{name}}";
+{{#if props}}
+export type { {{name}}Props } from "./{{name}}";
+{{/if}}
@@ -1,9 +1,17 @@
+{{> fileHeader}}
 // TODO: Change this file according to your exact requirement.
 
 import axios from "axios";
+{{#if envImport}}
+import { env } from "{{envImport}}";
+{{/if}}
 
 const api = axios.create({
+{{#if envImport}}
+  baseURL: env.NEXT_PUBLIC_API_BASE_URL,
+{{else}}
   baseURL: process.env.NEXT_PUBLIC_API_BASE_URL,
+{{/if}}
   headers: {
     "Content-Type": "application/json",
   },
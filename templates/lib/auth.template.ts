@@ -0,0 +1,47 @@
+{{> fileHeader}}
+import type { NextAuthOptions } from "next-auth";
+import CredentialsProvider from "next-auth/providers/credentials";
+import authService from "{{serviceImport}}";
+
+// NextAuth signs users in against your API through authService and keeps its
+// token in the session JWT. Set NEXTAUTH_SECRET and NEXTAUTH_URL in .env.local.
+export const authOptions: NextAuthOptions = {
+  providers: [
+    CredentialsProvider({
+      name: "Credentials",
+      credentials: {
+        email: { label: "Email", type: "email" },
+        password: { label: "Password", type: "password" },
+      },
+      async authorize(credentials) {
+        if (!credentials?.email || !credentials.password) return null;
+        try {
+          const { token, user } = await authService.login({
+            email: credentials.email,
+            password: credentials.password,
+          });
+          return {
+            id: String(user.id),
+            name: user.name,
+            email: user.email,
+            accessToken: token,
+          };
+        } catch {
+          return null;
+        }
+      },
+    }),
+  ],
+  session: { strategy: "jwt" },
+  pages: { signIn: "{{loginPath}}" },
+  callbacks: {
+    async jwt({ token, user }) {
+      if (user) token.accessToken = user.accessToken;
+      return token;
+    },
+    async session({ session, token }) {
+      session.accessToken = token.accessToken;
+      return session;
+    },
+  },
+};
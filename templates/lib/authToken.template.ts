@@ -0,0 +1,23 @@
+{{> fileHeader}}
+// The auth token is kept in localStorage, where lib/api.ts reads it, and
+// mirrored in a cookie so that middleware.ts can check it on the server
+export const TOKEN_COOKIE = "{{cookieName}}";
+const STORAGE_KEY = "authToken";
+const MAX_AGE = 60 * 60 * 24 * 7; // one week, in seconds
+
+export function getToken(): string | null {
+  if (typeof window === "undefined") return null;
+  return localStorage.getItem(STORAGE_KEY);
+}
+
+export function setToken(token: string) {
+  localStorage.setItem(STORAGE_KEY, token);
+  document.cookie = `${TOKEN_COOKIE}=${encodeURIComponent(
+    token
+  )}; Path=/; Max-Age=${MAX_AGE}; SameSite=Lax`;
+}
+
+export function clearToken() {
+  localStorage.removeItem(STORAGE_KEY);
+  document.cookie = `${TOKEN_COOKIE}=; Path=/; Max-Age=0; SameSite=Lax`;
+}
@@ -1,3 +1,4 @@
+{{> fileHeader}}
 // TODO: Change this file according to your exact requirement.
 
 export const API_BASE_URL =
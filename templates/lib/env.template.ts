@@ -0,0 +1,146 @@
+{{> fileHeader}}
+// Generated from the "env" schema in nextjs-boilerplate.config.json. Run
+// `add-env` to declare variables instead of editing this file by hand.
+//
+// process.env is checked as soon as this module is imported, so a missing or
+// malformed variable stops the app at startup instead of failing later.
+{{#if zod}}
+import { z } from "zod";
+
+// Only available on the server
+const serverSchema = z.object({
+{{#each serverVars}}
+  {{key}}: {{zodType}},
+{{/each}}
+});
+
+// Exposed to the browser (names start with NEXT_PUBLIC_)
+const clientSchema = z.object({
+{{#each clientVars}}
+  {{key}}: {{zodType}},
+{{/each}}
+});
+
+type Env = z.infer<typeof serverSchema> & z.infer<typeof clientSchema>;
+{{else}}
+
+type EnvType = "string" | "number" | "boolean" | "url";
+
+interface EnvRule {
+  type: EnvType;
+  required: boolean;
+}
+
+// Only available on the server
+export interface ServerEnv {
+{{#each serverVars}}
+  {{key}}{{#unless required}}?{{/unless}}: {{tsType}};
+{{/each}}
+}
+
+// Exposed to the browser (names start with NEXT_PUBLIC_)
+export interface ClientEnv {
+{{#each clientVars}}
+  {{key}}{{#unless required}}?{{/unless}}: {{tsType}};
+{{/each}}
+}
+
+type Env = ServerEnv & ClientEnv;
+
+const serverRules: Record<keyof ServerEnv, EnvRule> = {
+{{#each serverVars}}
+  {{key}}: { type: "{{type}}", required: {{required}} },
+{{/each}}
+};
+
+const clientRules: Record<keyof ClientEnv, EnvRule> = {
+{{#each clientVars}}
+  {{key}}: { type: "{{type}}", required: {{required}} },
+{{/each}}
+};
+
+// Convert a raw value to its declared type, or describe what is wrong with it
+function parseValue(
+  raw: string | undefined,
+  rule: EnvRule
+): { value?: unknown; error?: string } {
+  if (raw === undefined) return rule.required ? { error: "Required" } : {};
+  switch (rule.type) {
+    case "number":
+      return Number.isNaN(Number(raw))
+        ? { error: "Expected a number" }
+        : { value: Number(raw) };
+    case "boolean":
+      return raw === "true" || raw === "false"
+        ? { value: raw === "true" }
+        : { error: 'Expected "true" or "false"' };
+    case "url":
+      try {
+        new URL(raw);
+        return { value: raw };
+      } catch {
+        return { error: "Expected a URL" };
+      }
+    default:
+      return { value: raw };
+  }
+}
+{{/if}}
+
+const isServer = typeof window === "undefined";
+
+// Next.js only inlines NEXT_PUBLIC_ variables into the browser bundle when
+// they are read by their full name, so every variable is listed here. Empty
+// values count as unset.
+const runtimeEnv: Record<string, string | undefined> = {
+{{#each variables}}
+  {{key}}: process.env.{{key}} || undefined,
+{{/each}}
+};
+
+{{#if zod}}
+const parsed = (
+  isServer ? serverSchema.extend(clientSchema.shape) : clientSchema
+).safeParse(runtimeEnv);
+
+if (!parsed.success) {
+  const issues = parsed.error.issues
+    .map((issue) => `  ${issue.path.join(".")}: ${issue.message}`)
+    .join("\n");
+  throw new Error(`Invalid environment variables:\n${issues}`);
+}
+
+const values = parsed.data;
+const serverKeys = Object.keys(serverSchema.shape);
+{{else}}
+const rules: Record<string, EnvRule> = isServer
+  ? { ...serverRules, ...clientRules }
+  : clientRules;
+const values: Partial<Record<keyof Env, unknown>> = {};
+const issues: string[] = [];
+
+Object.entries(rules).forEach(([key, rule]) => {
+  const { value, error } = parseValue(runtimeEnv[key], rule);
+  if (error) issues.push(`  ${key}: ${error}`);
+  else if (value !== undefined) values[key as keyof Env] = value;
+});
+
+if (issues.length) {
+  throw new Error(`Invalid environment variables:\n${issues.join("\n")}`);
+}
+
+const serverKeys = Object.keys(serverRules);
+{{/if}}
+
+// Reading a server-only variable in client code throws instead of quietly
+// returning undefined
+export const env = new Proxy(values as Env, {
+  get(target, key) {
+    if (!isServer && typeof key === "string" && serverKeys.includes(key)) {
+      throw new Error(
+        `${key} is a server-only environment variable and can't be read in client code.`
+      );
+    }
+    return Reflect.get(target, key);
+  },
+});
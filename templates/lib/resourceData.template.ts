@@ -0,0 +1,37 @@
+{{> fileHeader}}
+import { {{PascalName}}, {{PascalName}}Input } from "{{typesImport}}";
+
+// In-memory storage so the generated API works out of the box.
+// TODO: Replace with your database.
+const {{pluralName}}: {{PascalName}}[] = [];
+
+export function list{{PluralName}}(): {{PascalName}}[] {
+  return {{pluralName}};
+}
+
+export function get{{PascalName}}(id: string): {{PascalName}} | null {
+  return {{pluralName}}.find((item) => String(item.id) === id) ?? null;
+}
+
+export function create{{PascalName}}(input: {{PascalName}}Input): {{PascalName}} {
+  const item = { id: Date.now().toString(36), ...input };
+  {{pluralName}}.push(item);
+  return item;
+}
+
+export function update{{PascalName}}(
+  id: string,
+  input: Partial<{{PascalName}}Input>
+): {{PascalName}} | null {
+  const item = get{{PascalName}}(id);
+  if (!item) return null;
+  Object.assign(item, input);
+  return item;
+}
+
+export function delete{{PascalName}}(id: string): boolean {
+  const index = {{pluralName}}.findIndex((item) => String(item.id) === id);
+  if (index === -1) return false;
+  {{pluralName}}.splice(index, 1);
+  return true;
+}
@@ -1,20 +1,94 @@
+{{> fileHeader}}
 import { NextRequest, NextResponse } from "next/server";
+{{#if authGuard}}
+
+// Routes that need a signed-in user
+const PROTECTED_ROUTES = [
+{{#each protectedRoutes}}
+  "{{this}}",
+{{/each}}
+];
+const TOKEN_COOKIE = "{{cookieName}}";
+{{/if}}
+{{#if locale}}
+
+const LOCALES = [{{#each locales}}"{{this}}"{{#unless @last}}, {{/unless}}{{/each}}];
+const DEFAULT_LOCALE = "{{defaultLocale}}";
+
+// The locale from the NEXT_LOCALE cookie, else the first supported language
+// in the Accept-Language header
+function getLocale(req: NextRequest): string {
+  const saved = req.cookies.get("NEXT_LOCALE")?.value;
+  if (saved && LOCALES.includes(saved)) return saved;
+
+  const preferred = (req.headers.get("accept-language") ?? "")
+    .split(",")
+    .map((entry) => entry.split(";")[0].trim().toLowerCase().split("-")[0]);
+  return preferred.find((code) => LOCALES.includes(code)) ?? DEFAULT_LOCALE;
+}
+{{/if}}
 
 /**
  * Middleware function for handling requests.
  * Customize the logic below as needed.
  */
-export function middleware(req: NextRequest): NextResponse | undefined {
-  console.log(`Middleware triggered for ${req.nextUrl.pathname}`);
+export function middleware(req: NextRequest) {
+  const { pathname } = req.nextUrl;
+{{#if authGuard}}
+
+  // Send visitors without a token cookie to the login page
+  const isProtected = PROTECTED_ROUTES.some(
+    (route) => pathname === route || pathname.startsWith(`${route}/`)
+  );
+{{#if secureCookie}}
+  // Over HTTPS the session cookie name gets a __Secure- prefix
+  const token =
+    req.cookies.get(TOKEN_COOKIE)?.value ??
+    req.cookies.get(`__Secure-${TOKEN_COOKIE}`)?.value;
+  if (isProtected && !token) {
+{{else}}
+  if (isProtected && !req.cookies.get(TOKEN_COOKIE)?.value) {
+{{/if}}
+    const loginUrl = new URL("{{loginPath}}", req.url);
+    loginUrl.searchParams.set("from", pathname);
+    return NextResponse.redirect(loginUrl);
+  }
+{{/if}}
+{{#if rewritesHeaders}}
+
+  const requestHeaders = new Headers(req.headers);
+{{#if headers}}
+  // Let server components read the current path
+  requestHeaders.set("x-pathname", pathname);
+{{/if}}
+{{#if locale}}
+  const locale = getLocale(req);
+  requestHeaders.set("x-locale", locale);
+{{/if}}
+
+  const res = NextResponse.next({ request: { headers: requestHeaders } });
+{{#if headers}}
+  res.headers.set("X-Frame-Options", "DENY");
+  res.headers.set("X-Content-Type-Options", "nosniff");
+  res.headers.set("Referrer-Policy", "strict-origin-when-cross-origin");
+{{/if}}
+{{#if locale}}
+  if (req.cookies.get("NEXT_LOCALE")?.value !== locale) {
+    res.cookies.set("NEXT_LOCALE", locale);
+  }
+{{/if}}
+  return res;
+{{else}}
 
-  // Example: Continue to the next middleware or route
   return NextResponse.next();
+{{/if}}
 }
 
 // Specify which paths this middleware should run on
 export const config = {
   matcher: [
-    "/api/:path*", // Apply to all API routes
-    "/protected/*", // Apply to protected routes
+{{#each matcher}}
+    "{{this}}",
+{{/each}}
   ],
 };
@@ -0,0 +1,5 @@
+{{> fileHeader}}
+// Rendered in the @{{slot}} slot when no page of the slot matches the URL
+export default function {{PascalName}}Default() {
+  return null;
+}
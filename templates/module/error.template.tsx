@@ -0,0 +1,25 @@
+{{> fileHeader}}
+"use client";
+
+import { useEffect } from "react";
+
+// Shown when a {{moduleName}} page throws
+export default function {{PascalName}}Error({
+  error,
+  reset,
+}: {
+  error: Error & { digest?: string };
+  reset: () => void;
+}) {
+  useEffect(() => {
+    // TODO: Report the error to your logging service
+    console.error(error);
+  }, [error]);
+
+  return (
+    <div>
+      <h2>Something went wrong!</h2>
+      <button onClick={() => reset()}>Try again</button>
+    </div>
+  );
+}
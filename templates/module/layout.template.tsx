@@ -0,0 +1,23 @@
+{{> fileHeader}}
+// TODO: Customize the layout shared by the {{moduleName}} pages
+
+export default function {{PascalName}}Layout({
+  children,
+{{#each slots}}
+  {{this}},
+{{/each}}
+}: {
+  children: React.ReactNode;
+{{#each slots}}
+  {{this}}: React.ReactNode;
+{{/each}}
+}) {
+  return (
+    <section>
+      {children}
+{{#each slots}}
+      {{{this}}}
+{{/each}}
+    </section>
+  );
+}
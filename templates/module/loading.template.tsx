@@ -0,0 +1,5 @@
+{{> fileHeader}}
+// Shown while a {{moduleName}} page is loading
+export default function {{PascalName}}Loading() {
+  return <p>Loading...</p>;
+}
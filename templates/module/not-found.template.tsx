@@ -0,0 +1,13 @@
+{{> fileHeader}}
+import Link from "next/link";
+
+// Shown when a {{moduleName}} page calls notFound() from "next/navigation"
+export default function {{PascalName}}NotFound() {
+  return (
+    <div>
+      <h2>Not Found</h2>
+      <p>Could not find the requested {{label}} page.</p>
+      <Link href="/">Return Home</Link>
+    </div>
+  );
+}
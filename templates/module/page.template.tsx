@@ -0,0 +1,46 @@
+{{> fileHeader}}
+// TODO: Customize this {{route}} page
+{{#if params}}
+
+type Params = {
+{{#each params}}
+  {{name}}{{#if optional}}?{{/if}}: {{tsType}};
+{{/each}}
+};
+
+type PageProps = {
+{{#if asyncParams}}
+  params: Promise<Params>;
+  searchParams: Promise<{ [key: string]: string | string[] | undefined }>;
+{{else}}
+  params: Params;
+  searchParams: { [key: string]: string | string[] | undefined };
+{{/if}}
+};
+{{#if staticParams}}
+
+// The dynamic segments to pre-render at build time
+export async function generateStaticParams(): Promise<Params[]> {
+  // TODO: Return the {{paramNames}} values to pre-render, e.g. from your API
+  return [];
+}
+{{/if}}
+
+export default {{#if asyncParams}}async {{/if}}function {{PascalName}}Page({ params }: PageProps) {
+  const { {{paramNames}} } = {{#if asyncParams}}await {{/if}}params;
+
+  return (
+    <div>
+      <h1>{{label}}</h1>
+{{#each params}}
+      <p>{{jsx}}</p>
+{{/each}}
+    </div>
+  );
+}
+{{else}}
+
+export default function {{PascalName}}Page() {
+  return <div>{{label}} Page</div>;
+}
+{{/if}}
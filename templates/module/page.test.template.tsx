@@ -0,0 +1,11 @@
+{{> fileHeader}}
+{{> testImports}}
+import { render, screen } from "@testing-library/react";
+import {{PascalName}}Page from "{{pageImport}}";
+
+describe("{{PascalName}}Page", () => {
+  it("renders the {{route}} page", () => {
+    render(<{{PascalName}}Page />);
+    expect(screen.getByText("{{label}} Page")).toBeInTheDocument();
+  });
+});
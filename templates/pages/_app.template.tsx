@@ -1,5 +1,21 @@
-import "../styles/globals.css";
+{{> fileHeader}}
+// TODO: Change this file according to your exact requirement.
 
-export default function App({ Component, pageProps }: any) {
-  return <Component {...pageProps} />;
+import type { AppProps } from "next/app";
+import Header from "{{headerImport}}";
+import Footer from "{{footerImport}}";
+{{#if globalCssImport}}
+import "{{globalCssImport}}";
+{{/if}}
+
+export default function App({ Component, pageProps }: AppProps) {
+  return (
+    <>
+      <Header />
+      <main>
+        <Component {...pageProps} />
+      </main>
+      <Footer />
+    </>
+  );
 }
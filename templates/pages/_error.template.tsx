@@ -1,3 +1,4 @@
+{{> fileHeader}}
 // TODO: Change this file according to your exact requirement.
 "use client";
 
@@ -0,0 +1,5 @@
+{{> fileHeader}}
+import NextAuth from "next-auth";
+import { authOptions } from "{{authOptionsImport}}";
+
+export default NextAuth(authOptions);
@@ -0,0 +1,17 @@
+{{> fileHeader}}
+import type { NextApiRequest, NextApiResponse } from "next";
+import { TOKEN_COOKIE } from "{{tokenImport}}";
+
+// POST /api/auth/logout: clear the token cookie checked by middleware.ts
+export default function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    res.status(405).json({ error: `Method ${req.method} not allowed` });
+    return;
+  }
+  res.setHeader(
+    "Set-Cookie",
+    `${TOKEN_COOKIE}=; Path=/; Max-Age=0; SameSite=Lax`
+  );
+  res.status(200).json({ message: "Logged out" });
+}
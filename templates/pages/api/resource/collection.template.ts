@@ -0,0 +1,26 @@
+{{> fileHeader}}
+import type { NextApiRequest, NextApiResponse } from "next";
+import { create{{PascalName}}, list{{PluralName}} } from "{{dataImport}}";
+import { {{PascalName}}, {{PascalName}}Input } from "{{typesImport}}";
+
+type ErrorResponse = { error: string };
+
+export default function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<{{PascalName}}[] | {{PascalName}} | ErrorResponse>
+) {
+  switch (req.method) {
+    case "GET":
+      res.status(200).json(list{{PluralName}}());
+      return;
+    case "POST": {
+      const input: {{PascalName}}Input = req.body;
+      // TODO: Validate the request body
+      res.status(201).json(create{{PascalName}}(input));
+      return;
+    }
+    default:
+      res.setHeader("Allow", ["GET", "POST"]);
+      res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+}
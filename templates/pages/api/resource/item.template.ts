@@ -0,0 +1,43 @@
+{{> fileHeader}}
+import type { NextApiRequest, NextApiResponse } from "next";
+import {
+  delete{{PascalName}},
+  get{{PascalName}},
+  update{{PascalName}},
+} from "{{dataImport}}";
+import { {{PascalName}}, {{PascalName}}Input } from "{{typesImport}}";
+
+type ErrorResponse = { error: string };
+
+export default function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<{{PascalName}} | ErrorResponse>
+) {
+  const id = String(req.query.id);
+  const notFound = () =>
+    res.status(404).json({ error: "{{label}} not found" });
+
+  switch (req.method) {
+    case "GET": {
+      const item = get{{PascalName}}(id);
+      if (!item) return notFound();
+      res.status(200).json(item);
+      return;
+    }
+    case "PUT": {
+      const input: Partial<{{PascalName}}Input> = req.body;
+      // TODO: Validate the request body
+      const item = update{{PascalName}}(id, input);
+      if (!item) return notFound();
+      res.status(200).json(item);
+      return;
+    }
+    case "DELETE":
+      if (!delete{{PascalName}}(id)) return notFound();
+      res.status(204).end();
+      return;
+    default:
+      res.setHeader("Allow", ["GET", "PUT", "DELETE"]);
+      res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+}
@@ -0,0 +1,45 @@
+{{> fileHeader}}
+import type { NextApiRequest, NextApiResponse } from "next";
+import { {{requestType}}, {{responseType}} } from "{{typesImport}}";
+
+type ErrorResponse = { error: string };
+
+// API handler for /api/{{moduleName}}/{{route}}
+export default function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<{{responseType}} | ErrorResponse>
+) {
+  switch (req.method) {
+{{#if methods.GET}}
+    case "GET":
+      // TODO: Replace with your own logic
+      res.status(200).json({ message: "{{label}} fetched" });
+      return;
+{{/if}}
+{{#if methods.POST}}
+    case "POST": {
+      const body: {{requestType}} = req.body;
+      // TODO: Validate and handle the request body
+      res.status(201).json({ message: "{{label}} successful!", data: body });
+      return;
+    }
+{{/if}}
+{{#if methods.PUT}}
+    case "PUT": {
+      const body: {{requestType}} = req.body;
+      // TODO: Validate and handle the request body
+      res.status(200).json({ message: "{{label}} updated", data: body });
+      return;
+    }
+{{/if}}
+{{#if methods.DELETE}}
+    case "DELETE":
+      // TODO: Replace with your own logic
+      res.status(200).json({ message: "{{label}} deleted" });
+      return;
+{{/if}}
+    default:
+      res.setHeader("Allow", [{{#each methodList}}"{{this}}"{{#unless @last}}, {{/unless}}{{/each}}]);
+      res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+}
@@ -0,0 +1,11 @@
+{{> fileHeader}}
+import LoginForm from "{{formImport}}";
+
+export default function LoginPage() {
+  return (
+    <main>
+      <h1>Login</h1>
+      <LoginForm />
+    </main>
+  );
+}
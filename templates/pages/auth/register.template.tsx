@@ -0,0 +1,11 @@
+{{> fileHeader}}
+import RegisterForm from "{{formImport}}";
+
+export default function RegisterPage() {
+  return (
+    <main>
+      <h1>Register</h1>
+      <RegisterForm />
+    </main>
+  );
+}
@@ -0,0 +1,57 @@
+{{> fileHeader}}
+{{#if staticGeneration}}
+import type { GetStaticPaths, GetStaticProps } from "next";
+{{else}}
+import type { GetServerSideProps } from "next";
+{{/if}}
+
+// TODO: Customize this {{route}} page
+
+type Params = {
+{{#each params}}
+  {{name}}{{#if optional}}?{{/if}}: {{tsType}};
+{{/each}}
+};
+
+type Props = {
+{{#each params}}
+  {{name}}: {{tsType}};
+{{/each}}
+};
+
+{{#if staticGeneration}}
+// The dynamic segments to pre-render at build time
+export const getStaticPaths: GetStaticPaths<Params> = async () => {
+  // TODO: Return the {{paramNames}} values to pre-render, e.g. from your API
+  return { paths: [], fallback: "blocking" };
+};
+
+export const getStaticProps: GetStaticProps<Props, Params> = async ({
+  params,
+}) => {
+{{else}}
+export const getServerSideProps: GetServerSideProps<Props, Params> = async ({
+  params,
+}) => {
+{{/if}}
+  // TODO: Fetch the data for this page; return { notFound: true } when it
+  // doesn't exist
+  return {
+    props: {
+{{#each params}}
+      {{name}}: {{propValue}},
+{{/each}}
+    },
+  };
+};
+
+export default function {{PascalName}}Page({ {{paramNames}} }: Props) {
+  return (
+    <div>
+      <h1>{{label}}</h1>
+{{#each params}}
+      <p>{{jsx}}</p>
+{{/each}}
+    </div>
+  );
+}
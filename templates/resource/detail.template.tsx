@@ -0,0 +1,45 @@
+{{> fileHeader}}
+{{#if isAppRouter}}
+"use client";
+
+{{/if}}
+import Link from "next/link";
+import { useEffect, useState } from "react";
+{{#if isAppRouter}}
+import { useParams } from "next/navigation";
+{{else}}
+import { useRouter } from "next/router";
+{{/if}}
+import {{name}}Service from "{{serviceImport}}";
+import { {{PascalName}} } from "{{typesImport}}";
+
+export default function {{PascalName}}DetailPage() {
+{{> resourceId}}
+  const [item, setItem] = useState<{{PascalName}} | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!id) return;
+    {{name}}Service
+      .fetchById(id)
+      .then(setItem)
+      .catch((err) => setError(err.message));
+  }, [id]);
+
+  if (error) return <p role="alert">{error}</p>;
+  if (!item) return <p>Loading...</p>;
+
+  return (
+    <div>
+      <h1>{{label}}</h1>
+      <dl>
+{{#each fields}}
+        <dt>{{label}}</dt>
+        <dd>{{> resourceValue}}</dd>
+{{/each}}
+      </dl>
+      <Link href={`{{urlPath}}/${item.id}/edit`}>Edit</Link>
+      <Link href="{{urlPath}}">Back to {{lowerPluralLabel}}</Link>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+{{> fileHeader}}
+{{#if isAppRouter}}
+"use client";
+
+{{/if}}
+import { useEffect, useState } from "react";
+{{#if isAppRouter}}
+import { useParams, useRouter } from "next/navigation";
+{{else}}
+import { useRouter } from "next/router";
+{{/if}}
+import {{PascalName}}Form from "{{formImport}}";
+import {{name}}Service from "{{serviceImport}}";
+import { {{PascalName}}Input } from "{{typesImport}}";
+
+export default function Edit{{PascalName}}Page() {
+{{#if isAppRouter}}
+  const router = useRouter();
+{{/if}}
+{{> resourceId}}
+  const [values, setValues] = useState<{{PascalName}}Input | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!id) return;
+    {{name}}Service
+      .fetchById(id)
+      .then((item) =>
+        setValues({
+{{#each fields}}
+          {{name}}: item.{{name}},
+{{/each}}
+        })
+      )
+      .catch((err) => setError(err.message));
+  }, [id]);
+
+  if (error) return <p role="alert">{error}</p>;
+  if (!id || !values) return <p>Loading...</p>;
+
+  const handleSubmit = async (updated: {{PascalName}}Input) => {
+    await {{name}}Service.update(id, updated);
+    router.push(`{{urlPath}}/${id}`);
+  };
+
+  return (
+    <div>
+      <h1>Edit {{lowerLabel}}</h1>
+      <{{PascalName}}Form initialValues={values} onSubmit={handleSubmit} />
+    </div>
+  );
+}
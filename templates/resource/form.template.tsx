@@ -0,0 +1,71 @@
+{{> fileHeader}}
+"use client";
+
+import { FormEvent, useState } from "react";
+import { {{PascalName}}Input } from "{{typesImport}}";
+
+interface {{PascalName}}FormProps {
+  initialValues?: {{PascalName}}Input;
+  submitLabel?: string;
+  onSubmit: (values: {{PascalName}}Input) => Promise<void>;
+}
+
+const emptyValues: {{PascalName}}Input = {
+{{#each fields}}
+  {{name}}: {{empty}},
+{{/each}}
+};
+
+export default function {{PascalName}}Form({
+  initialValues = emptyValues,
+  submitLabel = "Save",
+  onSubmit,
+}: {{PascalName}}FormProps) {
+  const [values, setValues] = useState<{{PascalName}}Input>(initialValues);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onSubmit(values);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Something went wrong");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+{{#each fields}}
+{{#if isBoolean}}
+      <label>
+        <input
+          type="checkbox"
+          checked={values.{{name}}}
+          onChange={(e) => setValues({ ...values, {{name}}: e.target.checked })}
+        />
+        {{label}}
+      </label>
+{{else}}
+      <label>
+        {{label}}
+        <input
+          type="{{inputType}}"
+          value={values.{{name}}}
+          onChange={(e) => setValues({ ...values, {{name}}: {{#if isNumber}}Number(e.target.value){{else}}e.target.value{{/if}} })}
+          required
+        />
+      </label>
+{{/if}}
+{{/each}}
+      {error && <p role="alert">{error}</p>}
+      <button type="submit" disabled={submitting}>
+        {submitting ? "Saving..." : submitLabel}
+      </button>
+    </form>
+  );
+}
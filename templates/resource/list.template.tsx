@@ -0,0 +1,72 @@
+{{> fileHeader}}
+{{#if isAppRouter}}
+"use client";
+
+{{/if}}
+import Link from "next/link";
+import { useEffect, useState } from "react";
+import {{name}}Service from "{{serviceImport}}";
+import { {{PascalName}} } from "{{typesImport}}";
+
+export default function {{PascalName}}ListPage() {
+  const [items, setItems] = useState<{{PascalName}}[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    {{name}}Service
+      .fetchAll()
+      .then(setItems)
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleDelete = async (id: {{PascalName}}["id"]) => {
+    if (!confirm("Delete this item?")) return;
+    await {{name}}Service.remove(id);
+    setItems((current) => current.filter((item) => item.id !== id));
+  };
+
+  if (loading) return <p>Loading...</p>;
+  if (error) return <p role="alert">{error}</p>;
+
+  return (
+    <div>
+      <h1>{{pluralLabel}}</h1>
+      <Link href="{{urlPath}}/new">New {{lowerLabel}}</Link>
+      {items.length === 0 ? (
+        <p>No {{lowerPluralLabel}} yet.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+{{#each fields}}
+              <th>{{label}}</th>
+{{/each}}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item) => (
+              <tr key={item.id}>
+{{#each fields}}
+{{#if @first}}
+                <td>
+                  <Link href={`{{@root.urlPath}}/${item.id}`}>{{> resourceValue}}</Link>
+                </td>
+{{else}}
+                <td>{{> resourceValue}}</td>
+{{/if}}
+{{/each}}
+                <td>
+                  <Link href={`{{urlPath}}/${item.id}/edit`}>Edit</Link>
+                  <button onClick={() => handleDelete(item.id)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
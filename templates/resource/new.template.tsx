@@ -0,0 +1,27 @@
+{{> fileHeader}}
+{{#if isAppRouter}}
+"use client";
+
+import { useRouter } from "next/navigation";
+{{else}}
+import { useRouter } from "next/router";
+{{/if}}
+import {{PascalName}}Form from "{{formImport}}";
+import {{name}}Service from "{{serviceImport}}";
+import { {{PascalName}}Input } from "{{typesImport}}";
+
+export default function New{{PascalName}}Page() {
+  const router = useRouter();
+
+  const handleSubmit = async (values: {{PascalName}}Input) => {
+    const created = await {{name}}Service.create(values);
+    router.push(`{{urlPath}}/${created.id}`);
+  };
+
+  return (
+    <div>
+      <h1>New {{lowerLabel}}</h1>
+      <{{PascalName}}Form submitLabel="Create" onSubmit={handleSubmit} />
+    </div>
+  );
+}
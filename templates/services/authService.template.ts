@@ -0,0 +1,48 @@
+{{> fileHeader}}
+import axios from "axios";
+import api from "{{apiImport}}";
+import {
+  AuthResponse,
+  LoginCredentials,
+  RegisterData,
+  User,
+} from "{{typesImport}}";
+
+// TODO: Point these at your API's auth endpoints
+export const authService = {
+  async login(credentials: LoginCredentials): Promise<AuthResponse> {
+    const { data } = await api.post<AuthResponse>("/auth/login", credentials);
+    return data;
+  },
+
+  async register(input: RegisterData): Promise<AuthResponse> {
+    const { data } = await api.post<AuthResponse>("/auth/register", input);
+    return data;
+  },
+
+  async me(): Promise<User> {
+    const { data } = await api.get<User>("/auth/me");
+    return data;
+  },
+{{#unless nextAuth}}
+
+  // Clears the token cookie on the server through /api/auth/logout
+  async logout(): Promise<void> {
+    await fetch("/api/auth/logout", { method: "POST" });
+  },
+{{/unless}}
+};
+
+// A message to show for a failed auth request: the API's `message` when it
+// sends one
+export function authErrorMessage(error: unknown): string {
+  if (axios.isAxiosError(error)) {
+    const message = (error.response?.data as { message?: unknown })?.message;
+    if (typeof message === "string") return message;
+    if (error.response?.status === 401) return "Invalid email or password.";
+  }
+  if (error instanceof Error && error.message) return error.message;
+  return "Something went wrong. Please try again.";
+}
+
+export default authService;
@@ -0,0 +1,37 @@
+{{> fileHeader}}
+import api from "{{apiImport}}";
+import { {{PascalName}}, {{PascalName}}Input } from "{{typesImport}}";
+
+// TODO: Point this at your API
+const BASE_PATH = "{{basePath}}";
+
+export const {{name}}Service = {
+  async fetchAll(): Promise<{{PascalName}}[]> {
+    const { data } = await api.get<{{PascalName}}[]>(BASE_PATH);
+    return data;
+  },
+
+  async fetchById(id: {{PascalName}}["id"]): Promise<{{PascalName}}> {
+    const { data } = await api.get<{{PascalName}}>(`${BASE_PATH}/${id}`);
+    return data;
+  },
+
+  async create(input: {{PascalName}}Input): Promise<{{PascalName}}> {
+    const { data } = await api.post<{{PascalName}}>(BASE_PATH, input);
+    return data;
+  },
+
+  async update(
+    id: {{PascalName}}["id"],
+    input: Partial<{{PascalName}}Input>
+  ): Promise<{{PascalName}}> {
+    const { data } = await api.put<{{PascalName}}>(`${BASE_PATH}/${id}`, input);
+    return data;
+  },
+
+  async remove(id: {{PascalName}}["id"]): Promise<void> {
+    await api.delete(`${BASE_PATH}/${id}`);
+  },
+};
+
+export default {{name}}Service;
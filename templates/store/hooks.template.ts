@@ -0,0 +1,7 @@
+{{> fileHeader}}
+import { useDispatch, useSelector } from "react-redux";
+import type { AppDispatch, RootState } from "./index";
+
+// Use these throughout the app instead of plain useDispatch and useSelector
+export const useAppDispatch = useDispatch.withTypes<AppDispatch>();
+export const useAppSelector = useSelector.withTypes<RootState>();
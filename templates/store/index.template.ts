@@ -0,0 +1,16 @@
+{{> fileHeader}}
+// Redux store setup
+import { configureStore } from '@reduxjs/toolkit';
+
+export const makeStore = () =>
+  configureStore({
+    reducer: {},
+  });
+
+export type AppStore = ReturnType<typeof makeStore>;
+export type RootState = ReturnType<AppStore["getState"]>;
+export type AppDispatch = AppStore["dispatch"];
+{{#unless isAppRouter}}
+
+export const store = makeStore();
+{{/unless}}
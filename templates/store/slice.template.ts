@@ -0,0 +1,107 @@
+{{> fileHeader}}
+{{#if withThunks}}
+import {
+  createAsyncThunk,
+  createSlice,
+  isFulfilled,
+  isPending,
+  isRejected,
+  PayloadAction,
+} from "@reduxjs/toolkit";
+import {{name}}Service from "{{serviceImport}}";
+import { {{PascalName}}, {{PascalName}}Input, {{PascalName}}State } from "{{typesImport}}";
+
+const initialState: {{PascalName}}State = {
+  items: [],
+  selected: null,
+  status: "idle",
+  error: null,
+};
+
+export const fetch{{PluralName}} = createAsyncThunk("{{name}}/fetchAll", () =>
+  {{name}}Service.fetchAll()
+);
+
+export const create{{PascalName}} = createAsyncThunk(
+  "{{name}}/create",
+  (input: {{PascalName}}Input) => {{name}}Service.create(input)
+);
+
+export const update{{PascalName}} = createAsyncThunk(
+  "{{name}}/update",
+  ({ id, input }: { id: {{PascalName}}["id"]; input: Partial<{{PascalName}}Input> }) =>
+    {{name}}Service.update(id, input)
+);
+
+export const delete{{PascalName}} = createAsyncThunk(
+  "{{name}}/delete",
+  async (id: {{PascalName}}["id"]) => {
+    await {{name}}Service.remove(id);
+    return id;
+  }
+);
+
+const {{name}}Slice = createSlice({
+  name: "{{name}}",
+  initialState,
+  reducers: {
+    select{{PascalName}}(state, action: PayloadAction<{{PascalName}} | null>) {
+      state.selected = action.payload;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetch{{PluralName}}.fulfilled, (state, action) => {
+        state.items = action.payload;
+      })
+      .addCase(create{{PascalName}}.fulfilled, (state, action) => {
+        state.items.push(action.payload);
+      })
+      .addCase(update{{PascalName}}.fulfilled, (state, action) => {
+        const index = state.items.findIndex(
+          (item) => item.id === action.payload.id
+        );
+        if (index !== -1) state.items[index] = action.payload;
+      })
+      .addCase(delete{{PascalName}}.fulfilled, (state, action) => {
+        state.items = state.items.filter((item) => item.id !== action.payload);
+      })
+      .addMatcher(isPending(fetch{{PluralName}}, create{{PascalName}}, update{{PascalName}}, delete{{PascalName}}), (state) => {
+        state.status = "loading";
+        state.error = null;
+      })
+      .addMatcher(isFulfilled(fetch{{PluralName}}, create{{PascalName}}, update{{PascalName}}, delete{{PascalName}}), (state) => {
+        state.status = "succeeded";
+      })
+      .addMatcher(isRejected(fetch{{PluralName}}, create{{PascalName}}, update{{PascalName}}, delete{{PascalName}}), (state, action) => {
+        state.status = "failed";
+        state.error = action.error.message ?? "Something went wrong";
+      });
+  },
+});
+
+export const { select{{PascalName}} } = {{name}}Slice.actions;
+{{else}}
+import { createSlice, PayloadAction } from "@reduxjs/toolkit";
+import { {{PascalName}}State } from "{{typesImport}}";
+
+const initialState: {{PascalName}}State = {
+  data: null,
+};
+
+const {{name}}Slice = createSlice({
+  name: "{{name}}",
+  initialState,
+  reducers: {
+    setData(state, action: PayloadAction<{{PascalName}}State["data"]>) {
+      state.data = action.payload;
+    },
+    reset() {
+      return initialState;
+    },
+  },
+});
+
+{{/if}}
+export const { actions, reducer } = {{name}}Slice;
+export default reducer;
@@ -0,0 +1,46 @@
+{{> fileHeader}}
+{{> testImports}}
+{{#if withThunks}}
+import reducer, { actions, fetch{{PluralName}} } from "./{{name}}Slice";
+
+describe("{{name}}Slice", () => {
+  it("starts idle with no items", () => {
+    expect(reducer(undefined, { type: "unknown" })).toEqual({
+      items: [],
+      selected: null,
+      status: "idle",
+      error: null,
+    });
+  });
+
+  it("selects an item", () => {
+    const item = { id: 1 };
+    const state = reducer(undefined, actions.select{{PascalName}}(item));
+    expect(state.selected).toEqual(item);
+  });
+
+  it("stores fetched items", () => {
+    const items = [{ id: 1 }, { id: 2 }];
+    const state = reducer(
+      undefined,
+      fetch{{PluralName}}.fulfilled(items, "requestId")
+    );
+    expect(state.items).toEqual(items);
+    expect(state.status).toBe("succeeded");
+  });
+});
+{{else}}
+import reducer, { actions } from "./{{name}}Slice";
+
+describe("{{name}}Slice", () => {
+  it("starts with no data", () => {
+    expect(reducer(undefined, { type: "unknown" })).toEqual({ data: null });
+  });
+
+  it("sets and resets the data", () => {
+    const state = reducer(undefined, actions.setData({ value: 1 }));
+    expect(state.data).toEqual({ value: 1 });
+    expect(reducer(state, actions.reset())).toEqual({ data: null });
+  });
+});
+{{/if}}
@@ -0,0 +1,14 @@
+{{> fileHeader}}
+/** @type {import("postcss-load-config").Config} */
+const config = {
+  plugins: {
+{{#if v4}}
+    "@tailwindcss/postcss": {},
+{{else}}
+    tailwindcss: {},
+    autoprefixer: {},
+{{/if}}
+  },
+};
+
+export default config;
@@ -0,0 +1,25 @@
+{{> fileHeader}}
+{{#if typescript}}
+import type { Config } from "tailwindcss";
+
+const config: Config = {
+{{else}}
+/** @type {import("tailwindcss").Config} */
+const config = {
+{{/if}}
+  content: [
+{{#each contentPaths}}
+    "{{this}}",
+{{/each}}
+  ],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};
+
+{{#if esm}}
+export default config;
+{{else}}
+module.exports = config;
+{{/if}}
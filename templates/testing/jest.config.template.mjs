@@ -0,0 +1,19 @@
+import nextJest from "next/jest.js";
+
+// Loads next.config and .env files and compiles TypeScript and JSX with SWC,
+// the same way `next build` does
+const createJestConfig = nextJest({ dir: "./" });
+
+/** @type {import("jest").Config} */
+const config = {
+  testEnvironment: "jsdom",
+  setupFilesAfterEnv: ["<rootDir>/jest.setup.ts"],
+{{#if moduleNameMapper}}
+  moduleNameMapper: {
+    // The import alias from tsconfig.json
+    {{moduleNameMapper.pattern}}: {{moduleNameMapper.target}},
+  },
+{{/if}}
+};
+
+export default createJestConfig(config);
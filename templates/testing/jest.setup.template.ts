@@ -0,0 +1,2 @@
+// Adds matchers such as toBeInTheDocument() to expect
+import "@testing-library/jest-dom";
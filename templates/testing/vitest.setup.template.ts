@@ -0,0 +1,10 @@
+import { cleanup } from "@testing-library/react";
+import { afterEach } from "vitest";
+// Adds matchers such as toBeInTheDocument() to expect
+import "@testing-library/jest-dom/vitest";
+
+// Unmount rendered components between tests (Vitest has no globals for
+// Testing Library to hook into)
+afterEach(() => {
+  cleanup();
+});
@@ -0,0 +1,11 @@
+// Request body for /api/{{moduleName}}/{{route}}
+export interface {{requestType}} {
+  // TODO: Describe the request body
+  [key: string]: unknown;
+}
+
+// Response body for /api/{{moduleName}}/{{route}}
+export interface {{responseType}} {
+  message: string;
+  data?: {{requestType}};
+}
@@ -16,3 +16,7 @@ export interface LoginCredentials {
   email: string;
   password: string;
 }
+
+export interface RegisterData extends LoginCredentials {
+  name: string;
+}
@@ -0,0 +1,19 @@
+import "next-auth";
+import "next-auth/jwt";
+
+// The API token kept in the NextAuth session (see lib/auth.ts)
+declare module "next-auth" {
+  interface Session {
+    accessToken?: string;
+  }
+
+  interface User {
+    accessToken?: string;
+  }
+}
+
+declare module "next-auth/jwt" {
+  interface JWT {
+    accessToken?: string;
+  }
+}
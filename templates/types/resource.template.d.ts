@@ -0,0 +1,8 @@
+export interface {{PascalName}} {
+  id: string;
+{{#each fields}}
+  {{name}}: {{tsType}};
+{{/each}}
+}
+
+export type {{PascalName}}Input = Omit<{{PascalName}}, "id">;
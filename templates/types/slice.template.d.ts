@@ -0,0 +1,19 @@
+{{#if withThunks}}
+export interface {{PascalName}} {
+  id: string | number;
+  // TODO: Add the fields returned by your API
+}
+
+export type {{PascalName}}Input = Omit<{{PascalName}}, "id">;
+
+export interface {{PascalName}}State {
+  items: {{PascalName}}[];
+  selected: {{PascalName}} | null;
+  status: "idle" | "loading" | "succeeded" | "failed";
+  error: string | null;
+}
+{{else}}
+export interface {{PascalName}}State {
+  data: Record<string, unknown> | null;
+}
+{{/if}}